@@ -3,7 +3,24 @@ import json
 import struct
 import subprocess
 import os
+import re
+import signal
+import tempfile
 import threading
+import time
+
+# Replies come from the download threads too: one message at a time on stdout
+write_lock = threading.Lock()
+
+DURATION = re.compile(r"Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)")
+
+# Job registry: one JSON file per download, so the host Chrome starts after the extension
+# reconnects (a new process) can still list, report and cancel what an earlier one started.
+# info: jobId, url, file, host (pid), pid (ffmpeg), host_start / pid_start (see process_start),
+# state, percent, size, speed, eta, error
+JOBS_DIR = os.path.join(tempfile.gettempdir(), "streamsniffer-jobs")
+jobs = {}  # jobId -> {"process", "info"} started by this process
+jobs_lock = threading.Lock()
 
 # Read a message from stdin
 def get_message():
@@ -18,30 +35,175 @@ def get_message():
 def send_message(message):
     encoded_content = json.dumps(message).encode('utf-8')
     encoded_length = struct.pack('@I', len(encoded_content))
-    sys.stdout.buffer.write(encoded_length)
-    sys.stdout.buffer.write(encoded_content)
-    sys.stdout.buffer.flush()
+    with write_lock:
+        try:
+            sys.stdout.buffer.write(encoded_length)
+            sys.stdout.buffer.write(encoded_content)
+            sys.stdout.buffer.flush()
+            return True
+        except (OSError, ValueError):
+            # Extension gone (worker restarted): running jobs keep going and stay in the registry
+            return False
 
-def download_video(data):
+def job_path(job_id):
+    return os.path.join(JOBS_DIR, re.sub(r"[^\w-]", "_", str(job_id)) + ".json")
+
+def save_job(info):
+    os.makedirs(JOBS_DIR, exist_ok=True)
+    path = job_path(info["jobId"])
+    with jobs_lock:
+        # A CANCEL handled by another host process only lives in the file: keep it
+        if (load_job(info["jobId"]) or {}).get("cancelled"):
+            info["cancelled"] = True
+        with open(path + ".tmp", "w") as f:
+            json.dump(info, f)
+        os.replace(path + ".tmp", path)
+
+def load_job(job_id):
+    try:
+        with open(job_path(job_id)) as f:
+            return json.load(f)
+    except (OSError, ValueError):
+        return None
+
+def drop_job(job_id):
+    try:
+        os.remove(job_path(job_id))
+    except OSError:
+        pass
+
+def process_alive(pid):
+    if os.name == "nt":
+        # os.kill(pid, 0) would terminate the process on Windows
+        out = subprocess.run(["tasklist", "/FI", f"PID eq {pid}", "/NH"], capture_output=True, text=True).stdout
+        return str(pid) in out
+    try:
+        os.kill(pid, 0)
+        return True
+    except OSError:
+        return False
+
+# Start time of a process, so a PID stored in the registry is only trusted while it still
+# names the same process (PIDs are reused). None when it cannot be read.
+def process_start(pid):
+    try:
+        if os.name == "nt":
+            out = subprocess.run(["powershell", "-NoProfile", "-Command", f"(Get-Process -Id {int(pid)}).StartTime.ToFileTimeUtc()"],
+                                 capture_output=True, text=True, timeout=10).stdout.strip()
+        elif os.path.exists(f"/proc/{int(pid)}/stat"):
+            with open(f"/proc/{int(pid)}/stat") as f:
+                # Field 22 (starttime), counted after the ")" that ends the command name
+                out = f.read().rsplit(")", 1)[1].split()[19]
+        else:
+            out = subprocess.run(["ps", "-o", "lstart=", "-p", str(int(pid))], capture_output=True, text=True, timeout=10).stdout.strip()
+        return out or None
+    except (OSError, ValueError, IndexError, subprocess.SubprocessError):
+        return None
+
+# The process the registry recorded is still running (not a newer one with the same PID)
+def same_process(pid, started):
+    if not pid or not process_alive(pid):
+        return False
+    return started is not None and process_start(pid) == started
+
+def job_status(job_id):
+    job = jobs.get(job_id)
+    info = dict(job["info"]) if job else load_job(job_id)
+    if info and info["state"] == "running" and not job and not same_process(info["host"], info.get("host_start")):
+        # The host process that ran it was killed: ffmpeg went with it
+        info.update(state="error", error="Companion App stopped")
+    return info
+
+def list_jobs():
+    ids = set(jobs)
+    if os.path.isdir(JOBS_DIR):
+        ids.update(name[:-5] for name in os.listdir(JOBS_DIR) if name.endswith(".json"))
+    return [info for info in (job_status(job_id) for job_id in ids) if info]
+
+# Finished jobs are kept until the extension has been told, then dropped
+def report_status(request_id, job_id):
+    info = job_status(job_id)
+    if not info:
+        send_message({"jobId": request_id, "status": "error", "error": "Unknown job"})
+        return
+    if send_message({"jobId": request_id, "status": "status", "job": info}) and info["state"] != "running":
+        drop_job(job_id)
+
+def cancel_job(job_id):
+    job = jobs.get(job_id)
+    if job:
+        job["info"]["cancelled"] = True
+        job["process"].terminate()
+        return True
+    info = load_job(job_id)
+    if not info or info["state"] != "running":
+        return False
+    if not same_process(info["host"], info.get("host_start")):
+        # The host that ran it is gone: its PIDs may name other processes by now, so nothing
+        # is signalled; the entry and the partial file are dropped
+        remove_partial(info["file"])
+        drop_job(job_id)
+        return True
+    # Started by an earlier host process: it sees the flag when ffmpeg exits
+    info["cancelled"] = True
+    save_job(info)
+    if same_process(info["pid"], info.get("pid_start")):
+        try:
+            os.kill(info["pid"], signal.SIGTERM)
+        except OSError:
+            pass
+    return True
+
+def remove_partial(path):
+    try:
+        os.remove(path)
+    except OSError:
+        pass
+
+# Output path and ffmpeg command for a DOWNLOAD message: (cmd, output_path, duration), or
+# None once a refusal / "skipped" reply has been sent. Raises on bad input (clip, duration,
+# an unwritable directory); download_video turns that into an error reply.
+def prepare_download(data):
+    job_id = data.get('jobId')
     url = data.get('url')
     filename = data.get('filename', 'video.mp4')
     headers = data.get('headers', {})
     
-    # Sanitize filename
-    safe_filename = "".join([c for c in filename if c.isalpha() or c.isdigit() or c in " ._-"]).rstrip()
-    if not safe_filename: safe_filename = "video.mp4"
+    directory = data.get('directory') or ""
+    conflict = data.get('conflictAction') or "uniquify"
+
+    # Names and folders come from page titles and settings: refuse anything leaving the folder
+    error = path_error(filename, directory)
+    if not error and conflict not in ("uniquify", "overwrite", "skip"):
+        error = f"Invalid conflictAction: {conflict}"
+    if error:
+        send_message({"jobId": job_id, "status": "error", "error": error})
+        return
+
+    # Sanitize filename (filename templates may add subfolders: each part on its own)
+    parts = ["".join([c for c in part if c.isalpha() or c.isdigit() or c in " ._-"]).strip(" .") for part in filename.replace("\\", "/").split("/")]
+    parts = [part for part in parts if part]
+    safe_filename = os.path.join(*parts) if parts else "video.mp4"
     
-    # Determine output path (Downloads folder by default)
-    user_home = os.path.expanduser("~")
-    download_dir = os.path.join(user_home, "Downloads")
+    # Determine output path (Downloads folder by default, relative directories inside it)
+    download_dir = os.path.realpath(output_directory(directory))
     output_path = os.path.join(download_dir, safe_filename)
+    if os.path.commonpath([download_dir, os.path.realpath(output_path)]) != download_dir:
+        send_message({"jobId": job_id, "status": "error", "error": "Invalid filename: outside the output directory"})
+        return
+    os.makedirs(os.path.dirname(output_path), exist_ok=True)
     
-    # Ensure unique filename
-    base, ext = os.path.splitext(output_path)
-    counter = 1
-    while os.path.exists(output_path):
-        output_path = f"{base}_{counter}{ext}"
-        counter += 1
+    # Existing file: conflict policy (ffmpeg -y overwrites)
+    if os.path.exists(output_path):
+        if conflict == "skip":
+            send_message({"jobId": job_id, "status": "skipped", "file": output_path})
+            return
+        if conflict == "uniquify":
+            base, ext = os.path.splitext(output_path)
+            counter = 1
+            while os.path.exists(output_path):
+                output_path = f"{base}_{counter}{ext}"
+                counter += 1
 
     # Prepare FFmpeg command
     # -y: Overwrite output files
@@ -50,48 +212,197 @@ def download_video(data):
     # -bsf:a aac_adtstoasc: Fix audio stream for TS to MP4
     cmd = ['ffmpeg', '-y']
     
-    # Add headers if needed (User-Agent, Referer)
-    ua = headers.get('User-Agent')
-    referer = headers.get('Referer')
-    cookie = headers.get('Cookie')
-    
+    # Request headers of the page (User-Agent, Referer, Cookie, Authorization, Origin, X-...)
+    ua = None
+    header_str = ""
+    for name, value in headers.items():
+        if not value:
+            continue
+        # One header per line: a value must not smuggle in another
+        value = str(value).replace("\r", "").replace("\n", "")
+        if name.lower() == 'user-agent':
+            ua = value
+        else:
+            header_str += f"{name}: {value}\r\n"
+
     if ua:
         cmd.extend(['-user_agent', ua])
-    if referer or cookie:
-        # FFmpeg uses -headers for some protocols, but for HTTP input standard flags are safer
-        # or pass via -headers
-        header_str = ""
-        if referer: header_str += f"Referer: {referer}\r\n"
-        if cookie: header_str += f"Cookie: {cookie}\r\n"
-        if header_str:
-            cmd.extend(['-headers', header_str])
+    if header_str:
+        cmd.extend(['-headers', header_str])
+
+    # Time-range clip: input seeking lands on the keyframe before the start (stream copy)
+    clip = data.get('clip') or {}
+    clip_start = float(clip.get('start') or 0)
+    clip_end = clip.get('end')
+    if clip_start > 0:
+        cmd.extend(['-ss', str(clip_start)])
 
+    input_options = cmd[2:]
     cmd.extend(['-i', url])
+
+    # Separate audio rendition: second input (same headers), video from the first
+    audio_url = data.get('audioUrl')
+    if audio_url:
+        cmd.extend(input_options)
+        cmd.extend(['-i', audio_url])
+        cmd.extend(['-map', '0:v:0', '-map', '1:a:0'])
+
+    if clip_end:
+        cmd.extend(['-t', str(max(float(clip_end) - clip_start, 0.1))])
+
     cmd.extend(['-c', 'copy'])
     cmd.extend(['-bsf:a', 'aac_adtstoasc'])
+    # key=value progress blocks on stdout instead of the status line on stderr
+    cmd.extend(['-progress', 'pipe:1', '-nostats'])
     cmd.append(output_path)
 
+    # Length of the output, for the percentage: the clip, the extension's guess, or ffmpeg's probe
+    duration = None
+    if clip_end:
+        duration = max(float(clip_end) - clip_start, 0.1)
+    elif data.get('duration'):
+        duration = max(float(data.get('duration')) - clip_start, 0.1)
+
+    return cmd, output_path, duration
+
+def download_video(data):
+    job_id = data.get('jobId')
+    url = data.get('url')
+    # Every DOWNLOAD gets an answer: the extension waits for it before anything else
+    try:
+        prepared = prepare_download(data)
+    except Exception as e:
+        send_message({"jobId": job_id, "status": "error", "error": f"Cannot start download: {e}"})
+        return
+    if prepared is None:
+        return
+    cmd, output_path, duration = prepared
+
     try:
-        send_message({"status": "starting", "file": output_path})
-        
-        # Run FFmpeg
+        # Run FFmpeg (an error before this line means no ffmpeg: the extension falls back)
         process = subprocess.Popen(
             cmd, 
             stdout=subprocess.PIPE, 
             stderr=subprocess.PIPE,
             universal_newlines=True
         )
-        
-        # Wait for completion
-        stdout, stderr = process.communicate()
-        
-        if process.returncode == 0:
-            send_message({"status": "complete", "file": output_path})
+    except Exception as e:
+        send_message({"jobId": job_id, "status": "error", "error": str(e)})
+        return
+
+    info = {
+        "jobId": job_id, "url": url, "file": output_path,
+        "host": os.getpid(), "host_start": process_start(os.getpid()),
+        "pid": process.pid, "pid_start": process_start(process.pid),
+        "state": "running", "percent": None, "size": 0, "speed": 0, "eta": None, "error": None,
+        "started": time.time()
+    }
+    jobs[job_id] = {"process": process, "info": info}
+    save_job(info)
+    send_message({"jobId": job_id, "status": "starting", "file": output_path})
+
+    # stderr: the input duration (when not known) and the last lines for error messages
+    state = {"duration": duration, "tail": []}
+    reader = threading.Thread(target=read_stderr, args=(process, state))
+    reader.start()
+
+    try:
+        report_progress(job_id, process, state, info)
+        process.wait()
+        reader.join()
+
+        if info.get("cancelled") or (load_job(job_id) or {}).get("cancelled"):
+            remove_partial(output_path)
+            info.update(state="cancelled")
+            message = {"jobId": job_id, "status": "cancelled"}
+        elif process.returncode == 0:
+            info.update(state="complete", percent=100, size=os.path.getsize(output_path), eta=None)
+            message = {"jobId": job_id, "status": "complete", "file": output_path, "size": info["size"]}
         else:
-            send_message({"status": "error", "error": stderr[-200:] if stderr else "Unknown FFmpeg error"})
+            stderr = "".join(state["tail"])
+            info.update(state="error", error=stderr[-200:] if stderr else "Unknown FFmpeg error")
+            message = {"jobId": job_id, "status": "error", "error": info["error"]}
             
     except Exception as e:
-        send_message({"status": "error", "error": str(e)})
+        info.update(state="error", error=str(e))
+        message = {"jobId": job_id, "status": "error", "error": str(e)}
+
+    jobs.pop(job_id, None)
+    if send_message(message):
+        drop_job(job_id)
+    else:
+        save_job(info)  # picked up with STATUS / LIST_JOBS
+
+# Why a filename / output directory is refused, or None
+def path_error(filename, directory):
+    for label, path in (("filename", filename), ("directory", directory)):
+        if any(ord(c) < 32 for c in path):
+            return f"Invalid {label}: control characters"
+        if ".." in [segment.strip() for segment in path.replace("\\", "/").split("/")]:
+            return f"Invalid {label}: '..' is not allowed"
+    if re.match(r"^([\\/~]|[a-zA-Z]:)", filename):
+        return "Invalid filename: must be relative"
+    return None
+
+def output_directory(directory):
+    downloads = os.path.join(os.path.expanduser("~"), "Downloads")
+    if not directory:
+        return downloads
+    directory = os.path.expanduser(directory)
+    return directory if os.path.isabs(directory) else os.path.join(downloads, directory)
+
+def read_stderr(process, state):
+    for line in process.stderr:
+        state["tail"] = (state["tail"] + [line])[-20:]
+        if state["duration"] is None:
+            match = DURATION.search(line)
+            if match:
+                h, m, s = match.groups()
+                state["duration"] = int(h) * 3600 + int(m) * 60 + float(s)
+
+# ffmpeg -progress writes blocks of key=value lines ending with progress=continue|end;
+# one message per block, at most twice a second
+def report_progress(job_id, process, state, info):
+    started = time.time()
+    last_sent = 0
+    block = {}
+    for line in process.stdout:
+        key, _, value = line.strip().partition("=")
+        block[key] = value
+        if key != "progress":
+            continue
+        now = time.time()
+        if value == "end" or now - last_sent >= 0.5:
+            last_sent = now
+            message = progress_message(job_id, block, state["duration"], now - started)
+            info.update({key: message[key] for key in ("percent", "size", "speed", "eta")})
+            save_job(info)
+            send_message(message)
+        block = {}
+
+def progress_message(job_id, block, duration, elapsed):
+    def number(name):
+        try:
+            return float(block.get(name, ""))
+        except ValueError:
+            return 0.0
+
+    # out_time_ms is in microseconds as well (ffmpeg keeps the old name)
+    out_time = (number("out_time_us") or number("out_time_ms")) / 1000000
+    size = int(number("total_size"))
+    message = {
+        "jobId": job_id,
+        "status": "progress",
+        "size": size,
+        "speed": round(size / 1024 / elapsed) if elapsed > 0 else 0,
+        "percent": None,
+        "eta": None
+    }
+    if duration:
+        message["percent"] = round(min(out_time / duration * 100, 100), 1)
+        if out_time > 0:
+            message["eta"] = round(max(duration - out_time, 0) * elapsed / out_time)
+    return message
 
 def main():
     while True:
@@ -102,10 +413,20 @@ def main():
             
             if msg.get('action') == 'DOWNLOAD':
                 # Run download in a separate thread to not block the message loop
-                # (Though for native hosts, Chrome usually keeps one pipe per connection)
+                # (the port stays open: more jobs and their progress share it)
                 threading.Thread(target=download_video, args=(msg,)).start()
             elif msg.get('action') == 'PING':
-                send_message({"status": "pong"})
+                send_message({"jobId": msg.get('jobId'), "status": "pong"})
+            elif msg.get('action') == 'CANCEL':
+                # jobId is this request's, target the download to stop
+                if cancel_job(msg.get('target')):
+                    send_message({"jobId": msg.get('jobId'), "status": "cancelling"})
+                else:
+                    send_message({"jobId": msg.get('jobId'), "status": "error", "error": "Unknown job"})
+            elif msg.get('action') == 'LIST_JOBS':
+                send_message({"jobId": msg.get('jobId'), "status": "jobs", "jobs": list_jobs()})
+            elif msg.get('action') == 'STATUS':
+                report_status(msg.get('jobId'), msg.get('target'))
                 
         except Exception as e:
             send_message({"error": str(e)})
@@ -0,0 +1,152 @@
+import os
+import sys
+import tempfile
+import unittest
+from unittest import mock
+
+sys.path.insert(0, os.path.dirname(os.path.dirname(os.path.abspath(__file__))))
+import host
+
+
+class PathErrorTest(unittest.TestCase):
+    def test_accepts_relative_names_and_folders(self):
+        self.assertIsNone(host.path_error("site/2024-01-09/Title.mp4", ""))
+        self.assertIsNone(host.path_error("a..b.mp4", "Videos/Saved"))
+        self.assertIsNone(host.path_error("video.mp4", "/srv/media"))
+
+    def test_refuses_parent_segments(self):
+        self.assertEqual(host.path_error("../x.mp4", ""), "Invalid filename: '..' is not allowed")
+        self.assertEqual(host.path_error("a\\ .. \\x.mp4", ""), "Invalid filename: '..' is not allowed")
+        self.assertEqual(host.path_error("x.mp4", "Videos/../.."), "Invalid directory: '..' is not allowed")
+
+    def test_refuses_control_characters(self):
+        self.assertEqual(host.path_error("x\n.mp4", ""), "Invalid filename: control characters")
+        self.assertEqual(host.path_error("x.mp4", "a\tb"), "Invalid directory: control characters")
+
+    def test_filename_must_be_relative(self):
+        for name in ("/etc/x.mp4", "\\x.mp4", "~/x.mp4", "C:x.mp4"):
+            self.assertEqual(host.path_error(name, ""), "Invalid filename: must be relative", name)
+
+
+class OutputDirectoryTest(unittest.TestCase):
+    def setUp(self):
+        patcher = mock.patch.dict(os.environ, {"HOME": "/home/user", "USERPROFILE": "/home/user"})
+        patcher.start()
+        self.addCleanup(patcher.stop)
+
+    def test_downloads_by_default(self):
+        self.assertEqual(host.output_directory(""), os.path.join("/home/user", "Downloads"))
+
+    def test_relative_directories_live_in_downloads(self):
+        self.assertEqual(host.output_directory("Videos"), os.path.join("/home/user", "Downloads", "Videos"))
+
+    def test_absolute_and_home_directories(self):
+        self.assertEqual(host.output_directory("/srv/media"), "/srv/media")
+        self.assertEqual(host.output_directory("~/Movies"), os.path.join("/home/user", "Movies"))
+
+
+class PrepareDownloadTest(unittest.TestCase):
+    def setUp(self):
+        self.home = tempfile.TemporaryDirectory()
+        self.addCleanup(self.home.cleanup)
+        self.downloads = os.path.join(os.path.realpath(self.home.name), "Downloads")
+        self.messages = []
+        for patcher in (
+            mock.patch.dict(os.environ, {"HOME": self.home.name, "USERPROFILE": self.home.name}),
+            mock.patch.object(host, "send_message", self.messages.append),
+        ):
+            patcher.start()
+            self.addCleanup(patcher.stop)
+
+    def prepare(self, **data):
+        return host.prepare_download({"jobId": "job-1", "url": "https://cdn.example.com/v.m3u8", **data})
+
+    def existing(self, *parts):
+        path = os.path.join(self.downloads, *parts)
+        os.makedirs(os.path.dirname(path), exist_ok=True)
+        open(path, "w").close()
+        return path
+
+    def test_sanitises_each_part_of_the_filename(self):
+        cmd, output_path, duration = self.prepare(filename="site/My: Video?.mp4")
+        self.assertEqual(output_path, os.path.join(self.downloads, "site", "My Video.mp4"))
+        self.assertTrue(os.path.isdir(os.path.join(self.downloads, "site")))
+        self.assertEqual(cmd[-1], output_path)
+        self.assertIsNone(duration)
+
+    def test_empty_filename_falls_back(self):
+        _, output_path, _ = self.prepare(filename="???/***")
+        self.assertEqual(output_path, os.path.join(self.downloads, "video.mp4"))
+
+    def test_relative_directory_inside_downloads(self):
+        _, output_path, _ = self.prepare(filename="a.mp4", directory="Saved/Clips")
+        self.assertEqual(output_path, os.path.join(self.downloads, "Saved", "Clips", "a.mp4"))
+
+    def test_refused_paths_send_an_error(self):
+        for data in ({"filename": "../a.mp4"}, {"filename": "/tmp/a.mp4"}, {"filename": "a.mp4", "directory": "../x"}):
+            self.messages.clear()
+            self.assertIsNone(self.prepare(**data))
+            self.assertEqual(self.messages[0]["status"], "error", data)
+            self.assertEqual(self.messages[0]["jobId"], "job-1")
+
+    def test_symlinked_subfolder_cannot_leave_the_output_directory(self):
+        outside = tempfile.TemporaryDirectory()
+        self.addCleanup(outside.cleanup)
+        os.makedirs(self.downloads)
+        os.symlink(outside.name, os.path.join(self.downloads, "link"))
+        self.assertIsNone(self.prepare(filename="link/a.mp4"))
+        self.assertEqual(self.messages, [{"jobId": "job-1", "status": "error", "error": "Invalid filename: outside the output directory"}])
+
+    def test_invalid_conflict_action(self):
+        self.assertIsNone(self.prepare(filename="a.mp4", conflictAction="rename"))
+        self.assertEqual(self.messages[0]["error"], "Invalid conflictAction: rename")
+
+    def test_uniquify_picks_the_next_free_name(self):
+        self.existing("a.mp4")
+        self.existing("a_1.mp4")
+        _, output_path, _ = self.prepare(filename="a.mp4")
+        self.assertEqual(output_path, os.path.join(self.downloads, "a_2.mp4"))
+
+    def test_overwrite_keeps_the_name(self):
+        path = self.existing("a.mp4")
+        cmd, output_path, _ = self.prepare(filename="a.mp4", conflictAction="overwrite")
+        self.assertEqual(output_path, path)
+        self.assertIn("-y", cmd)
+
+    def test_skip_reports_the_existing_file(self):
+        path = self.existing("a.mp4")
+        self.assertIsNone(self.prepare(filename="a.mp4", conflictAction="skip"))
+        self.assertEqual(self.messages, [{"jobId": "job-1", "status": "skipped", "file": path}])
+
+    def test_headers_cannot_inject_lines(self):
+        cmd, _, _ = self.prepare(filename="a.mp4", headers={
+            "User-Agent": "UA/1.0",
+            "Referer": "https://example.com/\r\nX-Evil: 1",
+            "Cookie": ""
+        })
+        self.assertEqual(cmd[cmd.index("-user_agent") + 1], "UA/1.0")
+        self.assertEqual(cmd[cmd.index("-headers") + 1], "Referer: https://example.com/X-Evil: 1\r\n")
+
+    def test_clip_and_audio_input(self):
+        cmd, _, duration = self.prepare(filename="a.mp4", clip={"start": 10, "end": 25}, audioUrl="https://cdn.example.com/a.m3u8")
+        self.assertEqual(cmd[cmd.index("-ss") + 1], "10.0")
+        self.assertEqual(cmd[cmd.index("-t") + 1], "15.0")
+        self.assertEqual(cmd.count("-i"), 2)
+        self.assertEqual(cmd.count("-ss"), 2)
+        self.assertEqual(duration, 15.0)
+
+
+class ProgressMessageTest(unittest.TestCase):
+    def test_percent_speed_and_eta(self):
+        block = {"out_time_us": "30000000", "total_size": "2048000"}
+        self.assertEqual(host.progress_message("j", block, 120, 10), {
+            "jobId": "j", "status": "progress", "size": 2048000, "speed": 200, "percent": 25.0, "eta": 30
+        })
+
+    def test_unknown_duration_and_bad_values(self):
+        message = host.progress_message("j", {"out_time_ms": "N/A", "total_size": "N/A"}, None, 0)
+        self.assertEqual((message["size"], message["speed"], message["percent"], message["eta"]), (0, 0, None, None))
+
+
+if __name__ == "__main__":
+    unittest.main()
@@ -1,12 +1,22 @@
-import { detectMediaType, extractMetadata, MediaTypes } from './mediaDetector.js';
+import { detectMediaType, detectSubtitleType, extractMetadata, typeFromExtension, extensionFor, mediaKind, MediaKinds, MediaTypes } from './mediaDetector.js';
+import { describeKey, decryptSegment, decryptInit } from './hlsDecrypt.js';
+import { SubtitleFormats, parseSubtitles, mergeSubtitleSegments, toWebVTT, toSRT } from './subtitles.js';
+import { renderFilename, usesSerial } from './filenameTemplate.js';
+import { resolveRules, ignoreReason, passesDuration, preferredOnly } from './detectionRules.js';
+import { ConflictActions, resolveOutput, checkPath, joinPath } from './outputPath.js';
+import { Engines, NotificationLevels, DEFAULT_SETTINGS, getSettings, saveSettings } from './settings.js';
 
 // --- STATE MANAGEMENT ---
 const detectedMedia = new Map(); // tabId -> [Video]
-const activeDownloads = new Map(); // url -> { cancelled: boolean, percent: number, speed: string }
+const detectedSubtitles = new Map(); // tabId -> [Subtitle] (sidecar .vtt/.srt files)
+const activeDownloads = new Map(); // url -> { cancelled: boolean, percent: number, speed: string, recording?: boolean }
+const liveStreams = new Set(); // url of HLS streams known to be live (recorded, not downloaded)
+const downloadQueue = []; // [{ id, video, status: queued|running|paused|failed|done, error, addedAt }], persisted
 const completedDownloads = new Set(); // url
 const downloadBlobs = new Map(); // downloadId -> blobUrl
 const downloadOriginalUrls = new Map(); // downloadId -> originalUrl
-const filenameOverrides = new Map(); // Strict Filename Map
+const filenameOverrides = new Map(); // Strict Filename Map: url -> { filename, conflictAction }
+const historyWrites = new Map(); // downloadId -> pending history add
 
 // --- BADGE ---
 function updateBadge(tabId) {
@@ -25,456 +35,2560 @@ function safeUpdateBadge(text, tabId) {
     }
 }
 
+// --- DETECTION PERSISTENCE ---
+// The worker is stopped when idle, so detections are mirrored to storage.session (cleared
+// with the browser session) and read back on wake. Closing a tab or leaving the page drops them.
+const detectionsRestored = chrome.storage.session.get(['detectedMedia', 'detectedSubtitles']).then(data => {
+    for (const [map, stored] of [[detectedMedia, data.detectedMedia], [detectedSubtitles, data.detectedSubtitles]]) {
+        for (const [tabId, items] of Object.entries(stored || {})) {
+            // Anything sniffed since the wake goes after the restored entries
+            const id = Number(tabId);
+            if (map.has(id)) map.get(id).unshift(...items);
+            else map.set(id, items);
+        }
+    }
+}).catch(() => { });
+
+let persistTimer = null;
+function persistDetections() {
+    // Batched: one page load can fire dozens of detections
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(() => detectionsRestored.then(() => {
+        const media = {};
+        for (const [tabId, list] of detectedMedia) media[tabId] = list.map(({ downloadState, ...v }) => v);
+        chrome.storage.session.set({ detectedMedia: media, detectedSubtitles: Object.fromEntries(detectedSubtitles) }).catch(() => { });
+    }), 500);
+}
+
+// Drops a tab's detections; videos still downloading keep their entry
+// pageUrl: the document the tab navigated to, kept when it is a detection itself
+function forgetTab(tabId, pageUrl = null) {
+    clearTimeout(autoDownloadTimers.get(tabId));
+    autoDownloadTimers.delete(tabId);
+    autoDownloaded.delete(tabId);
+    const list = detectedMedia.get(tabId) || [];
+    const keep = list.filter(v => activeDownloads.has(v.url) || v.url === pageUrl);
+    for (const v of list) {
+        if (keep.includes(v)) continue;
+        liveStreams.delete(v.url);
+        if (v.type !== MediaTypes.MSE) continue;
+        for (const key of mseWrites.keys()) if (key.startsWith(`${v.captureId}_`)) mseWrites.delete(key);
+        deleteChunks(`mse_${v.captureId}_`).catch(() => { });
+    }
+    if (keep.length) detectedMedia.set(tabId, keep);
+    else detectedMedia.delete(tabId);
+    const subtitles = (detectedSubtitles.get(tabId) || []).filter(s => s.url === pageUrl);
+    if (subtitles.length) detectedSubtitles.set(tabId, subtitles);
+    else detectedSubtitles.delete(tabId);
+    persistDetections();
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    detectionsRestored.then(() => forgetTab(tabId));
+});
+
+// A top-frame navigation (or reload) starts a new page with its own media. A media URL opened
+// in the tab is detected from its main_frame response before the commit: that one stays.
+chrome.webNavigation.onCommitted.addListener((details) => {
+    if (details.frameId !== 0) return;
+    detectionsRestored.then(() => {
+        forgetTab(details.tabId, details.url);
+        updateBadge(details.tabId);
+    });
+});
+
+// SPA route changes (history.pushState) count as navigation too, unless keepSpaDetections is set
+chrome.webNavigation.onHistoryStateUpdated.addListener(async (details) => {
+    if (details.frameId !== 0) return;
+    const { keepSpaDetections } = await cachedSettings();
+    if (keepSpaDetections) return;
+    await detectionsRestored;
+    forgetTab(details.tabId);
+    updateBadge(details.tabId);
+});
+
+// --- SETTINGS (see settings.js) ---
+// Read from storage.sync once and kept until a synced setting changes: enrichVideo, every
+// segment pool and every notification ask for them
+let settingsCache = null;
+
+function cachedSettings() {
+    if (!settingsCache) {
+        settingsCache = getSettings();
+        settingsCache.catch(() => { settingsCache = null; });
+    }
+    return settingsCache;
+}
+
+// --- DETECTION RULES (see detectionRules.js) ---
+let detectionRules = [];
+const rulesLoaded = cachedSettings().then(settings => {
+    detectionRules = settings.detectionRules;
+}).catch(() => { });
+
+// Auto-download waits for the page to settle (master playlist and variants, several files)
+// and then starts one download per page through the queue
+const AUTO_DOWNLOAD_DELAY = 3000;
+const autoDownloadTimers = new Map(); // tabId -> timeout
+const autoDownloaded = new Set(); // tabId, cleared on navigation
+
+function scheduleAutoDownload(tabId, rule) {
+    if (autoDownloaded.has(tabId)) return;
+    clearTimeout(autoDownloadTimers.get(tabId));
+    autoDownloadTimers.set(tabId, setTimeout(() => autoDownload(tabId, rule), AUTO_DOWNLOAD_DELAY));
+}
+
+async function autoDownload(tabId, rule) {
+    autoDownloadTimers.delete(tabId);
+    // MSE captures are still growing while the video plays, they are never picked
+    const detected = (detectedMedia.get(tabId) || []).filter(v => v.type !== MediaTypes.MSE);
+    const candidates = await Promise.all(preferredOnly(rule, detected).map(v => enrichVideo(v)));
+    const usable = candidates.filter(v => passesDuration(rule, v.duration));
+    if (!usable.length || autoDownloaded.has(tabId)) return;
+    autoDownloaded.add(tabId);
+
+    // Best quality: a stream (the first playlist is the master, its top variant gets picked), else the largest file
+    const best = usable.find(v => v.type === MediaTypes.HLS || v.type === MediaTypes.DASH) || usable.sort((a, b) => b.size - a.size)[0];
+    const { headers, ...video } = best;
+    console.log('[DEBUG] Auto-download:', video.url);
+    enqueueDownload({ ...video, sourceUrl: video.url });
+}
+
 // --- 1. NETWORK SNIFFER ---
 chrome.webRequest.onHeadersReceived.addListener((details) => {
     if (details.tabId === -1) return;
+    const requestHeaders = takeRequestHeaders(details.requestId);
     const type = detectMediaType(details);
+    if (type && mediaKind(type) === MediaKinds.AUDIO && isStreamSegment(details.tabId, details.url)) return;
     if (type) {
-        const metadata = extractMetadata(details, type);
+        const metadata = { ...extractMetadata(details, type), requestHeaders };
         if (!detectedMedia.has(details.tabId)) detectedMedia.set(details.tabId, []);
         const list = detectedMedia.get(details.tabId);
 
-        // Dedup by URL
-        if (!list.find(v => v.url === details.url)) {
-            chrome.tabs.get(details.tabId, (tab) => {
-                if (chrome.runtime.lastError) return;
-                const pageTitle = (tab.title || 'video').replace(/[^a-z0-9_\-]/gi, '_').substring(0, 50);
-
-                // Smart Naming
-                if (type === 'hls' || type === 'dash') {
-                    const count = list.filter(v => v.filename.startsWith(pageTitle)).length;
-                    metadata.filename = `${pageTitle}${count > 0 ? '_' + (count + 1) : ''}.ts`;
-                } else if (metadata.filename.match(/^master|^manifest/)) {
-                    metadata.filename = `${pageTitle}.ts`;
-                }
+        // Dedup by URL (an entry found in the DOM gets the response's size and headers)
+        const known = list.find(v => v.url === details.url);
+        if (known) {
+            if (known.source === 'dom' && !known.headers) {
+                Object.assign(known, { type, size: metadata.size, headers: metadata.headers, requestHeaders });
+                persistDetections();
+            }
+            return;
+        }
+        chrome.tabs.get(details.tabId, async (tab) => {
+            if (chrome.runtime.lastError) return;
+
+            // Per-site rules: ad pre-rolls, previews, tiny loops...
+            await rulesLoaded;
+            const rule = resolveRules(detectionRules, tab.url);
+            const skip = ignoreReason(rule, metadata);
+            if (skip) return console.log(`[DEBUG] Ignored ${details.url}: ${skip}`);
+
+            if (!addDetection(tab, details.tabId, metadata)) return;
+            updateBadge(details.tabId);
+            persistDetections();
+            if (rule.autoDownload) scheduleAutoDownload(details.tabId, rule);
+        });
+    } else {
+        const format = detectSubtitleType(details);
+        if (format) rememberSubtitle(details, format);
+    }
+}, { urls: ["<all_urls>"] }, ["responseHeaders"]);
+
+// Audio segments with an ordinary name (HLS renditions, DASH audio/mp4): an audio response in
+// the folder of a playlist already detected in the tab, or below it, belongs to that stream
+function isStreamSegment(tabId, url) {
+    const path = url.split('?')[0];
+    return (detectedMedia.get(tabId) || []).some(v => {
+        if (mediaKind(v.type) !== MediaKinds.STREAM) return false;
+        const folder = v.url.split('?')[0].replace(/[^/]*$/, '');
+        // A playlist at the site root would claim every file of the host
+        return new URL(folder).pathname !== '/' && path.startsWith(folder);
+    });
+}
+
+// Names the entry after its page and lists it; false if the URL is already listed
+function addDetection(tab, tabId, metadata) {
+    if (!detectedMedia.has(tabId)) detectedMedia.set(tabId, []);
+    const list = detectedMedia.get(tabId);
+    if (list.find(v => v.url === metadata.url)) return false;
+
+    const pageTitle = (tab.title || 'video').replace(/[^a-z0-9_\-]/gi, '_').substring(0, 50);
+
+    // Smart Naming
+    if (mediaKind(metadata.type) === MediaKinds.STREAM) {
+        const count = list.filter(v => v.filename.startsWith(pageTitle)).length;
+        metadata.filename = `${pageTitle}${count > 0 ? '_' + (count + 1) : ''}.ts`;
+    } else if (metadata.filename.match(/^master|^manifest/)) {
+        metadata.filename = `${pageTitle}.ts`;
+    }
+
+    metadata.pageTitle = tab.title;
+    metadata.pageUrl = tab.url; // Referer
+    metadata.tabId = tabId;
+    metadata.timestamp = Date.now(); // ADDED: Timestamp
+    list.push(metadata);
+    logMedia(metadata.url, `Detected (${metadata.type}, ${metadata.source || 'network'}) on ${tab.url}`);
+    return true;
+}
+
+// What the popup lists: one entry per URL, and one per page title within 15 seconds
+// (a master playlist and its variants, the same file under two URLs...)
+function dedupeDetections(list) {
+    const unique = [];
+    const seenUrls = new Set();
+    const seenTitles = new Map(); // Title -> Timestamp
+
+    list.forEach(v => {
+        if (seenUrls.has(v.url)) return;
+        seenUrls.add(v.url);
+
+        // Smart Deduplication
+        if (v.pageTitle && v.pageTitle !== 'video' && v.type !== MediaTypes.MSE) {
+            const lastSeen = seenTitles.get(v.pageTitle);
+            // If seen within last 15 seconds, ignore
+            if (lastSeen && (v.timestamp - lastSeen < 15000)) return;
+
+            seenTitles.set(v.pageTitle, v.timestamp);
+        }
+        unique.push(v);
+    });
+    return unique;
+}
+
+// Segments of one segmented track (seg1.vtt, seg2.vtt, ...) share a pattern: those
+// belong to an HLS/DASH text track and are not listed as files of their own.
+function rememberSubtitle(details, format) {
+    const path = details.url.split('?')[0];
+    const file = path.substring(path.lastIndexOf('/') + 1);
+    const pattern = path.substring(0, path.length - file.length) + file.replace(/\d+/g, '#');
+
+    if (!detectedSubtitles.has(details.tabId)) detectedSubtitles.set(details.tabId, []);
+    const list = detectedSubtitles.get(details.tabId);
+    const same = list.find(s => s.pattern === pattern);
+    if (same) {
+        if (same.url !== details.url && !same.segmented) {
+            same.segmented = true;
+            persistDetections();
+        }
+        return;
+    }
+
+    let name = file;
+    try { name = decodeURIComponent(file); } catch (e) { }
+    const lang = name.match(/(?:^|[._-])([a-z]{2,3}(?:-[A-Za-z]{2,4})?)\.(?:web)?(?:vtt|srt)$/i);
+    list.push({ source: 'file', url: details.url, format, pattern, segmented: false, language: lang ? lang[1] : '', name });
+    persistDetections();
+}
+
+// --- DOM DISCOVERY (content.js) ---
+// Media the page references (<video>/<audio>/<source>, og:video, JSON-LD, links). Typed from
+// the URL and the declared MIME type; the player element vouches for extensionless sources.
+async function handleDomMedia(msg, sender) {
+    await detectionsRestored;
+    await rulesLoaded;
+    const tab = sender.tab;
+    const rule = resolveRules(detectionRules, tab.url);
+    let added = 0;
+
+    for (const item of msg.items || []) {
+        const details = { url: item.url, responseHeaders: item.mime ? [{ name: 'Content-Type', value: item.mime }] : [] };
+        const type = detectMediaType(details) ||
+            (item.source === 'video' ? MediaTypes.UNKNOWN : item.source === 'audio' ? MediaTypes.AUDIO : null);
+        if (!type) continue;
+
+        const metadata = { ...extractMetadata(details, type), headers: null, source: 'dom' };
+        const skip = ignoreReason(rule, metadata);
+        if (skip) {
+            console.log(`[DEBUG] Ignored ${item.url}: ${skip}`);
+            continue;
+        }
+        if (addDetection(tab, tab.id, metadata)) added++;
+    }
+
+    if (!added) return;
+    console.log(`[DEBUG] DOM discovery: ${added} new item(s) in tab ${tab.id}`);
+    updateBadge(tab.id);
+    persistDetections();
+    if (rule.autoDownload) scheduleAutoDownload(tab.id, rule);
+}
+
+// --- REQUEST HEADERS (cookies, auth, origin) ---
+// Streams behind cookies, Authorization or an Origin check answer 403 to a bare fetch. The
+// headers the page sent for a detected URL are kept with it and replayed by every engine.
+// fetch() may not set the browser-owned ones, a session rule adds those to our own requests.
+const REPLAY_HEADERS = ['authorization', 'cookie', 'origin', 'referer', 'user-agent'];
+const BROWSER_HEADERS = ['cookie', 'origin', 'referer', 'user-agent'];
+const pendingRequestHeaders = new Map(); // requestId -> headers, until the response arrives
+
+chrome.webRequest.onBeforeSendHeaders.addListener((details) => {
+    if (details.tabId === -1) return;
+    const headers = {};
+    for (const h of details.requestHeaders || []) {
+        const name = h.name.toLowerCase();
+        // Custom auth / token headers (x-auth-token, x-playback-session-id...) go along too
+        if (REPLAY_HEADERS.includes(name) || (name.startsWith('x-') && name !== 'x-client-data')) headers[name] = h.value;
+    }
+    if (Object.keys(headers).length) pendingRequestHeaders.set(details.requestId, headers);
+}, { urls: ["<all_urls>"], types: ['main_frame', 'sub_frame', 'media', 'xmlhttprequest', 'other'] }, ['requestHeaders', 'extraHeaders']);
+
+chrome.webRequest.onErrorOccurred.addListener((details) => {
+    pendingRequestHeaders.delete(details.requestId);
+}, { urls: ["<all_urls>"] });
+
+// They hold cookies and tokens, so they are never written to disk: the queue and the HLS jobs
+// are saved without them and a resumed download finds them again on its detection or in this
+// copy (memory, mirrored to storage.session). replayHeaders adds fresh cookies on top.
+const streamHeaders = new Map(); // stream id -> headers of a started download
+const streamHeadersRestored = chrome.storage.session.get(['streamHeaders']).then(data => {
+    for (const [id, headers] of Object.entries(data.streamHeaders || {})) if (!streamHeaders.has(id)) streamHeaders.set(id, headers);
+}).catch(() => { });
+
+function rememberRequestHeaders(video) {
+    const id = video.sourceUrl || video.url;
+    if (!Object.keys(video.requestHeaders || {}).length || streamHeaders.get(id) === video.requestHeaders) return;
+    streamHeaders.set(id, video.requestHeaders);
+    chrome.storage.session.set({ streamHeaders: Object.fromEntries(streamHeaders) }).catch(() => { });
+}
+
+function withoutRequestHeaders(video) {
+    const { requestHeaders, ...rest } = video;
+    return rest;
+}
+
+function takeRequestHeaders(requestId) {
+    const headers = pendingRequestHeaders.get(requestId) || null;
+    pendingRequestHeaders.delete(requestId);
+    return headers;
+}
+
+// The popup sends a trimmed copy of the video: fall back to what the detection recorded
+function requestHeadersFor(video) {
+    if (video.requestHeaders) return video.requestHeaders;
+    const id = video.sourceUrl || video.url;
+    for (const list of detectedMedia.values()) {
+        const found = list.find(v => v.url === id || v.url === video.url);
+        if (found?.requestHeaders) return found.requestHeaders;
+    }
+    return streamHeaders.get(id) || {};
+}
 
-                metadata.pageTitle = tab.title;
-                metadata.pageUrl = tab.url; // Referer
-                metadata.tabId = details.tabId;
-                metadata.timestamp = Date.now(); // ADDED: Timestamp
-                list.push(metadata);
-                updateBadge(details.tabId);
+// Headers are only replayed to the hosts of the detected URLs (CDN segments on other hosts get none)
+function headerHosts(video) {
+    const hosts = new Set();
+    for (const url of [video.url, video.sourceUrl, video.audioUrl]) {
+        try { if (url) hosts.add(new URL(url).hostname); } catch (e) { }
+    }
+    return [...hosts];
+}
+
+// Fresh cookies beat the ones captured at detection time (sessions get refreshed)
+async function replayHeaders(video) {
+    const headers = { referer: video.pageUrl, 'user-agent': navigator.userAgent, ...requestHeadersFor(video) };
+    const cookies = await chrome.cookies.getAll({ url: video.url }).catch(() => []);
+    if (cookies.length) headers.cookie = cookies.map(c => `${c.name}=${c.value}`).join('; ');
+    for (const name of Object.keys(headers)) if (!headers[name]) delete headers[name];
+    return headers;
+}
+
+// What fetch() may send itself (Authorization, x-*), for requests to the stream's hosts
+function fetchableHeaders(video, url) {
+    let host = '';
+    try { host = new URL(url, video.url).hostname; } catch (e) { return {}; }
+    if (!headerHosts(video).includes(host)) return {};
+    return Object.fromEntries(Object.entries(video.requestHeaders || {}).filter(([name]) => !BROWSER_HEADERS.includes(name)));
+}
+
+// Session rules die with the browser; ones left by a worker that stopped mid-download are dropped
+const headerRulesReset = chrome.declarativeNetRequest.getSessionRules()
+    .then(rules => chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: rules.map(r => r.id) }))
+    .catch(() => { });
+let nextHeaderRuleId = 1;
+
+// Runs a browser-engine download with the page's headers on our requests to the stream's hosts
+async function withRequestHeaders(video, run) {
+    video.requestHeaders = requestHeadersFor(video);
+    let ruleId = null;
+    try {
+        await headerRulesReset;
+        const headers = Object.entries(await replayHeaders(video)).filter(([name]) => BROWSER_HEADERS.includes(name));
+        if (headers.length) {
+            ruleId = nextHeaderRuleId++;
+            await chrome.declarativeNetRequest.updateSessionRules({
+                addRules: [{
+                    id: ruleId,
+                    priority: 1,
+                    action: {
+                        type: 'modifyHeaders',
+                        requestHeaders: headers.map(([header, value]) => ({ header, operation: 'set', value }))
+                    },
+                    condition: {
+                        requestDomains: headerHosts(video),
+                        tabIds: [chrome.tabs.TAB_ID_NONE],
+                        resourceTypes: ['xmlhttprequest', 'other']
+                    }
+                }]
             });
         }
+    } catch (e) {
+        console.warn('[DEBUG] Header rule failed, downloading without the page headers:', e);
+        ruleId = null;
     }
-}, { urls: ["<all_urls>"] }, ["responseHeaders"]);
+    try {
+        return await run();
+    } finally {
+        if (ruleId) chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [ruleId] }).catch(() => { });
+    }
+}
 
 // --- 2. MESSAGE BUS ---
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-    // A. Popup requests videos
+    // A. Popup requests videos (the active tab's; every tab's with allTabs, for the dashboard)
     if (msg.action === 'GET_VIDEOS') {
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            const tab = tabs[0];
-            if (!tab) return sendResponse({ videos: [] });
+        const query = msg.allTabs ? {} : { active: true, currentWindow: true };
+        detectionsRestored.then(() => chrome.tabs.query(query, (tabs) => {
+            if (!tabs.length) return sendResponse({ videos: [] });
+            // Screenshots only show the active tab of the focused window, which is the popup's page
+            listDetections(tabs, !msg.allTabs).then(videos => sendResponse({
+                videos,
+                sidecarSubtitles: tabs.reduce((n, tab) => n + (detectedSubtitles.get(tab.id) || []).filter(s => !s.segmented).length, 0),
+                tabs: msg.allTabs ? tabs.filter(tab => detectedMedia.has(tab.id)).map(tab => ({ id: tab.id, title: tab.title, url: tab.url })) : undefined
+            }));
+        }));
+        return true;
+    }
+
+    // B. Cancel/Download Control
+    if (msg.action === 'CANCEL_DOWNLOAD') {
+        if (activeDownloads.has(msg.url)) {
+            const entry = activeDownloads.get(msg.url);
+            // Stopping a recording keeps what was recorded so far
+            if (entry.recording) entry.stopRequested = true;
+            else entry.cancelled = true;
+            activeDownloads.set(msg.url, entry);
+            // The companion app runs on its own: it stops ffmpeg and reports 'cancelled'
+            if (entry.nativeJob) sendToNative({ action: 'CANCEL', target: entry.nativeJob }).catch(e => console.warn('[DEBUG] Native cancel failed:', e));
+            sendResponse({ status: entry.recording ? 'stopping' : 'cancelled' });
+        } else {
+            // Still waiting in the queue: drop the entry
+            const queued = queueEntry(msg.url);
+            if (queued) {
+                downloadQueue.splice(downloadQueue.indexOf(queued), 1);
+                saveQueue();
+                if (queued.status === 'queued') notifyCancelled(msg.url, queued.video.tabId);
+            }
+            // A paused job has no running loop to stop: discard it directly
+            getJob(msg.url).then(job => {
+                if (!job) return sendResponse({ status: 'not_found' });
+                discardJob(job).then(() => sendResponse({ status: 'cancelled' }));
+            }).catch(() => sendResponse({ status: 'not_found' }));
+        }
+        return true;
+    }
+
+    // C. Get Variants
+    if (msg.action === 'GET_VARIANTS') {
+        handleGetVariants(msg).then(sendResponse);
+        return true;
+    }
+
+    // C1. Dashboard detail view
+    if (msg.action === 'GET_MEDIA_DETAILS') {
+        handleGetMediaDetails(msg).then(sendResponse);
+        return true;
+    }
+
+    // C2. Get Subtitles (stream text tracks + sidecar files seen on the page)
+    if (msg.action === 'GET_SUBTITLES') {
+        handleGetSubtitles(msg).then(sendResponse);
+        return true;
+    }
+
+    // D. Start Download (through the queue)
+    if (msg.action === 'DOWNLOAD_MEDIA') {
+        if (!msg.video) return false;
+        enqueueDownload(msg.video).then(entry => sendResponse({ status: entry.status }));
+        return true;
+    }
+
+    // D2. Queue Control
+    if (msg.action === 'GET_QUEUE') {
+        handleGetQueue().then(sendResponse);
+        return true;
+    }
+
+    if (msg.action === 'PAUSE_DOWNLOAD') {
+        loadQueue().then(() => sendResponse({ status: pauseDownload(msg.url) }));
+        return true;
+    }
+
+    if (msg.action === 'RESUME_DOWNLOAD') {
+        loadQueue().then(() => sendResponse({ status: resumeDownload(msg.url) }));
+        return true;
+    }
+
+    if (msg.action === 'REORDER_QUEUE') {
+        loadQueue().then(() => sendResponse({ status: reorderQueue(msg.url, msg.index) }));
+        return true;
+    }
+
+    if (msg.action === 'CLEAR_QUEUE') {
+        loadQueue().then(() => {
+            for (let i = downloadQueue.length - 1; i >= 0; i--) {
+                if (downloadQueue[i].status === 'done') downloadQueue.splice(i, 1);
+            }
+            saveQueue();
+            sendResponse({ status: 'cleared' });
+        });
+        return true;
+    }
+
+    // D3. Download History
+    if (msg.action === 'GET_HISTORY') {
+        getAllHistory().then(entries => sendResponse({ history: entries.sort((a, b) => b.date - a.date) }))
+            .catch(() => sendResponse({ history: [] }));
+        return true;
+    }
+
+    if (msg.action === 'DELETE_HISTORY') {
+        deleteHistory(msg.id).then(() => sendResponse({ status: 'deleted' }))
+            .catch(err => sendResponse({ status: 'error', error: err.message }));
+        return true;
+    }
+
+    // E. Reset Counter
+    if (msg.action === 'RESET_COUNTER') {
+        chrome.storage.local.set({ serialCounter: 1, siteCounters: {} }, () => {
+            console.log('[DEBUG] Serial Counter Reset to 1');
+            sendResponse({ status: 'reset', value: 1 });
+        });
+        return true;
+    }
+
+    // F. MSE capture toggle: answers once the page hook is (un)registered
+    if (msg.action === 'SET_MSE_CAPTURE') {
+        saveSettings({ mseCapture: !!msg.enabled })
+            .then(syncMseHook)
+            .then(() => sendResponse({ status: 'ok' }))
+            .catch(err => sendResponse({ status: 'error', error: err.message }));
+        return true;
+    }
+
+    // G. MSE data forwarded by content.js (mseHook.js in the page)
+    if (msg.action === 'MSE_CAPTURE') {
+        if (sender.tab) handleMseCapture(msg, sender).catch(e => console.warn('[DEBUG] MSE capture failed:', e));
+        return;
+    }
+
+    // H. Media referenced by the page, found by content.js
+    if (msg.action === 'DOM_MEDIA') {
+        if (sender.tab) handleDomMedia(msg, sender).catch(e => console.warn('[DEBUG] DOM discovery failed:', e));
+        return;
+    }
+
+    // I. Settings for pages that cannot import settings.js (popup); validated like the options page
+    if (msg.action === 'GET_SETTINGS') {
+        cachedSettings().then(settings => sendResponse({ status: 'ok', settings }))
+            .catch(err => sendResponse({ status: 'error', error: err.message }));
+        return true;
+    }
+    if (msg.action === 'SAVE_SETTINGS') {
+        saveSettings(msg.changes || {}).then(settings => sendResponse({ status: 'ok', settings }))
+            .catch(err => sendResponse({ status: 'error', error: err.message }));
+        return true;
+    }
+});
+
+// --- ENRICHMENT LOGIC ---
+// Detections of the given tabs with their download state, enriched (newest first) and filtered
+// by each page's detection rules
+async function listDetections(tabs, capture) {
+    const unique = [];
+    for (const tab of tabs) {
+        dedupeDetections(detectedMedia.get(tab.id) || []).forEach(v => {
+            // --- INJECT PERSISTENT STATE ---
+            v.kind = mediaKind(v.type);
+            if (liveStreams.has(v.url)) v.live = true;
+            if (activeDownloads.has(v.url)) {
+                const state = activeDownloads.get(v.url);
+                v.downloadState = {
+                    status: state.recording ? 'recording' : 'downloading',
+                    percent: state.percent || 0,
+                    speed: state.speed || '',
+                    elapsed: state.elapsed || 0
+                };
+            } else if (queueEntry(v.url)?.status === 'queued') {
+                v.downloadState = { status: 'queued' };
+            } else if (completedDownloads.has(v.url)) {
+                v.downloadState = { status: 'downloaded' };
+            }
+
+            unique.push(v);
+        });
+    }
+
+    // Persisted jobs outlive the worker and the tab: show them as Paused/Resuming
+    const jobs = await getAllJobs().catch(() => []);
+    for (const job of jobs) {
+        if (activeDownloads.has(job.id) || queueEntry(job.id)?.status === 'queued') continue;
+        let v = unique.find(u => u.url === job.id);
+        if (!v) {
+            v = { ...job.video, timestamp: job.createdAt };
+            unique.unshift(v);
+        }
+        v.downloadState = { status: job.status === 'paused' ? 'paused' : 'resuming', percent: job.percent || 0, error: job.error };
+    }
+    // Enrich with Duration/Thumb (Newest First)
+    const final = await Promise.all(unique.map(v => enrichVideo(v, capture)));
+
+    // Rules that need the page's metadata: minimum duration, preferred type
+    const pages = new Map(tabs.map(tab => [tab.id, tab.url]));
+    const preferred = new Set();
+    for (const tab of tabs) {
+        preferredOnly(resolveRules(detectionRules, tab.url), final.filter(v => v.tabId === tab.id)).forEach(v => preferred.add(v));
+    }
+    return final.filter(v => v.downloadState ||
+        (preferred.has(v) && passesDuration(resolveRules(detectionRules, pages.get(v.tabId)), v.duration))).reverse();
+}
+
+// capture: fall back to a screenshot of the visible tab when the page has no usable frame
+async function enrichVideo(video, capture = true) {
+    if (!video.tabId) return video;
+    const timeout = new Promise(r => setTimeout(() => r(video), 1200));
+    const { captureThumbnails } = await cachedSettings();
+
+    const fetchMeta = new Promise(resolve => {
+        chrome.tabs.sendMessage(video.tabId, { action: 'GET_METADATA', thumbnails: captureThumbnails }, video.frameId ? { frameId: video.frameId } : {}, async (meta) => {
+            if (chrome.runtime.lastError || !meta) return resolve(video);
+
+            let thumb = video.thumbnail || meta.thumbnail;
+            if (!thumb && meta.captureRect && captureThumbnails && capture) {
+                try {
+                    const ss = await chrome.tabs.captureVisibleTab(null, { format: 'jpeg', quality: 50 });
+                    await setupOffscreen();
+                    const crop = await chrome.runtime.sendMessage({ action: 'cropImage', imageUrl: ss, rect: meta.captureRect });
+                    if (crop?.status === 'success') thumb = crop.url;
+                } catch (e) { }
+            }
+            resolve({
+                ...video,
+                duration: meta.duration || video.duration,
+                thumbnail: thumb,
+                pageTitle: video.pageTitle || meta.pageTitle,
+                downloaded: completedDownloads.has(video.url)
+            });
+        });
+    });
+    return Promise.race([fetchMeta, timeout]);
+}
+
+// The detection a popup request is about (its page headers go along), or a bare stand-in
+function detectedVideo(tabId, url) {
+    return (detectedMedia.get(tabId) || []).find(v => v.url === url) || { url, tabId };
+}
+
+// --- VARIANT LOGIC ---
+async function handleGetVariants(msg) {
+    await detectionsRestored;
+    const video = detectedVideo(msg.tabId, msg.url);
+    return withRequestHeaders(video, () => readVariants(msg, video));
+}
+
+async function readVariants(msg, video) {
+    try {
+        const text = await fetchText(msg.url, video);
+        const parser = new HLSParser(msg.url, text);
+        if (!parser.isMaster()) {
+            if (parser.isLive()) liveStreams.add(msg.url);
+            return { variants: [], audioTracks: [], live: parser.isLive() };
+        }
+
+        // The top variant tells whether the stream is live, and gives the size estimate a duration
+        let duration = msg.duration || 0;
+        let live = false;
+        const first = parser.getVariants()[0];
+        if (first) {
+            try {
+                const media = new HLSParser(first.url, await fetchText(first.url, video));
+                live = media.isLive();
+                if (!duration && !live) duration = media.getTotalDuration();
+            } catch (e) { }
+        }
+        if (live) liveStreams.add(msg.url);
+        // Renditions without a URI are muxed into the variant itself, nothing to choose
+        const audioTracks = [];
+        for (const m of parser.getMedia('AUDIO')) {
+            if (!m.url || audioTracks.some(a => a.url === m.url)) continue;
+            audioTracks.push({ url: m.url, name: m.name, language: m.language, groupId: m.groupId, default: m.default });
+        }
+        return { variants: parser.getVariants(live ? 0 : duration), audioTracks, live };
+    } catch (e) {
+        return { variants: [], audioTracks: [] };
+    }
+}
+
+// --- MEDIA DETAILS (dashboard) ---
+// Everything the dashboard's detail view shows for one URL: the stored detection (headers
+// included), its variants or representations, how many segments the default pick has, and
+// its log. The playlist is fetched with the page's headers, like a download would.
+async function handleGetMediaDetails(msg) {
+    await detectionsRestored;
+    await loadQueue();
+    const video = [...detectedMedia.values()].flat().find(v => v.url === msg.url) || queueEntry(msg.url)?.video || null;
+    const details = { video, variants: [], audioTracks: [], representations: [], segments: null, logs: mediaLogs.get(msg.url) || [] };
+    if (!video) return details;
+
+    try {
+        const { defaultQuality } = await cachedSettings();
+        if (video.type === MediaTypes.HLS) {
+            let parser = new HLSParser(video.url, await fetchText(video.url, video));
+            if (parser.isMaster()) {
+                details.variants = parser.getVariants(video.duration || 0);
+                details.audioTracks = parser.getMedia('AUDIO').filter(m => m.url).map(m => ({ url: m.url, name: m.name, language: m.language, groupId: m.groupId, default: m.default }));
+                const variant = pickVariant(details.variants, defaultQuality);
+                if (variant) parser = new HLSParser(variant.url, await fetchText(variant.url, video));
+            }
+            details.segments = parser.getEntries().length;
+            details.live = parser.isLive();
+        } else if (video.type === MediaTypes.DASH) {
+            const text = await fetchText(video.url, video);
+            await setupOffscreen();
+            const parsed = await chrome.runtime.sendMessage({ action: 'parseMPD', url: video.url, text });
+            if (parsed?.status !== 'success') throw new Error(parsed?.error || 'MPD parse failed');
+            const mpd = parsed.mpd;
+            details.live = mpd.type === 'dynamic';
+            details.representations = (mpd.periods[0]?.adaptationSets || []).flatMap(set => set.representations.map(r => ({
+                id: r.id, kind: set.contentType, lang: set.lang, mimeType: r.mimeType, codecs: r.codecs,
+                width: r.width, height: r.height, bandwidth: r.bandwidth, protected: set.protected || r.protected
+            })));
+            // Same picks as downloadDASH, across every period
+            let prevVideo = null, prevAudio = null;
+            details.segments = 0;
+            for (const period of mpd.periods) {
+                prevVideo = pickDashRepresentation(period, 'video', prevVideo, defaultQuality);
+                prevAudio = pickDashRepresentation(period, 'audio', prevAudio, defaultQuality);
+                details.segments += (prevVideo?.segments.length || 0) + (prevAudio?.segments.length || 0);
+            }
+        } else if (video.type === MediaTypes.MSE) {
+            details.segments = (video.tracks || []).reduce((n, track) => n + (track?.chunks || 0), 0);
+        }
+    } catch (e) {
+        details.error = e.message;
+    }
+    return details;
+}
+
+// --- SUBTITLE LOGIC ---
+async function handleGetSubtitles(msg) {
+    await detectionsRestored;
+    const video = detectedVideo(msg.tabId, msg.url);
+    const subtitles = [];
+    try {
+        await withRequestHeaders(video, async () => {
+            if (msg.type === MediaTypes.HLS) {
+                const text = await fetchText(msg.url, video);
+                for (const m of new HLSParser(msg.url, text).getMedia('SUBTITLES')) {
+                    if (!m.url || subtitles.some(s => s.url === m.url)) continue;
+                    subtitles.push({ source: 'hls', url: m.url, format: SubtitleFormats.VTT, language: m.language, name: m.name, default: m.default });
+                }
+            } else if (msg.type === MediaTypes.DASH) {
+                subtitles.push(...await dashSubtitleTracks(msg.url, video));
+            }
+        });
+    } catch (e) {
+        console.warn('[DEBUG] Subtitle discovery failed:', e);
+    }
+
+    // Sidecar files cannot be tied to one video, every card of the tab offers them
+    for (const s of detectedSubtitles.get(msg.tabId) || []) {
+        if (!s.segmented) subtitles.push({ source: s.source, url: s.url, format: s.format, language: s.language, name: s.name });
+    }
+    return { subtitles };
+}
+
+// Plain WebVTT text AdaptationSets (fMP4-wrapped wvtt/TTML are not supported), one track per language across periods
+async function dashSubtitleTracks(url, video) {
+    const text = await fetchText(url, video);
+    await setupOffscreen();
+    const { mpd } = await callOffscreen({ action: 'parseMPD', url, text });
+
+    const tracks = new Map(); // lang|role -> track
+    for (const period of mpd.periods) {
+        for (const set of period.adaptationSets) {
+            const rep = set.representations[0];
+            if (set.contentType !== 'text' || !rep || !/vtt/.test(rep.mimeType || set.mimeType)) continue;
+            const key = `${set.lang}|${set.role}`;
+            if (!tracks.has(key)) {
+                const name = set.role && set.role !== 'subtitle' ? `${set.lang || 'Text'} (${set.role})` : set.lang;
+                tracks.set(key, { source: 'dash', url, format: SubtitleFormats.VTT, language: set.lang, name, segments: [] });
+            }
+            // Cue times are period-relative: shift them onto the presentation timeline
+            tracks.get(key).segments.push(...rep.segments.map(seg => ({ url: seg.url, range: seg.range, offset: rep.timeOffset })));
+        }
+    }
+    return [...tracks.values()];
+}
+
+// --- 3. NATIVE MESSAGING ---
+// One port to the companion app while it has work. Every message carries a jobId: the host
+// answers it once ("starting", "pong" or "error"), then streams progress for a download.
+const HOST_NAME = "com.streamsniffer.pro";
+const NATIVE_REPLY_TIMEOUT = 30000; // a host that never answers must not hold a queue slot
+// chrome.runtime.lastError of connectNative when no manifest is registered for HOST_NAME
+// ("Specified native messaging host not found.") or it does not list this extension
+const NATIVE_HOST_MISSING = /native messaging host not found|access to the specified native messaging host is forbidden/i;
+let nativePort = null;
+const nativeReplies = new Map(); // jobId -> { resolve, reject }, waiting for the first answer
+const nativeJobs = new Map(); // jobId -> { progress(msg), finish(err, msg) } of a running download
+
+function connectNative() {
+    if (nativePort) return nativePort;
+    const port = chrome.runtime.connectNative(HOST_NAME);
+    port.onMessage.addListener(handleNativeMessage);
+    port.onDisconnect.addListener(() => {
+        // Host missing, crashed or closed: nothing it was doing will report back
+        const error = new Error(chrome.runtime.lastError?.message || 'Companion App disconnected');
+        if (nativePort === port) nativePort = null;
+        for (const reply of nativeReplies.values()) reply.reject(error);
+        nativeReplies.clear();
+        for (const job of [...nativeJobs.values()]) job.finish(error);
+    });
+    nativePort = port;
+    return port;
+}
+
+function sendToNative(message) {
+    return new Promise((resolve, reject) => {
+        const jobId = message.jobId || Math.random().toString(36).substring(2, 10);
+        const timer = setTimeout(() => {
+            nativeReplies.delete(jobId);
+            reject(new Error('Companion App did not answer'));
+            releaseNative();
+        }, NATIVE_REPLY_TIMEOUT);
+        const settle = (fn) => (value) => {
+            clearTimeout(timer);
+            fn(value);
+        };
+        nativeReplies.set(jobId, { resolve: settle(resolve), reject: settle(reject) });
+        try {
+            connectNative().postMessage({ ...message, jobId });
+        } catch (e) {
+            nativeReplies.delete(jobId);
+            clearTimeout(timer);
+            reject(e);
+        }
+    });
+}
+
+function handleNativeMessage(msg) {
+    const reply = nativeReplies.get(msg.jobId);
+    if (reply) {
+        nativeReplies.delete(msg.jobId);
+        if (msg.status === 'error') reply.reject(new Error(msg.error || 'Companion App error'));
+        else reply.resolve(msg);
+        return;
+    }
+    const job = nativeJobs.get(msg.jobId);
+    if (!job) {
+        // "starting" after the request timed out: nobody tracks that download, stop it
+        if (msg.status === 'starting') sendToNative({ action: 'CANCEL', target: msg.jobId }).catch(() => { });
+        return;
+    }
+    if (msg.status === 'progress') job.progress(msg);
+    else if (msg.status === 'complete') job.finish(null, msg);
+    else if (msg.status === 'cancelled') job.finish(new Error('Cancelled'));
+    else if (msg.status === 'error') job.finish(new Error(msg.error || 'FFmpeg failed'));
+}
+
+// Nothing left to do: closing the port lets the host process exit
+function releaseNative() {
+    if (!nativePort || nativeReplies.size || nativeJobs.size) return;
+    nativePort.disconnect();
+    nativePort = null;
+}
+
+// Mirrors a companion-app download in the popup, the queue and the history until ffmpeg exits.
+// The job is registered before anything is awaited: a fast ffmpeg failure reports right after
+// "starting", and messages for unknown jobs are dropped. The history id is filled in later.
+function trackNativeDownload(video, started, filename) {
+    const id = video.sourceUrl || video.url;
+    const record = { jobId: started.jobId, id, tabId: video.tabId, filename, historyId: null };
+    const history = addHistory({ ...historyEntry(video, started.file || filename, id), engine: 'native' })
+        .then(historyId => {
+            record.historyId = historyId;
+            if (nativeJobs.has(record.jobId)) saveNativeJobs();
+            return historyId;
+        })
+        .catch(() => null);
+    return watchNativeJob(record, history);
+}
+
+// record: { jobId, id, tabId, filename, historyId }, kept in storage.session so a restarted
+// worker can pick the job up again (see reconcileNativeJobs). history resolves to the history id.
+function watchNativeJob(record, history = Promise.resolve(record.historyId)) {
+    const { jobId, id, tabId, filename } = record;
+    activeDownloads.set(id, { cancelled: false, percent: 0, speed: '', nativeJob: jobId });
+    notifyProgress(id, 0, 'Starting...');
+    safeUpdateBadge('...', tabId);
+
+    return new Promise((resolve) => {
+        nativeJobs.set(jobId, {
+            record,
+            progress(msg) {
+                // No percent when ffmpeg cannot tell the duration: speed and size only
+                const percent = Math.round(msg.percent || 0);
+                const info = [
+                    msg.speed ? `${msg.speed} KB/s` : '',
+                    msg.eta ? `${formatElapsed(msg.eta)} left` : (!msg.percent && msg.size ? `${(msg.size / 1024 / 1024).toFixed(1)}MB` : '')
+                ].filter(Boolean).join(' · ');
+                notifyProgress(id, percent, info);
+                if (msg.percent) safeUpdateBadge(`${percent}%`, tabId);
+            },
+            finish(err, msg) {
+                nativeJobs.delete(jobId);
+                saveNativeJobs();
+                activeDownloads.delete(id);
+                if (err && err.message === 'Cancelled') {
+                    // ffmpeg stopped and the partial file is gone: nothing to keep in the history
+                    notifyCancelled(id, tabId);
+                    history.then(historyId => historyId !== null && deleteHistory(historyId)).catch(() => { });
+                } else if (err) {
+                    console.error("[DEBUG] NATIVE DOWNLOAD FAILED:", err);
+                    safeUpdateBadge('ERR', tabId);
+                    notify('Error', err.message, true);
+                    notifyProgress(id, 0, 'Error', 'Error', err.message);
+                    history.then(historyId => historyId !== null && updateHistoryEntry(historyId, { state: 'interrupted', error: err.message })).catch(() => { });
+                } else {
+                    console.log('[DEBUG] Native download complete:', msg.file);
+                    logMedia(id, `Saved ${msg.file || filename}`);
+                    completedDownloads.add(id);
+                    if (tabId) updateBadge(tabId);
+                    history.then(historyId => historyId !== null && updateHistoryEntry(historyId, { state: 'complete', filename: msg.file || filename, size: msg.size || 0 })).catch(() => { });
+                    chrome.runtime.sendMessage({ action: 'DOWNLOAD_COMPLETE', url: id }).catch(() => { });
+                }
+                releaseNative();
+                resolve();
+            }
+        });
+        saveNativeJobs();
+    });
+}
+
+function saveNativeJobs() {
+    chrome.storage.session.set({ nativeJobs: [...nativeJobs.values()].map(job => job.record) }).catch(() => { });
+}
+
+// Progress is pushed to the port of the host process that started the job. After a worker
+// restart that port is gone (Chrome starts a new host), so the registry is polled instead.
+function pollNativeJob(jobId) {
+    const timer = setInterval(() => {
+        if (!nativeJobs.has(jobId)) return clearInterval(timer);
+        sendToNative({ action: 'STATUS', target: jobId })
+            .then(res => handleNativeMessage({ ...res.job, status: res.job.state === 'running' ? 'progress' : res.job.state, jobId }))
+            .catch(err => nativeJobs.get(jobId)?.finish(err));
+    }, 1000);
+}
+
+// Worker restarted: native downloads still running (or finished meanwhile) are picked up
+// again; ones the host no longer knows are marked failed and run again from the queue
+async function reconcileNativeJobs() {
+    const { nativeJobs: records = [] } = await chrome.storage.session.get(['nativeJobs']);
+    if (!records.length) return;
+    const listed = await sendToNative({ action: 'LIST_JOBS' }).then(res => res.jobs || []).catch(() => []);
+    for (const record of records) {
+        if (nativeJobs.has(record.jobId)) continue;
+        if (!listed.some(job => job.jobId === record.jobId)) {
+            console.warn('[DEBUG] Native job lost:', record.jobId);
+            if (record.historyId !== null) updateHistoryEntry(record.historyId, { state: 'interrupted', error: 'Companion App stopped' }).catch(() => { });
+            continue;
+        }
+        console.log('[DEBUG] Reattaching native job:', record.jobId);
+        const entry = queueEntry(record.id);
+        if (entry) runQueued(entry, () => watchNativeJob(record));
+        else watchNativeJob(record);
+        pollNativeJob(record.jobId);
+    }
+    saveNativeJobs();
+    releaseNative();
+}
+
+// --- DOWNLOAD QUEUE ---
+// Every download goes through the queue: at most maxConcurrentDownloads run at once, the
+// rest wait in list order. Entries are keyed like activeDownloads (the detected URL) and
+// kept in storage.local, so the queue outlives the worker and the browser.
+let queueLoaded = null;
+
+async function getMaxConcurrentDownloads() {
+    return (await cachedSettings()).maxConcurrentDownloads;
+}
+
+function loadQueue() {
+    if (!queueLoaded) {
+        queueLoaded = chrome.storage.local.get(['downloadQueue']).then(data => {
+            for (const entry of data.downloadQueue || []) {
+                // Running when the worker stopped: start it again (HLS jobs resume from IDB)
+                if (entry.status === 'running') entry.status = 'queued';
+                downloadQueue.push(entry);
+            }
+        });
+    }
+    return queueLoaded;
+}
+
+function saveQueue() {
+    const stored = downloadQueue.map(entry => ({ ...entry, video: withoutRequestHeaders(entry.video) }));
+    chrome.storage.local.set({ downloadQueue: stored }).catch(() => { });
+    chrome.runtime.sendMessage({ action: 'QUEUE_UPDATED' }).catch(() => { });
+}
+
+function queueEntry(id) {
+    return downloadQueue.find(e => e.id === id);
+}
+
+async function enqueueDownload(video) {
+    await loadQueue();
+    const id = video.sourceUrl || video.url;
+    let entry = queueEntry(id);
+    if (entry && (entry.status === 'queued' || entry.status === 'running')) return entry;
+    if (entry) {
+        // Paused, failed or done: queue it again where it is
+        Object.assign(entry, { video, status: 'queued', error: null });
+    } else {
+        entry = { id, video, status: 'queued', error: null, addedAt: Date.now() };
+        downloadQueue.push(entry);
+    }
+    saveQueue();
+    await pumpQueue();
+    if (entry.status === 'queued') notifyProgress(id, 0, 'Waiting in queue...', 'Queued');
+    return entry;
+}
+
+// Starts queued entries while slots are free. Live streams never wait (a queued recording
+// would miss the broadcast) and a running recording does not hold a slot.
+async function pumpQueue() {
+    await loadQueue();
+    const max = await getMaxConcurrentDownloads();
+    for (const entry of downloadQueue) {
+        if (entry.status !== 'queued') continue;
+        const live = entry.video.live || liveStreams.has(entry.id);
+        const running = downloadQueue.filter(e => e.status === 'running' && !activeDownloads.get(e.id)?.recording).length;
+        if (!live && running >= max) continue;
+        runQueued(entry);
+    }
+}
+
+// run: what the entry waits for, a new download unless a running one is being reattached
+async function runQueued(entry, run = () => handleDownload(entry.video)) {
+    entry.status = 'running';
+    entry.outcome = null; // 'Error' / 'Cancelled', set by notifyProgress
+    saveQueue();
+    try {
+        await run();
+    } catch (err) {
+        console.error("DL Error:", err);
+        logMedia(entry.id, `Failed: ${err.message}`);
+        notify('Failed', err.message, true);
+        entry.outcome = 'Error';
+        entry.error = err.message;
+    }
+
+    // A browser-engine HLS job that is still stored was paused or failed (and can resume)
+    const job = await getJob(entry.id).catch(() => null);
+    const index = downloadQueue.indexOf(entry);
+    if (entry.outcome === 'Cancelled') {
+        if (index !== -1) downloadQueue.splice(index, 1);
+    } else if (job) {
+        entry.status = job.error ? 'failed' : 'paused';
+        entry.error = job.error || null;
+    } else {
+        entry.status = entry.outcome === 'Error' ? 'failed' : 'done';
+    }
+    delete entry.outcome;
+    saveQueue();
+    pumpQueue();
+}
+
+// A queued entry just stays put; a running HLS download stops after its in-flight segments
+// and keeps its job, so resuming only fetches what is missing
+function pauseDownload(id) {
+    const entry = queueEntry(id);
+    if (!entry) return 'not_found';
+    if (entry.status === 'queued') {
+        entry.status = 'paused';
+        saveQueue();
+        notifyProgress(id, 0, 'Paused', 'Paused');
+        return 'paused';
+    }
+    const active = activeDownloads.get(id);
+    if (entry.status !== 'running' || !active || active.recording || entry.video.type !== MediaTypes.HLS) return 'not_pausable';
+    active.paused = true;
+    active.cancelled = true;
+    return 'pausing';
+}
+
+function resumeDownload(id) {
+    const entry = queueEntry(id);
+    if (!entry || (entry.status !== 'paused' && entry.status !== 'failed')) return 'not_found';
+    entry.status = 'queued';
+    entry.error = null;
+    saveQueue();
+    pumpQueue();
+    return 'queued';
+}
+
+function reorderQueue(id, index) {
+    const from = downloadQueue.findIndex(e => e.id === id);
+    if (from === -1) return 'not_found';
+    const [entry] = downloadQueue.splice(from, 1);
+    downloadQueue.splice(Math.max(0, Math.min(index, downloadQueue.length)), 0, entry);
+    saveQueue();
+    pumpQueue();
+    return 'reordered';
+}
+
+async function handleGetQueue() {
+    await loadQueue();
+    return {
+        maxConcurrent: await getMaxConcurrentDownloads(),
+        queue: downloadQueue.map(entry => {
+            const active = activeDownloads.get(entry.id);
+            return {
+                id: entry.id,
+                title: entry.video.pageTitle || entry.video.filename || 'Untitled Video',
+                type: entry.video.type,
+                kind: mediaKind(entry.video.type),
+                pageUrl: entry.video.pageUrl || '',
+                thumbnail: entry.video.thumbnail || '',
+                status: entry.status,
+                error: entry.error,
+                recording: !!active?.recording,
+                percent: active?.percent || 0,
+                speed: active?.speed || ''
+            };
+        })
+    };
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'sync') return;
+    settingsCache = null;
+    if (changes.maxConcurrentDownloads) pumpQueue();
+    if (changes.detectionRules) cachedSettings().then(settings => { detectionRules = settings.detectionRules; });
+    if (changes.mseCapture) syncMseHook().catch(() => { });
+    if (changes.mseMaxMB) cachedSettings().then(settings => { mseMaxBytes = settings.mseMaxMB * 1024 * 1024; });
+});
+
+// --- NOTIFICATIONS ---
+// The notifications setting: everything, failures only, or nothing
+async function notify(title, message, isError = false) {
+    const { notifications } = await cachedSettings();
+    if (notifications === NotificationLevels.NONE || (notifications === NotificationLevels.ERRORS && !isError)) return;
+    chrome.notifications.create({ type: 'basic', iconUrl: 'icons/icon48.png', title, message });
+}
+
+// --- MEDIA LOGS (dashboard detail view) ---
+// What happened to each detected URL: status changes, engine choice, errors, the saved file.
+// In memory only, so a log covers the worker's current lifetime.
+const MEDIA_LOG_LINES = 100;
+const MEDIA_LOG_URLS = 300;
+const mediaLogs = new Map(); // url -> [{ time, message, status }]
+
+function logMedia(url, message, status = null) {
+    let log = mediaLogs.get(url);
+    if (!log) {
+        if (mediaLogs.size >= MEDIA_LOG_URLS) mediaLogs.delete(mediaLogs.keys().next().value);
+        log = [];
+        mediaLogs.set(url, log);
+    }
+    log.push({ time: Date.now(), message, status });
+    if (log.length > MEDIA_LOG_LINES) log.shift();
+}
+
+// Progress reports repeat their status; only the changes are logged
+function logStatus(url, status, detail) {
+    const log = mediaLogs.get(url);
+    const last = log && [...log].reverse().find(line => line.status);
+    if (last?.status === status && !detail) return;
+    logMedia(url, detail ? `${status}: ${detail}` : status, status);
+}
+
+// --- DOWNLOAD HANDLER ---
+async function handleDownload(video) {
+    await streamHeadersRestored;
+    video.requestHeaders = requestHeadersFor(video);
+    rememberRequestHeaders(video);
+
+    // Paused browser-engine job: resume it instead of starting over
+    const pausedJob = video.type === MediaTypes.HLS && await getJob(video.sourceUrl || video.url).catch(() => null);
+    if (pausedJob) return withRequestHeaders(video, () => downloadHLS(video));
+
+    // 0. Force Metadata correction (Fix filename issue)
+    if (!video.pageTitle || video.pageTitle === 'video') {
+        for (let [tabId, list] of detectedMedia) {
+            const found = list.find(v => v.url === video.url);
+            if (found && found.pageTitle) {
+                video.pageTitle = found.pageTitle;
+                break;
+            }
+        }
+    }
+
+    if (video.type === MediaTypes.MSS) throw new Error('Smooth Streaming (.ism) manifests can be detected but not downloaded yet');
+
+    // 1. Keep the detected media extension, else the type's (streams are renamed to their container later)
+    const named = video.filename && video.filename.includes('.') ? video.filename.split('.').pop().toLowerCase() : '';
+    const ext = typeFromExtension(named) ? named : extensionFor(video.type);
+
+    // 2. Apply the Filename Template (serial, title, host, ...) inside the output folder
+    const output = await getOutputOptions(video);
+    video.filename = `${joinPath(output.folder, await nextFilename(video))}.${ext}`;
+    checkPath(video.filename, 'Filename');
+    video.conflictAction = output.conflictAction;
+    console.log(`[DEBUG] Final Filename from Template: ${video.filename}`);
+    const id = video.sourceUrl || video.url;
+    logMedia(id, `Filename ${video.filename}`);
+    if (video.type === MediaTypes.MSE) return downloadMSE(video);
+    const isStream = video.type === MediaTypes.HLS || video.type === MediaTypes.DASH;
+    const settings = await cachedSettings();
+
+    // Try Native First unless the engine setting says browser (live streams are recorded in
+    // the browser, where Stop can finalise them)
+    if (settings.engine !== Engines.BROWSER && !video.live && !liveStreams.has(video.sourceUrl || video.url)) {
+        try {
+            console.log('[DEBUG] Attempting Native Download...');
+            // ffmpeg takes the best variant of a master playlist, so defaultQuality picks it here
+            if (video.type === MediaTypes.HLS && video.url === (video.sourceUrl || video.url)) await applyDefaultVariant(video, settings.defaultQuality);
+            const started = await sendToNative({
+                action: 'DOWNLOAD',
+                url: video.url,
+                audioUrl: video.audioUrl || null, // separate HLS audio rendition, mapped in by ffmpeg
+                clip: video.clip || null, // { start, end } seconds, cut by ffmpeg
+                duration: video.duration || null, // for the percentage, ffmpeg probes it otherwise
+                filename: isStream ? outputFilename(video, '.mp4') : video.filename,
+                directory: output.directory, // absolute, or '' for the Downloads folder
+                conflictAction: output.conflictAction,
+                headers: nativeHeaders(await replayHeaders(video))
+            });
+            logMedia(id, `Sent to the Companion App (${video.url === id ? 'detected URL' : video.url})`);
+            notify('Download Started', 'Video sent to Companion App');
+            if (started.status === 'skipped') return skipDownload(video, started.file);
+            const nativeName = isStream ? outputFilename(video, '.mp4') : video.filename;
+            // Same characters the companion app keeps (it makes the folders too), so the names still match
+            downloadSubtitles(video, nativeName.replace(/[^\p{L}\p{N} ._\/-]/gu, '').trimEnd());
+            return trackNativeDownload(video, started, nativeName);
+        } catch (e) {
+            console.warn('[DEBUG] Native Host failed/missing:', e);
+            logMedia(id, `Companion App unavailable: ${e.message}`);
+            if (settings.engine === Engines.NATIVE) {
+                if (!NATIVE_HOST_MISSING.test(e.message || '')) throw new Error(`Companion App: ${e.message}`);
+                // "Companion App only" and nothing registered: say how to fix it, no generic error
+                notify('Companion App Needed', 'Please run register_host.bat in the companion-app folder.', true);
+                notifyProgress(id, 0, 'Error', 'Error', 'Companion App not installed');
+                return;
+            }
+        }
+    }
+
+    // Browser engines: Chrome only writes inside its download folder, and knows the files it saved
+    if (output.directory) console.warn(`[DEBUG] ${output.directory} is only used by the Companion App, saving to the download folder`);
+    if (output.conflictAction === ConflictActions.SKIP) {
+        const existing = await findExistingDownload(isStream ? outputFilename(video, '.mp4') : video.filename).catch(() => null);
+        if (existing) return skipDownload(video, existing);
+    }
+
+    logMedia(id, `Browser engine (${video.type})`);
+    if (isStream) downloadSubtitles(video, outputFilename(video, '.mp4'));
+    if (video.type === MediaTypes.HLS) return withRequestHeaders(video, () => downloadHLS(video));
+    if (video.type === MediaTypes.DASH) return withRequestHeaders(video, () => downloadDASH(video));
+
+    // Direct Download (the browser sends its own cookies, Authorization is passed along)
+    downloadSubtitles(video, video.filename);
+    triggerDownload(video.url, video.filename, false, video.url, video);
+}
+
+// "user-agent" -> "User-Agent": ffmpeg takes them as written
+function nativeHeaders(headers) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.replace(/(^|-)([a-z])/g, (m, dash, c) => dash + c.toUpperCase()), value]));
+}
+
+// --- FILENAMES ---
+// filenameTemplate (or the siteTemplates entry for the page's host) names every download;
+// {serial} counts globally, or per host when perSiteCounters is on.
+async function nextFilename(video) {
+    const settings = await cachedSettings();
+    const data = await chrome.storage.local.get(['serialCounter', 'siteCounters']);
+    const host = pageHost(video);
+    const template = siteSetting(settings.siteTemplates, host) || settings.filenameTemplate;
+
+    const siteCounters = data.siteCounters || {};
+    const serial = (settings.perSiteCounters ? siteCounters[host] : data.serialCounter) || 1;
+    if (usesSerial(template)) {
+        if (settings.perSiteCounters) await chrome.storage.local.set({ siteCounters: { ...siteCounters, [host]: serial + 1 } });
+        else await chrome.storage.local.set({ serialCounter: serial + 1 });
+    }
+
+    return renderFilename(template, {
+        serial,
+        title: video.pageTitle,
+        host,
+        date: new Date(),
+        quality: video.quality,
+        duration: video.duration,
+        type: video.type
+    });
+}
+
+function pageHost(video) {
+    try {
+        return new URL(video.pageUrl || video.url).hostname.replace(/^www\./, '');
+    } catch (e) {
+        return '';
+    }
+}
+
+// Per-site settings map { 'example.com': value }; a key also matches its subdomains
+function siteSetting(map, host) {
+    const site = Object.keys(map || {}).find(key => host === key || host.endsWith('.' + key));
+    return site ? map[site] : null;
+}
+
+// --- OUTPUT FOLDER (see outputPath.js) ---
+// outputDirectory, outputSubfolders ('none' / 'site' / 'date' / 'site/date') and
+// conflictAction ('uniquify' / 'overwrite' / 'skip'), the same for both engines
+async function getOutputOptions(video) {
+    return resolveOutput(await cachedSettings(), pageHost(video));
+}
+
+// A completed download of this relative path that is still on disk
+async function findExistingDownload(relativePath) {
+    const escape = (segment) => segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const filenameRegex = `(^|[\\\\/])${relativePath.split('/').map(escape).join('[\\\\/]')}$`;
+    const items = await chrome.downloads.search({ filenameRegex, state: 'complete', exists: true });
+    return items.length ? items[0].filename : null;
+}
+
+// Conflict policy "skip": the file is already there, count it as downloaded
+function skipDownload(video, file) {
+    const id = video.sourceUrl || video.url;
+    console.log('[DEBUG] File exists, skipped:', file);
+    logMedia(id, `Skipped, ${file} exists`);
+    completedDownloads.add(id);
+    notify('Already Downloaded', file);
+    chrome.runtime.sendMessage({ action: 'DOWNLOAD_COMPLETE', url: id }).catch(() => { });
+}
+
+// --- HLS ENGINE (LEGACY JS FALLBACK) ---
+async function downloadHLS(video) {
+    // The popup sends the picked variant as url and the playlist it came from as sourceUrl
+    const id = video.sourceUrl || video.url;
+
+    // A paused job for this stream? Pick up where it stopped.
+    const existing = await getJob(id).catch(() => null);
+    if (existing && !activeDownloads.has(existing.id)) return runHLSJob(existing, true);
+
+    console.log('[DEBUG] Fallback to JS HLS download...', video.url);
+    const session = Math.random().toString(36).substring(7);
+    const originalUrl = id; // CAPTURE ORIGINAL URL BEFORE MUTATION
+
+    const settings = await cachedSettings();
+    if (settings.engine === Engines.AUTO) notify('Using Legacy Mode', 'Native app not found. Using slower browser download.');
+
+    activeDownloads.set(id, { cancelled: false, percent: 0, speed: '' });
+    const tabId = video.tabId;
+    safeUpdateBadge('...', tabId);
+
+    let job;
+    try {
+        notifyProgress(id, 0, 'Starting...');
+
+        // 1. Get Manifest
+        console.log('[DEBUG] STEP 1: Fetching Manifest...');
+        let text = await fetchText(video.url, video);
+
+        // 2. Select Best Stream if Master
+        let master = new HLSParser(video.url, text);
+        let variant = null;
+        if (master.isMaster()) {
+            console.log(`[DEBUG] Master Manifest Detected. Selecting Stream (${settings.defaultQuality})...`);
+            variant = pickVariant(master.getVariants(), settings.defaultQuality);
+            if (variant) {
+                console.log(`[DEBUG] Fetching Variant Manifest: ${variant.url} (${variant.quality})`);
+                text = await fetchText(variant.url, video);
+                video.url = variant.url;
+            }
+        } else if (video.sourceUrl && video.sourceUrl !== video.url && !video.audioUrl) {
+            // Variant picked in the popup without an audio choice: its AUDIO group lives in the master
+            try {
+                master = new HLSParser(video.sourceUrl, await fetchText(video.sourceUrl, video));
+                variant = master.getVariants().find(v => v.url === video.url) || null;
+            } catch (e) { }
+        }
+
+        // 3. Parse Segments
+        console.log('[DEBUG] STEP 3: Parsing Segments...');
+        const track = parseHLSTrack(video.url, text);
+
+        // 4. Separate audio rendition (video-only variants are silent without it)
+        const audioUrl = video.audioUrl || (variant ? defaultAudioRendition(master, variant) : null);
+
+        // Live playlist (no ENDLIST): one fetch only sees the current window, record it instead
+        if (new HLSParser(video.url, text).isLive()) {
+            liveStreams.add(id);
+            activeDownloads.delete(id);
+            return recordHLS(video, id, audioUrl);
+        }
+
+        let audio = null;
+        if (audioUrl) {
+            console.log('[DEBUG] Fetching Audio Rendition:', audioUrl);
+            audio = parseHLSTrack(audioUrl, await fetchText(audioUrl, video));
+        }
+
+        // Time-range clip: only the segments covering it, the exact cut happens after the mux
+        let clip = null;
+        if (video.clip) {
+            const end = Math.min(video.clip.end || track.totalDuration, track.totalDuration);
+            clip = { start: Math.max(0, video.clip.start || 0), end };
+            if (clip.start >= clip.end) throw new Error('Clip starts after the end of the stream');
+            const picked = clipSegments(track.segments, clip);
+            track.segments = picked.segments;
+            clip.videoOffset = picked.offset;
+            if (audio) {
+                const pickedAudio = clipSegments(audio.segments, clip);
+                audio.segments = pickedAudio.segments;
+                clip.audioOffset = pickedAudio.offset;
+            }
+            console.log(`[DEBUG] Clip ${clip.start}s - ${clip.end}s: ${track.segments.length} segments`);
+        }
+
+        // 5. Persist the job so a worker restart can resume it
+        job = {
+            id,
+            session,
+            playlistUrl: video.url,
+            video: {
+                url: originalUrl,
+                type: video.type,
+                tabId,
+                pageUrl: video.pageUrl,
+                pageTitle: video.pageTitle,
+                filename: video.filename,
+                audioUrl,
+                quality: video.quality,
+                duration: video.duration,
+                thumbnail: video.thumbnail
+            },
+            segments: track.segments,
+            format: track.format,
+            init: track.init,
+            audio,
+            clip,
+            outputs: {},
+            totalDuration: clip ? clip.end - clip.start : track.totalDuration,
+            targetName: outputFilename(video, '.mp4'),
+            status: 'downloading',
+            percent: 0,
+            createdAt: Date.now()
+        };
+        await saveJob(job);
+    } catch (err) {
+        console.error("[DEBUG] HLS PROCESS FAILED:", err);
+        safeUpdateBadge('ERR', tabId);
+        notify('Error', err.message, true);
+        notifyProgress(id, 0, 'Error', 'Error', err.message);
+        activeDownloads.delete(id);
+        return;
+    }
+
+    return runHLSJob(job);
+}
+
+// Media playlist -> the segment list of one job track
+function parseHLSTrack(url, text) {
+    const parser = new HLSParser(url, text);
+    const segments = parser.getEntries();
+    if (!segments.length) throw new Error("No segments found");
+
+    // Encryption Check (clear AES keys are decrypted, real DRM is not)
+    const drm = segments.find(s => s.key?.drm);
+    if (drm) throw new Error(`DRM Protected (${drm.key.drm}) - this stream cannot be downloaded`);
+    if (segments.some(s => s.key)) console.log(`[DEBUG] Encrypted stream (${segments.find(s => s.key).key.method}), decrypting segments`);
+
+    if (segments.some(s => s.map && segments[0].map && s.map.url !== segments[0].map.url)) {
+        console.warn('[DEBUG] Playlist switches init segments, only the first one is used');
+    }
+
+    return {
+        playlistUrl: url,
+        segments,
+        // fMP4/CMAF: fragments are appended to the init segment, no TS transmux
+        format: parser.isFragmented() ? 'fmp4' : 'ts',
+        init: segments[0].map || null,
+        totalDuration: parser.getTotalDuration()
+    };
+}
+
+// defaultQuality over variants sorted best first: 'best', 'worst', or the best one at most
+// '<height>p' tall (the smallest when none is)
+function pickVariant(variants, quality) {
+    if (!variants.length) return null;
+    if (quality === 'worst') return variants[variants.length - 1];
+    const maxHeight = parseInt(quality, 10);
+    if (!maxHeight) return variants[0];
+    return variants.find(v => v.height && v.height <= maxHeight) || variants[variants.length - 1];
+}
+
+// Master playlist nobody picked a variant of: point the video at the defaultQuality one
+// (sourceUrl keeps the detected URL, the popup sends a picked variant the same way)
+async function applyDefaultVariant(video, quality) {
+    if (quality === 'best') return;
+    try {
+        const master = new HLSParser(video.url, await fetchText(video.url, video));
+        const variant = master.isMaster() ? pickVariant(master.getVariants(), quality) : null;
+        if (!variant) return;
+        video.sourceUrl = video.sourceUrl || video.url;
+        video.url = variant.url;
+        video.audioUrl = video.audioUrl || defaultAudioRendition(master, variant);
+        video.quality = video.quality || variant.quality;
+    } catch (e) {
+        console.warn('[DEBUG] Default quality not applied:', e);
+    }
+}
+
+// The rendition a player would pick for the variant's AUDIO group (null when audio is muxed in)
+function defaultAudioRendition(master, variant) {
+    if (!variant.audio) return null;
+    const group = master.getMedia('AUDIO').filter(m => m.groupId === variant.audio);
+    const pick = group.find(m => m.default) || group[0];
+    return pick ? pick.url : null;
+}
+
+// Segments overlapping [clip.start, clip.end) by their EXTINF durations, and the time the first one starts at
+function clipSegments(segments, clip) {
+    const picked = [];
+    let offset = null;
+    let t = 0;
+    for (const segment of segments) {
+        if (t + segment.duration > clip.start && t < clip.end) {
+            if (offset === null) offset = t;
+            picked.push(segment);
+        }
+        t += segment.duration;
+    }
+    if (!picked.length) throw new Error('No segments in the clip range');
+    return { segments: picked, offset: offset || 0 };
+}
+
+// Video track plus the optional audio rendition; each has its own chunk prefix and transmux session
+function hlsJobTracks(job) {
+    const tracks = [{
+        name: 'video',
+        sessionId: job.session,
+        prefix: `chunk_${job.session}_`,
+        playlistUrl: job.playlistUrl,
+        segments: job.segments,
+        format: job.format || 'ts',
+        init: job.init
+    }];
+    if (job.audio) {
+        tracks.push({
+            name: 'audio',
+            sessionId: `${job.session}-audio`,
+            prefix: `chunk_${job.session}_audio_`,
+            ...job.audio,
+            format: job.audio.format || 'ts'
+        });
+    }
+    return tracks;
+}
+
+// Downloads every segment of a persisted job that is not in IDB yet, then transmuxes
+async function runHLSJob(job, resumed = false) {
+    const { id } = job;
+    // Request headers are looked up, not stored (see REQUEST HEADERS); jobs saved by older
+    // versions lose theirs with the next saveJob
+    const video = { ...job.video, requestHeaders: requestHeadersFor(job.video) };
+    job.video = withoutRequestHeaders(job.video);
+    const tabId = video.tabId;
+    const tracks = hlsJobTracks(job);
+    job.outputs = job.outputs || {};
+    // Keep a Stop / Pause that arrived while downloadHLS was still reading the playlists
+    const pending = activeDownloads.get(id);
+    activeDownloads.set(id, { cancelled: !!pending?.cancelled, paused: !!pending?.paused, percent: job.percent || 0, speed: '' });
+
+    try {
+        if (resumed) {
+            console.log(`[DEBUG] Resuming ${id}: ${Object.keys(job.outputs).length}/${tracks.length} tracks already done`);
+            notifyProgress(id, job.percent || 0, 'Resuming...');
+        }
+        job.status = 'downloading';
+        job.error = null;
+        await saveJob(job);
+
+        // Progress is shared by the tracks, finished ones count as fully downloaded
+        const progress = {
+            done: tracks.filter(t => job.outputs[t.name] || job.outputs.muxed).reduce((n, t) => n + t.segments.length, 0),
+            total: tracks.reduce((n, t) => n + t.segments.length, 0),
+            bytes: 0,
+            lastSaved: 0,
+            startTime: Date.now()
+        };
+        await setupOffscreen();
+        for (const track of tracks) {
+            if (job.outputs[track.name] || job.outputs.muxed) continue;
+            job.outputs[track.name] = await streamHLSTrack(job, video, track, progress);
+            await saveJob(job);
+        }
+        notifyProgress(id, 100, 'Processing...');
+
+        // 7. Two tracks: interleave them into one MP4 (each step is saved, a resume skips it)
+        const clip = job.clip;
+        if (!job.outputs.muxed) {
+            let muxed = job.outputs.video;
+            if (job.outputs.audio) {
+                console.log('[DEBUG] STEP 7: Muxing Audio Rendition...');
+                // A clip's first audio segment need not start with the first video one
+                const offsets = clip ? [clip.videoOffset, clip.audioOffset] : [];
+                const res = await callOffscreen({ action: 'combineBlobs', blobKeys: [job.outputs.video, job.outputs.audio], offsets, duration: job.totalDuration });
+                console.log('[DEBUG] Mux Successful!', res.debug);
+                muxed = res.blobKey;
+            }
+            job.outputs = { muxed };
+            await saveJob(job);
+        }
+
+        // 8. Clip: cut at the keyframe before the start, drop what runs past the end
+        if (clip && !job.clipped) {
+            const zero = Math.min(clip.videoOffset, clip.audioOffset ?? Infinity); // output time 0 in playlist time
+            const res = await callOffscreen({ action: 'trimBlob', blobKey: job.outputs.muxed, start: clip.start - zero, end: clip.end - zero });
+            console.log(`[DEBUG] STEP 8: Clipped to ${res.duration.toFixed(2)}s`);
+            job.outputs = { muxed: res.blobKey };
+            job.clipped = true;
+            await saveJob(job);
+        }
+        const blobKey = job.outputs.muxed;
+        job.outputs = {}; // consumed: the final blob is deleted once the download has it
+
+        const urlRes = await chrome.runtime.sendMessage({ action: 'createUrlFromIDB', blobKey });
+        triggerDownload(urlRes.url, job.targetName, true, id, { ...job.video, url: job.playlistUrl });
+        setTimeout(() => chrome.runtime.sendMessage({ action: 'deleteBlob', key: blobKey }), 60000);
+        await discardJob(job);
+
+    } catch (err) {
+        for (const track of tracks) {
+            chrome.runtime.sendMessage({ action: 'transmuxAbort', sessionId: track.sessionId }).catch(() => { });
+        }
+        if (err.message === 'Cancelled' && activeDownloads.get(id)?.paused) {
+            // Paused from the queue: keep the job and its segments
+            job.status = 'paused';
+            await saveJob(job).catch(() => { });
+            safeUpdateBadge('', tabId);
+            return notifyProgress(id, job.percent || 0, 'Paused', 'Paused');
+        }
+        if (err.message === 'Cancelled') {
+            await discardJob(job).catch(() => { });
+            return notifyCancelled(id, tabId);
+        }
+        console.error("[DEBUG] HLS PROCESS FAILED:", err);
+        // Keep the job and its stored segments: Download resumes it later
+        job.status = 'paused';
+        job.error = err.message;
+        await saveJob(job).catch(() => { });
+        safeUpdateBadge('ERR', tabId);
+        notify('Error', err.message, true);
+        notifyProgress(id, 0, 'Error', 'Error', err.message);
+    } finally {
+        activeDownloads.delete(id);
+    }
+}
+
+// Fetches the missing segments of one track and streams them through its transmux session.
+// Resolves with the IDB key of the finished fMP4.
+async function streamHLSTrack(job, video, track, progress) {
+    const { id } = job;
+    const { prefix, sessionId, segments } = track;
+    const stored = new Set(await listChunkKeys(prefix));
+    const pending = segments.map((s, i) => i).filter(i => !stored.has(prefix + i));
+    progress.done += segments.length - pending.length;
+
+    // fMP4: the init segment goes first
+    const fetchKey = (uri) => fetchSegment(uri, video);
+    if (track.format === 'fmp4' && track.init && !stored.has(prefix + 'init')) {
+        const init = await fetchSegment(track.init.url, video, track.init.range);
+        await saveChunk(prefix + 'init', await decryptInit(init, track.init.key, fetchKey));
+    }
+
+    // Streaming transmux: the offscreen document is fed in playlist order as segments land
+    const total = segments.length;
+    await callOffscreen({ action: 'transmuxStart', sessionId, duration: job.totalDuration, format: track.format });
+    const ready = new Set(segments.map((s, i) => i).filter(i => stored.has(prefix + i)));
+    let fed = 0;
+    let feeding = Promise.resolve();
+    if (track.format === 'fmp4') {
+        feeding = callOffscreen({ action: 'transmuxPush', sessionId, chunkKey: prefix + 'init', init: true });
+    }
+    const feed = () => {
+        feeding = feeding.then(async () => {
+            while (fed < total && ready.has(fed)) {
+                await callOffscreen({ action: 'transmuxPush', sessionId, chunkKey: prefix + fed });
+                fed++;
+            }
+        });
+        feeding.catch(() => { }); // surfaced by the final await feed()
+        return feeding;
+    };
+    feed();
+
+    // Download Loop
+    console.log(`[DEBUG] STEP 5: Starting Download Loop (${track.name})...`);
+    const downloadSegment = async (segment, index) => {
+        if (activeDownloads.get(id)?.cancelled) throw new Error("Cancelled");
+        let buf = await fetchSegment(segment.url, { ...video, url: track.playlistUrl }, segment.range);
+        if (segment.key) buf = await decryptSegment(buf, segment.key, segment.sequence, fetchKey);
+        await saveChunk(prefix + index, buf);
+        return buf.byteLength;
+    };
+
+    // Execution (parallel workers, chunks stored straight to IDB under their playlist index)
+    const concurrency = await getSegmentConcurrency();
+    const failed = [];
+    await runPool(pending, concurrency, async (i) => {
+        try {
+            const size = await downloadSegment(segments[i], i);
+            ready.add(i);
+            feed();
+            progress.bytes += size;
+            progress.done++;
+            const pct = Math.round((progress.done / progress.total) * 100);
+            if (pct % 5 === 0 || progress.done === progress.total) {
+                const speed = Math.round((progress.bytes / 1024) / ((Date.now() - progress.startTime) / 1000));
+                notifyProgress(id, pct, `${speed} KB/s`);
+                safeUpdateBadge(`${pct}%`, video.tabId);
+            }
+            if (Date.now() - progress.lastSaved > 2000) {
+                progress.lastSaved = Date.now();
+                job.percent = pct;
+                saveJob(job).catch(() => { });
+            }
+        } catch (e) {
+            if (e.message === 'Cancelled') throw e;
+            console.warn(`[DEBUG] ${track.name} seg ${i} FAILED`, e);
+            failed.push(i);
+        }
+    }, () => activeDownloads.get(id)?.cancelled);
+
+    assertNoMissingSegments(failed, total);
+
+    // 6. Finish the transmux (output already lives in IDB parts)
+    console.log(`[DEBUG] STEP 6: Finalising Transmux (${track.name})...`);
+    await feed();
+    const res = await callOffscreen({ action: 'transmuxEnd', sessionId });
+    console.log('[DEBUG] Transmux Successful!', res.debug);
+    return res.blobKey;
+}
+
+// --- LIVE RECORDING ---
+// Polls the live playlist(s) every target duration and appends new segments (by media
+// sequence) to a streaming transmux session until Stop, the end of the stream or a limit.
+async function getRecordLimits() {
+    const { recordMaxMinutes, recordMaxMB } = await cachedSettings();
+    return {
+        maxSeconds: recordMaxMinutes * 60,
+        maxBytes: recordMaxMB * 1024 * 1024
+    };
+}
+
+async function recordHLS(video, id, audioUrl) {
+    console.log('[DEBUG] Live playlist, recording...', video.url);
+    const session = Math.random().toString(36).substring(7);
+    const tabId = video.tabId;
+    const entry = { cancelled: false, stopRequested: false, recording: true, percent: 0, speed: '', elapsed: 0 };
+    activeDownloads.set(id, entry);
+    pumpQueue(); // a recording does not hold a queue slot
+    safeUpdateBadge('REC', tabId);
+
+    const tracks = [liveTrack('video', video.url, session, `chunk_${session}_`)];
+    if (audioUrl) tracks.push(liveTrack('audio', audioUrl, `${session}-audio`, `chunk_${session}_audio_`));
+
+    const limits = await getRecordLimits();
+    const startTime = Date.now();
+    const stats = { bytes: 0, duration: 0 }; // duration: seconds of recorded video
+    const tick = () => notifyRecording(id, (Date.now() - startTime) / 1000, stats.bytes, limits);
+    let reason = 'Stopped';
+
+    try {
+        await setupOffscreen();
+        tick();
+        while (true) {
+            const pollStart = Date.now();
+            let ended = true;
+            let target = 0;
+            let lost = null;
+            for (const track of tracks) {
+                try {
+                    const res = await pollLiveTrack(track, video, stats);
+                    ended = ended && res.ended;
+                    target = Math.max(target, res.targetDuration);
+                } catch (e) {
+                    // Playlist gone for good (retries exhausted): keep what was recorded so far
+                    if (!track.count || e.message.startsWith('DRM')) throw e;
+                    lost = e;
+                }
+            }
+            tick();
+
+            const elapsed = (Date.now() - startTime) / 1000;
+            if (entry.stopRequested) break;
+            if (lost) { reason = `Playlist unavailable (${lost.message})`; break; }
+            if (ended) { reason = 'Stream ended'; break; }
+            if (elapsed >= limits.maxSeconds) { reason = 'Time limit reached'; break; }
+            if (stats.bytes >= limits.maxBytes) { reason = 'Size limit reached'; break; }
+
+            // Reload after one target duration (RFC 8216 6.3.4), waking up early on Stop
+            const until = pollStart + Math.max(1000, (target || 2) * 1000);
+            while (Date.now() < until && !entry.stopRequested) {
+                await new Promise(r => setTimeout(r, Math.min(1000, until - Date.now())));
+                tick();
+            }
+        }
+
+        // Finalise: close every session, then mux the audio rendition in if there is one
+        console.log(`[DEBUG] Recording finished (${reason}): ${Math.round(stats.duration)}s, ${stats.bytes} bytes`);
+        notifyProgress(id, 100, 'Processing...');
+        const blobKeys = [];
+        for (const track of tracks) {
+            if (!track.count) continue;
+            await track.feed();
+            const res = await callOffscreen({ action: 'transmuxEnd', sessionId: track.sessionId, duration: stats.duration });
+            blobKeys.push(res.blobKey);
+        }
+        if (!blobKeys.length) throw new Error('Nothing was recorded');
+        let blobKey = blobKeys[0];
+        if (blobKeys.length > 1) {
+            blobKey = (await callOffscreen({ action: 'combineBlobs', blobKeys, duration: stats.duration })).blobKey;
+        }
+
+        const urlRes = await chrome.runtime.sendMessage({ action: 'createUrlFromIDB', blobKey });
+        triggerDownload(urlRes.url, outputFilename(video, '.mp4'), true, id, video);
+        setTimeout(() => chrome.runtime.sendMessage({ action: 'deleteBlob', key: blobKey }), 60000);
+        safeUpdateBadge('OK', tabId);
+        notify('Recording Saved', `${reason} after ${formatElapsed((Date.now() - startTime) / 1000)}`);
+
+    } catch (err) {
+        console.error("[DEBUG] RECORDING FAILED:", err);
+        for (const track of tracks) {
+            chrome.runtime.sendMessage({ action: 'transmuxAbort', sessionId: track.sessionId }).catch(() => { });
+        }
+        safeUpdateBadge('ERR', tabId);
+        notify('Error', err.message, true);
+        notifyProgress(id, 0, 'Error', 'Error', err.message);
+    } finally {
+        for (const track of tracks) await deleteChunks(track.prefix).catch(() => { });
+        activeDownloads.delete(id);
+    }
+}
+
+// One polled playlist: segments get increasing indices in the order they appear
+function liveTrack(name, playlistUrl, sessionId, prefix) {
+    const track = {
+        name, playlistUrl, sessionId, prefix,
+        started: false,
+        lastSequence: -1,
+        count: 0, // indices handed out
+        ready: new Set(),
+        skipped: new Set(),
+        fed: 0,
+        feeding: Promise.resolve()
+    };
+    // Pushes finished segments in order; a segment that could not be fetched is a gap, not a stop
+    track.feed = () => {
+        track.feeding = track.feeding.then(async () => {
+            while (track.fed < track.count && (track.ready.has(track.fed) || track.skipped.has(track.fed))) {
+                if (track.ready.has(track.fed)) {
+                    await callOffscreen({ action: 'transmuxPush', sessionId, chunkKey: prefix + track.fed });
+                }
+                track.fed++;
+            }
+        });
+        track.feeding.catch(() => { }); // surfaced by the final await track.feed()
+        return track.feeding;
+    };
+    return track;
+}
+
+async function pollLiveTrack(track, video, stats) {
+    const context = { ...video, url: track.playlistUrl };
+    const text = new TextDecoder().decode(await fetchSegment(track.playlistUrl, context));
+    const parser = new HLSParser(track.playlistUrl, text);
+    const entries = parser.getEntries();
+
+    if (!track.started) {
+        const drm = entries.find(s => s.key?.drm);
+        if (drm) throw new Error(`DRM Protected (${drm.key.drm}) - this stream cannot be downloaded`);
+        const format = parser.isFragmented() ? 'fmp4' : 'ts';
+        await callOffscreen({ action: 'transmuxStart', sessionId: track.sessionId, duration: 0, format });
+        const init = entries[0]?.map;
+        if (format === 'fmp4' && init) {
+            const data = await fetchSegment(init.url, context, init.range);
+            await saveChunk(track.prefix + 'init', await decryptInit(data, init.key, (uri) => fetchSegment(uri, video)));
+            track.feeding = callOffscreen({ action: 'transmuxPush', sessionId: track.sessionId, chunkKey: track.prefix + 'init', init: true });
+        }
+        track.started = true;
+    }
+
+    // Dedupe by media sequence; a sequence that jumps back means the encoder restarted
+    const last = entries[entries.length - 1];
+    if (last && last.sequence < track.lastSequence - entries.length) track.lastSequence = -1;
+    const fresh = entries.filter(e => e.sequence > track.lastSequence);
+    if (fresh.length) track.lastSequence = fresh[fresh.length - 1].sequence;
+
+    const items = fresh.map(segment => ({ segment, index: track.count++ }));
+    const fetchKey = (uri) => fetchSegment(uri, video);
+    await runPool(items, await getSegmentConcurrency(), async ({ segment, index }) => {
+        try {
+            let buf = await fetchSegment(segment.url, context, segment.range);
+            if (segment.key) buf = await decryptSegment(buf, segment.key, segment.sequence, fetchKey);
+            await saveChunk(track.prefix + index, buf);
+            track.ready.add(index);
+            stats.bytes += buf.byteLength;
+            if (track.name === 'video') stats.duration += segment.duration;
+        } catch (e) {
+            console.warn(`[DEBUG] Live ${track.name} seq ${segment.sequence} FAILED`, e);
+            track.skipped.add(index);
+        }
+        track.feed();
+    }, () => false);
+
+    return { ended: text.includes('#EXT-X-ENDLIST'), targetDuration: parser.getTargetDuration() };
+}
+
+function notifyRecording(url, elapsed, bytes, limits) {
+    // The bar shows how close the recording is to whichever limit comes first
+    const percent = Math.min(99, Math.round(Math.max(elapsed / limits.maxSeconds, bytes / limits.maxBytes) * 100));
+    const size = bytes >= 1024 * 1024 * 1024 ? `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    const entry = activeDownloads.get(url);
+    if (entry) Object.assign(entry, { percent, speed: size, elapsed });
+    chrome.runtime.sendMessage({ action: 'DOWNLOAD_PROGRESS', url, percent, speed: size, status: 'Recording', elapsed }).catch(() => { });
+}
+
+// 3725 -> "1:02:05"
+function formatElapsed(seconds) {
+    const s = Math.floor(seconds);
+    const pad = (n) => String(n).padStart(2, '0');
+    const h = Math.floor(s / 3600);
+    return h ? `${h}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}` : `${Math.floor(s / 60)}:${pad(s % 60)}`;
+}
+
+// --- PERSISTED JOBS (resume after worker / browser restart) ---
+async function resumeJobs() {
+    await loadQueue();
+    await reconcileNativeJobs().catch(e => console.warn('[DEBUG] Native reconcile failed:', e));
+    const jobs = await getAllJobs().catch(() => []);
+    for (const job of jobs) {
+        // 'paused' jobs failed or were paused and wait for the user; anything else was interrupted
+        if (job.status === 'paused' || activeDownloads.has(job.id)) continue;
+        console.log('[DEBUG] Resuming interrupted job:', job.id);
+        job.status = 'resuming';
+        await saveJob(job).catch(() => { });
+        // Resumed through the queue, so it waits for a free slot like any other download
+        if (!queueEntry(job.id)) {
+            downloadQueue.push({ id: job.id, video: { ...job.video, sourceUrl: job.id }, status: 'queued', error: null, addedAt: job.createdAt });
+        }
+    }
+    saveQueue();
+    pumpQueue();
+}
+
+// Drops the stored segments (audio ones share the prefix), finished track outputs and the job
+async function discardJob(job) {
+    await deleteChunks(`chunk_${job.session}_`);
+    for (const key of Object.values(job.outputs || {})) await deleteChunk(key);
+    await deleteJob(job.id);
+}
+
+// --- DASH ENGINE (JS FALLBACK) ---
+async function downloadDASH(video) {
+    console.log('[DEBUG] Fallback to JS DASH download...', video.url);
+    const session = Math.random().toString(36).substring(7);
+    const id = video.sourceUrl || video.url;
+    activeDownloads.set(id, { cancelled: false, percent: 0, speed: '' });
+    const tabId = video.tabId;
+    safeUpdateBadge('...', tabId);
+
+    try {
+        notifyProgress(id, 0, 'Starting...');
+
+        // 1. Get & Parse Manifest (in offscreen, needs DOMParser)
+        const text = await fetchText(video.url, video);
+        await setupOffscreen();
+        const parsed = await chrome.runtime.sendMessage({ action: 'parseMPD', url: video.url, text });
+        if (parsed?.status !== 'success') throw new Error(parsed?.error || "MPD parse failed");
+        const mpd = parsed.mpd;
+        if (mpd.type === 'dynamic') throw new Error("Live DASH streams are not supported");
+
+        // 2. Pick Representations (follow the same choice across periods)
+        const tracks = { video: [], audio: [] };
+        const { defaultQuality } = await cachedSettings();
+        let prevVideo = null, prevAudio = null;
+        for (const period of mpd.periods) {
+            prevVideo = pickDashRepresentation(period, 'video', prevVideo, defaultQuality);
+            prevAudio = pickDashRepresentation(period, 'audio', prevAudio, defaultQuality);
+            if (prevVideo) tracks.video.push({ ...prevVideo, periodStart: period.start });
+            if (prevAudio) tracks.audio.push({ ...prevAudio, periodStart: period.start });
+        }
+        let selected = [tracks.video, tracks.audio].filter(t => t.length);
+        if (!selected.length) throw new Error("No playable representations");
+        if (selected.some(t => t.some(r => r.protected))) throw new Error("DRM Protected (Widevine/PlayReady)");
 
-            let stored = detectedMedia.get(tab.id) || [];
+        // Time-range clip: keep the segments covering it (segment times are period-relative)
+        let clip = null;
+        if (video.clip) {
+            clip = { start: Math.max(0, video.clip.start || 0), end: Math.min(video.clip.end || mpd.duration, mpd.duration) };
+            if (clip.start >= clip.end) throw new Error('Clip starts after the end of the stream');
+            selected = selected.map(track => track
+                .map(rep => ({
+                    ...rep,
+                    segments: rep.segments.filter(seg => rep.periodStart + seg.time + seg.duration > clip.start && rep.periodStart + seg.time < clip.end)
+                }))
+                .filter(rep => rep.segments.length)).filter(t => t.length);
+            if (!selected.length) throw new Error('No segments in the clip range');
+            // The mux starts the output at the earliest kept segment
+            clip.zero = Math.min(...selected.map(t => t[0].periodStart + t[0].segments[0].time));
+        }
 
-            // DEDUPLICATION LOGIC
-            const unique = [];
-            const seenUrls = new Set();
-            const seenTitles = new Map(); // Title -> Timestamp
+        const mimeType = (selected[0][0].mimeType || '').includes('webm') ? 'video/webm' : 'video/mp4';
+        const total = selected.flat().reduce((n, r) => n + r.segments.length + (r.init ? 1 : 0), 0);
+        if (!total) throw new Error("No segments found");
+        console.log(`[DEBUG] DASH: ${selected.map(t => `${t[0].id} (${t[0].codecs})`).join(' + ')}, ${total} requests`);
 
-            stored.forEach(v => {
-                if (seenUrls.has(v.url)) return;
-                seenUrls.add(v.url);
+        // 3. Download Loop (parallel workers, chunks go straight to IDB in order)
+        let downloaded = 0, totalBytes = 0;
+        const startTime = Date.now();
+        const trackParts = selected.map(track => ({ parts: track.map(rep => ({ chunkKeys: [], offset: rep.timeOffset })) }));
+        const requests = [];
+        selected.forEach((track, t) => track.forEach((rep, p) => {
+            const list = rep.init ? [rep.init, ...rep.segments] : rep.segments;
+            list.forEach((req, i) => requests.push({ ...req, t, p, i, isInit: !!rep.init && i === 0 }));
+        }));
 
-                // Smart Deduplication
-                if (v.pageTitle && v.pageTitle !== 'video') {
-                    const lastSeen = seenTitles.get(v.pageTitle);
-                    // If seen within last 15 seconds, ignore
-                    if (lastSeen && (v.timestamp - lastSeen < 15000)) return;
+        const concurrency = await getSegmentConcurrency();
+        const failed = [];
+        await runPool(requests, concurrency, async (req, n) => {
+            try {
+                const buf = await fetchSegment(req.url, video, req.range);
+                trackParts[req.t].parts[req.p].chunkKeys[req.i] = await saveChunk(`chunk_${session}_${n}`, buf);
+                totalBytes += buf.byteLength;
+            } catch (e) {
+                if (req.isInit) throw new Error(`Init segment failed: ${e.message}`);
+                console.warn(`[DEBUG] DASH Seg ${req.i} FAILED`, e);
+                failed.push(n);
+            }
+            downloaded++;
+            const pct = Math.round((downloaded / total) * 100);
+            if (pct % 5 === 0 || downloaded === total) {
+                const speed = Math.round((totalBytes / 1024) / ((Date.now() - startTime) / 1000));
+                notifyProgress(id, pct, `${speed} KB/s`);
+                safeUpdateBadge(`${pct}%`, tabId);
+            }
+        }, () => activeDownloads.get(id)?.cancelled);
 
-                    seenTitles.set(v.pageTitle, v.timestamp);
-                }
+        assertNoMissingSegments(failed, total);
 
-                // --- INJECT PERSISTENT STATE ---
-                if (activeDownloads.has(v.url)) {
-                    const state = activeDownloads.get(v.url);
-                    v.downloadState = {
-                        status: 'downloading',
-                        percent: state.percent || 0,
-                        speed: state.speed || ''
-                    };
-                } else if (completedDownloads.has(v.url)) {
-                    v.downloadState = { status: 'downloaded' };
-                }
+        // 4. Mux in offscreen
+        notifyProgress(id, 100, 'Processing...');
+        const res = await chrome.runtime.sendMessage({ action: 'muxTracks', tracks: trackParts, mimeType, duration: clip ? clip.end - clip.start : mpd.duration });
+        if (res?.status !== 'success') throw new Error(res?.error || "Mux failed");
 
-                unique.push(v);
-            });
+        // 5. Clip: keyframe-accurate cut (MP4 only, WebM clips stay segment-accurate)
+        if (clip && res.blobKey) {
+            const trimmed = await callOffscreen({ action: 'trimBlob', blobKey: res.blobKey, start: clip.start - clip.zero, end: clip.end - clip.zero });
+            res.blobKey = trimmed.blobKey;
+        }
 
-            // Enrich with Duration/Thumb (Newest First)
-            Promise.all(unique.map(enrichVideo)).then(final => sendResponse({ videos: final.reverse() }));
-        });
-        return true;
+        const blobKeys = res.blobKeys || [res.blobKey];
+        const ext = mimeType === 'video/webm' ? '.webm' : '.mp4';
+        for (let i = 0; i < blobKeys.length; i++) {
+            const urlRes = await chrome.runtime.sendMessage({ action: 'createUrlFromIDB', blobKey: blobKeys[i] });
+            const name = outputFilename(video, i === 0 ? ext : `.track${i + 1}${ext}`);
+            triggerDownload(urlRes.url, name, true, id, video);
+            setTimeout(() => chrome.runtime.sendMessage({ action: 'deleteBlob', key: blobKeys[i] }), 60000);
+        }
+    } catch (err) {
+        // Segments stored before the failure or cancel are not muxed by anyone
+        await deleteChunks(`chunk_${session}_`).catch(() => { });
+        if (err.message === 'Cancelled') return notifyCancelled(id, tabId);
+        console.error("[DEBUG] DASH PROCESS FAILED:", err);
+        safeUpdateBadge('ERR', tabId);
+        notify('Error', err.message, true);
+        notifyProgress(id, 0, 'Error', 'Error', err.message);
+    } finally {
+        activeDownloads.delete(id);
     }
+}
 
-    // B. Cancel/Download Control
-    if (msg.action === 'CANCEL_DOWNLOAD') {
-        if (activeDownloads.has(msg.url)) {
-            const entry = activeDownloads.get(msg.url);
-            entry.cancelled = true;
-            activeDownloads.set(msg.url, entry);
-            sendResponse({ status: 'cancelled' });
-        } else sendResponse({ status: 'not_found' });
-        return true;
-    }
+// MP4 representation of a kind by defaultQuality (video only; audio takes the best), or the
+// closest match to the previous period's pick
+function pickDashRepresentation(period, kind, prev, quality = 'best') {
+    const reps = period.adaptationSets
+        .filter(a => a.contentType === kind)
+        .flatMap(a => a.representations.map(r => ({ ...r, lang: a.lang, protected: a.protected || r.protected })));
+    if (!reps.length) return null;
 
-    // C. Get Variants
-    if (msg.action === 'GET_VARIANTS') {
-        handleGetVariants(msg).then(sendResponse);
-        return true;
+    const score = (r) => (r.mimeType.includes('mp4') ? 1e12 : 0) + r.height * 1e6 + r.bandwidth / 1000;
+    if (prev) {
+        const sameLang = reps.filter(r => r.lang === prev.lang);
+        const pool = sameLang.length ? sameLang : reps;
+        return pool.reduce((a, b) => Math.abs(b.height - prev.height) + Math.abs(b.bandwidth - prev.bandwidth) / 1e6 <
+            Math.abs(a.height - prev.height) + Math.abs(a.bandwidth - prev.bandwidth) / 1e6 ? b : a);
     }
+    const best = (pool) => pool.reduce((a, b) => score(b) > score(a) ? b : a);
+    const worst = (pool) => pool.reduce((a, b) => score(b) < score(a) ? b : a);
+    const maxHeight = parseInt(quality, 10);
+    if (kind !== 'video' || quality === 'best') return best(reps);
+    if (quality === 'worst') return worst(reps);
+    const capped = reps.filter(r => r.height && r.height <= maxHeight);
+    return capped.length ? best(capped) : worst(reps);
+}
 
-    // D. Start Download
-    if (msg.action === 'DOWNLOAD_MEDIA') {
-        const video = msg.video;
-        sendResponse({ status: 'started' });
-        if (video) handleDownload(video).catch(err => {
-            console.error("DL Error:", err);
-            chrome.notifications.create({ type: 'basic', iconUrl: 'icons/icon48.png', title: 'Failed', message: err.message });
-        });
-        return false;
-    }
+// --- MSE CAPTURE (opt-in, see mseHook.js) ---
+// Players that feed <video src="blob:..."> through MediaSource have no URL worth sniffing.
+// With mseCapture on, mseHook.js runs in the page and content.js forwards every SourceBuffer
+// append; the bytes go to IDB and the capture is listed like any other detection.
+const MSE_HOOK_ID = 'mse-hook';
+let mseMaxBytes = DEFAULT_SETTINGS.mseMaxMB * 1024 * 1024; // per capture, every track together
+cachedSettings().then(settings => { mseMaxBytes = settings.mseMaxMB * 1024 * 1024; }).catch(() => { });
+const mseWrites = new Map(); // `${captureId}_${trackId}` -> the track's last chunk write
 
-    // E. Reset Counter
-    if (msg.action === 'RESET_COUNTER') {
-        chrome.storage.local.set({ serialCounter: 1 }, () => {
-            console.log('[DEBUG] Serial Counter Reset to 1');
-            sendResponse({ status: 'reset', value: 1 });
-        });
-        return true;
+let mseHookSync = Promise.resolve();
+
+// Serialised: the popup toggle and the storage listener both call it
+function syncMseHook() {
+    mseHookSync = mseHookSync.then(applyMseHook, applyMseHook);
+    return mseHookSync;
+}
+
+async function applyMseHook() {
+    const { mseCapture } = await cachedSettings();
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [MSE_HOOK_ID] });
+    if (mseCapture && !registered.length) {
+        await chrome.scripting.registerContentScripts([{
+            id: MSE_HOOK_ID,
+            js: ['mseHook.js'],
+            matches: ['<all_urls>'],
+            allFrames: true,
+            runAt: 'document_start', // before the player grabs MediaSource
+            world: 'MAIN'
+        }]);
+    } else if (!mseCapture && registered.length) {
+        await chrome.scripting.unregisterContentScripts({ ids: [MSE_HOOK_ID] });
     }
-});
+}
 
-// --- ENRICHMENT LOGIC ---
-async function enrichVideo(video) {
-    if (!video.tabId) return video;
-    const timeout = new Promise(r => setTimeout(() => r(video), 1200));
+async function handleMseCapture(msg, sender) {
+    await detectionsRestored;
+    const tabId = sender.tab.id;
+    const url = `mse:${msg.captureId}`;
+    if (!detectedMedia.has(tabId)) detectedMedia.set(tabId, []);
+    const list = detectedMedia.get(tabId);
+    let capture = list.find(v => v.url === url);
 
-    const fetchMeta = new Promise(resolve => {
-        chrome.tabs.sendMessage(video.tabId, { action: 'GET_METADATA' }, video.frameId ? { frameId: video.frameId } : {}, async (meta) => {
-            if (chrome.runtime.lastError || !meta) return resolve(video);
+    // One SourceBuffer per track (usually video + audio)
+    if (msg.type === 'track') {
+        if (!capture) {
+            const pageTitle = (sender.tab.title || 'video').replace(/[^a-z0-9_\-]/gi, '_').substring(0, 50);
+            capture = {
+                url,
+                type: MediaTypes.MSE,
+                captureId: msg.captureId,
+                tracks: [],
+                size: 0,
+                filename: `${pageTitle}.mp4`,
+                pageTitle: sender.tab.title,
+                pageUrl: sender.tab.url,
+                tabId,
+                frameId: sender.frameId,
+                timestamp: Date.now()
+            };
+            list.push(capture);
+            updateBadge(tabId);
+        }
+        // appended: indices handed out, chunks: chunks stored in IDB (what a download may read)
+        capture.tracks[msg.trackId] = { mime: msg.mime || '', appended: 0, chunks: 0, bytes: 0 };
+        persistDetections();
+        return;
+    }
 
-            let thumb = video.thumbnail || meta.thumbnail;
-            if (!thumb && meta.captureRect) {
-                try {
-                    const ss = await chrome.tabs.captureVisibleTab(null, { format: 'jpeg', quality: 50 });
-                    await setupOffscreen();
-                    const crop = await chrome.runtime.sendMessage({ action: 'cropImage', imageUrl: ss, rect: meta.captureRect });
-                    if (crop?.status === 'success') thumb = crop.url;
-                } catch (e) { }
-            }
-            resolve({
-                ...video,
-                duration: meta.duration || video.duration,
-                thumbnail: thumb,
-                pageTitle: video.pageTitle || meta.pageTitle,
-                downloaded: completedDownloads.has(video.url)
-            });
-        });
+    const track = capture?.tracks[msg.trackId];
+    if (!track || !msg.data || capture.truncated) return;
+    const bytes = base64ToBytes(msg.data);
+    if (capture.size + bytes.byteLength > mseMaxBytes) {
+        // Nothing more is recorded, what was captured so far stays downloadable
+        capture.truncated = true;
+        logMedia(url, `Capture stopped at the ${Math.round(mseMaxBytes / 1024 / 1024)} MB limit`);
+        persistDetections();
+        return;
+    }
+    const index = track.appended++; // taken before the write, appends stay in order
+    track.bytes += bytes.byteLength;
+    capture.size += bytes.byteLength;
+    persistDetections();
+
+    // Writes of one track run one after another and only count once stored, so a download
+    // started meanwhile never lists a chunk that is not in IDB yet
+    const key = `${msg.captureId}_${msg.trackId}`;
+    const write = (mseWrites.get(key) || Promise.resolve()).then(() => saveChunk(`mse_${key}_${index}`, bytes)).then(() => {
+        track.chunks = index + 1;
+        persistDetections();
     });
-    return Promise.race([fetchMeta, timeout]);
+    mseWrites.set(key, write.catch(() => { }));
+    await write;
 }
 
-// --- VARIANT LOGIC ---
-async function handleGetVariants(msg) {
-    try {
-        const text = await fetch(msg.url).then(r => r.text());
-        const parser = new HLSParser(msg.url, text);
-        return { variants: parser.getVariants() };
-    } catch (e) {
-        return { variants: [] };
+// Chunks of captures that are no longer listed (tab closed while the worker slept, browser restart)
+async function pruneMseChunks() {
+    await detectionsRestored;
+    const listed = new Set([...detectedMedia.values()].flat().filter(v => v.type === MediaTypes.MSE).map(v => v.captureId));
+    for (const key of await listChunkKeys('mse_')) {
+        if (!listed.has(key.split('_')[1])) await deleteChunk(key);
     }
 }
 
-// --- 3. NATIVE MESSAGING ---
-const HOST_NAME = "com.streamsniffer.pro";
+// Whatever has been played so far: fMP4 tracks are merged into one MP4, WebM tracks saved apart
+async function downloadMSE(video) {
+    const id = video.sourceUrl || video.url;
+    const tabId = video.tabId;
+    activeDownloads.set(id, { cancelled: false, percent: 0, speed: '' });
+    safeUpdateBadge('...', tabId);
 
-function sendToNative(message) {
-    return new Promise((resolve, reject) => {
-        chrome.runtime.sendNativeMessage(HOST_NAME, message, (response) => {
-            if (chrome.runtime.lastError) {
-                return reject(chrome.runtime.lastError);
-            }
-            resolve(response);
-        });
-    });
-}
+    try {
+        const capture = [...detectedMedia.values()].flat().find(v => v.url === id);
+        const tracks = (capture?.tracks || [])
+            .map((track, trackId) => track && track.chunks ? {
+                mime: track.mime,
+                chunkKeys: Array.from({ length: track.chunks }, (_, i) => `mse_${capture.captureId}_${trackId}_${i}`)
+            } : null)
+            .filter(Boolean);
+        if (!tracks.length) throw new Error('Nothing captured yet, play the video first');
 
-// --- DOWNLOAD HANDLER ---
-async function handleDownload(video) {
-    // 0. Force Metadata correction (Fix filename issue)
-    if (!video.pageTitle || video.pageTitle === 'video') {
-        for (let [tabId, list] of detectedMedia) {
-            const found = list.find(v => v.url === video.url);
-            if (found && found.pageTitle) {
-                video.pageTitle = found.pageTitle;
-                break;
-            }
+        notifyProgress(id, 100, 'Processing...');
+        await setupOffscreen();
+        const res = await callOffscreen({ action: 'assembleMSE', tracks });
+        for (let i = 0; i < res.files.length; i++) {
+            const { blobKey, ext } = res.files[i];
+            const urlRes = await chrome.runtime.sendMessage({ action: 'createUrlFromIDB', blobKey });
+            triggerDownload(urlRes.url, outputFilename(video, i === 0 ? ext : `.track${i + 1}${ext}`), true, id, video);
+            setTimeout(() => chrome.runtime.sendMessage({ action: 'deleteBlob', key: blobKey }), 60000);
         }
+    } catch (err) {
+        console.error("[DEBUG] MSE PROCESS FAILED:", err);
+        safeUpdateBadge('ERR', tabId);
+        notify('Error', err.message, true);
+        notifyProgress(id, 0, 'Error', 'Error', err.message);
+    } finally {
+        activeDownloads.delete(id);
     }
+}
 
-    // 1. Prepare Filename
-    let finalName = 'video.mp4';
-    if (video.pageTitle && video.pageTitle.trim().length > 0) {
-        let ext = 'mp4';
-        if (video.filename && video.filename.includes('.')) {
-            ext = video.filename.split('.').pop();
-            if (ext.length > 4 || ext.includes('/')) ext = 'mp4';
-        }
+function base64ToBytes(base64) {
+    const bin = atob(base64);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+}
 
-        // Strict Sanitization
-        let safe = video.pageTitle.replace(/&/g, 'and');
-        safe = safe.replace(/[<>:"/\\|?*\x00-\x1F]/g, "_").replace(/\s+/g, '_').trim();
-        finalName = `${safe}.${ext}`;
-    }
+// --- SUBTITLE DOWNLOADS ---
+// Saves the subtitle tracks picked in the popup next to the video: "<video name>.<lang>.vtt|srt"
+async function downloadSubtitles(video, videoName) {
+    if (!video.subtitles?.length) return;
+    return withRequestHeaders(video, () => saveSubtitles(video, videoName));
+}
 
-    // 2. Apply Serial Number
-    const data = await chrome.storage.local.get(['serialCounter']);
-    let counter = data.serialCounter || 1;
+async function saveSubtitles(video, videoName) {
+    const format = video.subtitleFormat === SubtitleFormats.SRT ? SubtitleFormats.SRT : SubtitleFormats.VTT;
+    const base = videoName.replace(/\.[a-z0-9]{2,4}$/i, '');
+    const used = new Set();
 
-    video.filename = `${counter}- ${finalName}`; // Apply prefix
-    console.log(`[DEBUG] Final Filename with Serial: ${video.filename}`);
+    for (const track of video.subtitles) {
+        try {
+            const cues = await fetchSubtitleTrack(track, video);
+            if (!cues.cues.length) throw new Error('No cues found');
+            const body = format === SubtitleFormats.SRT ? toSRT(cues) : toWebVTT(cues);
 
-    // Increment and Save
-    await chrome.storage.local.set({ serialCounter: counter + 1 });
+            let suffix = (track.language || track.name || 'sub').replace(/[<>:"/\\|?*\x00-\x1F\s]/g, '_');
+            for (let n = 2; used.has(suffix); n++) suffix = `${track.language || 'sub'}_${n}`;
+            used.add(suffix);
 
-    // Try Native First
-    try {
-        console.log('[DEBUG] Attempting Native Download...');
-        await sendToNative({
-            action: 'DOWNLOAD',
-            url: video.url,
-            filename: video.filename,
-            headers: {
-                "Referer": video.pageUrl,
-                "User-Agent": navigator.userAgent
-            }
-        });
-        chrome.notifications.create({
-            type: 'basic',
-            iconUrl: 'icons/icon48.png',
-            title: 'Download Started',
-            message: 'Video sent to Companion App'
-        });
-        return;
-    } catch (e) {
-        console.warn('[DEBUG] Native Host failed/missing:', e);
-        if (e.message && e.message.includes("NativeMessagingHosts")) {
-            chrome.notifications.create({
-                type: 'basic',
-                iconUrl: 'icons/icon48.png',
-                title: 'Companion App Needed',
-                message: 'Please run register_host.bat in the companion-app folder.'
-            });
-            return;
+            const mime = format === SubtitleFormats.SRT ? 'application/x-subrip' : 'text/vtt';
+            triggerDownload(`data:${mime};charset=utf-8,${encodeURIComponent(body)}`, `${base}.${suffix}.${format}`, false);
+        } catch (e) {
+            console.warn('[DEBUG] Subtitle download failed:', track.url, e);
+            notify('Subtitle Failed', `${track.name || track.language || 'Subtitle'}: ${e.message}`, true);
         }
     }
-
-    if (video.type === MediaTypes.HLS) return downloadHLS(video);
-
-    // Direct Download
-    const safeTitle = (video.pageTitle || video.filename || 'video').replace(/[<>:"/\\|?*\x00-\x1F]/g, "_").trim();
-    const ext = video.filename.split('.').pop();
-    const targetName = `${safeTitle}.${ext}`;
-    triggerDownload(video.url, targetName, false, video.url);
 }
 
-// --- HLS ENGINE (LEGACY JS FALLBACK) ---
-async function downloadHLS(video) {
-    console.log('[DEBUG] Fallback to JS HLS download...', video.url);
-    const session = Math.random().toString(36).substring(7);
-    const originalUrl = video.url; // CAPTURE ORIGINAL URL BEFORE MUTATION
+// Resolves a subtitle descriptor from GET_SUBTITLES to one cue list
+async function fetchSubtitleTrack(track, video) {
+    const context = { ...video, url: track.url };
+    if (track.source === 'file') {
+        const buf = await fetchSegment(track.url, context);
+        return parseSubtitles(new TextDecoder().decode(buf), track.format);
+    }
 
-    chrome.notifications.create({
-        type: 'basic',
-        iconUrl: 'icons/icon48.png',
-        title: 'Using Legacy Mode',
-        message: 'Native app not found. Using slower browser download.'
-    });
+    let segments = track.segments || [];
+    if (track.source === 'hls') {
+        const text = await fetchText(track.url, context);
+        segments = new HLSParser(track.url, text).getEntries().map(e => ({ url: e.url, range: e.range, offset: 0 }));
+    }
+    if (!segments.length) throw new Error('No subtitle segments found');
 
-    const id = video.url;
-    activeDownloads.set(id, { cancelled: false, percent: 0, speed: '' });
-    const tabId = video.tabId;
-    safeUpdateBadge('...', tabId);
+    const texts = new Array(segments.length);
+    await runPool(segments.map((s, i) => i), await getSegmentConcurrency(), async (i) => {
+        try {
+            const buf = await fetchSegment(segments[i].url, context, segments[i].range);
+            texts[i] = { text: new TextDecoder().decode(buf), offset: segments[i].offset };
+        } catch (e) {
+            console.warn(`[DEBUG] Subtitle seg ${i} FAILED`, e); // empty/missing text segment: fewer cues, not a failed track
+        }
+    }, () => false);
+    return mergeSubtitleSegments(texts.filter(Boolean));
+}
 
-    try {
-        notifyProgress(id, 0, 'Starting...');
+// --- SEGMENT HELPERS ---
+const SEGMENT_RETRIES = 4;
 
-        // 1. Get Manifest
-        console.log('[DEBUG] STEP 1: Fetching Manifest...');
-        let response = await fetch(video.url);
-        let text = await response.text();
+async function getSegmentConcurrency() {
+    return (await cachedSettings()).segmentConcurrency;
+}
 
-        // 2. Select Best Stream if Master
-        if (text.includes('#EXT-X-STREAM-INF')) {
-            console.log('[DEBUG] Master Manifest Detected. Selecting Best Stream...');
-            const lines = text.split('\n');
-            let bestUrl = null, maxH = 0;
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].includes('BANDWIDTH')) {
-                    const bwMatch = lines[i].match(/BANDWIDTH=(\d+)/);
-                    const bw = bwMatch ? parseInt(bwMatch[1]) : 0;
-                    const currentUrl = lines[i + 1]?.trim();
-                    if (parseInt(bw) > maxH) {
-                        maxH = parseInt(bw);
-                        bestUrl = currentUrl;
-                    }
-                }
+// Runs worker(item, index) with a fixed number of parallel workers; stops when isCancelled() turns true.
+// The first error stops every runner from taking another item, and is rethrown only once the
+// in-flight workers have settled, so the caller can clean up what they stored.
+async function runPool(items, concurrency, worker, isCancelled) {
+    let next = 0;
+    let failure = null;
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (!failure && next < items.length) {
+            if (isCancelled()) {
+                failure = failure || new Error("Cancelled");
+                break;
             }
-            if (bestUrl) {
-                if (!bestUrl.startsWith('http')) {
-                    const base = video.url.substring(0, video.url.lastIndexOf('/') + 1);
-                    bestUrl = base + bestUrl;
-                }
-                console.log(`[DEBUG] Fetching Variant Manifest: ${bestUrl}`);
-                text = await fetch(bestUrl).then(r => r.text());
-                video.url = bestUrl;
+            const index = next++;
+            try {
+                await worker(items[index], index);
+            } catch (e) {
+                failure = failure || e;
             }
         }
+    });
+    await Promise.allSettled(runners);
+    if (failure) throw failure;
+}
+
+function assertNoMissingSegments(failed, total) {
+    if (!failed.length) return;
+    failed.sort((a, b) => a - b);
+    const list = failed.slice(0, 5).join(', ') + (failed.length > 5 ? ', ...' : '');
+    throw new Error(`${failed.length} of ${total} segments failed after retries (#${list})`);
+}
 
-        // 3. DRM Check
-        if (text.includes('#EXT-X-KEY')) {
-            throw new Error("DRM Protected");
+// Retries with exponential backoff, honouring Retry-After on 429/503
+async function fetchSegment(url, video, range = null) {
+    let lastError;
+    for (let attempt = 0; attempt <= SEGMENT_RETRIES; attempt++) {
+        try {
+            return await fetchSegmentOnce(url, video, range);
+        } catch (e) {
+            lastError = e;
+            const permanent = e.status >= 400 && e.status < 500 && e.status !== 408 && e.status !== 429;
+            if (permanent || attempt === SEGMENT_RETRIES) break;
+            const delay = e.retryAfter ?? Math.min(500 * 2 ** attempt, 8000) + Math.random() * 250;
+            console.warn(`[DEBUG] Retry ${attempt + 1}/${SEGMENT_RETRIES} in ${Math.round(delay)}ms: ${url}`);
+            await new Promise(r => setTimeout(r, delay));
         }
+    }
+    throw lastError;
+}
 
-        // 4. Parse Segments
-        console.log('[DEBUG] STEP 4: Parsing Segments...');
-        const parser = new HLSParser(video.url, text);
-        const segments = parser.getSegments();
-        const totalDuration = parser.getTotalDuration();
+// Playlists and manifests, with the same replayed headers as the segments
+function fetchText(url, video) {
+    return fetch(url, { headers: fetchableHeaders(video, url) }).then(r => r.text());
+}
 
-        if (!segments.length) throw new Error("No segments found");
+function parseRetryAfter(value) {
+    if (!value) return undefined;
+    const secs = Number(value);
+    const ms = !isNaN(secs) ? secs * 1000 : Date.parse(value) - Date.now();
+    return isNaN(ms) ? undefined : Math.min(Math.max(ms, 0), 60000);
+}
 
-        // 5. Download Loop
-        console.log('[DEBUG] STEP 5: Starting Download Loop...');
-        const chunks = new Array(segments.length);
-        let downloaded = 0;
-        let totalBytes = 0;
-        const startTime = Date.now();
+async function fetchSegmentOnce(url, video, range) {
+    const headers = { ...fetchableHeaders(video, url), ...(range ? { Range: `bytes=${range}` } : {}) };
+    let res;
+    try {
+        res = await fetch(url.startsWith('http') ? url : new URL(url, video.url).href, { referrer: video.pageUrl, headers });
+        if (!res.ok) throw new Error(res.status);
+    } catch (e) {
+        res = await fetch(url, { credentials: 'omit', referrerPolicy: 'no-referrer', headers });
+    }
+    if (!res.ok) {
+        const err = new Error(`Fetch failed (HTTP ${res.status})`);
+        err.status = res.status;
+        err.retryAfter = parseRetryAfter(res.headers.get('Retry-After'));
+        throw err;
+    }
+    const buf = await res.arrayBuffer();
+    if (buf.byteLength === 0) throw new Error("Empty segment");
+    if (buf.byteLength < 1000) {
+        const start = String.fromCharCode(...new Uint8Array(buf.slice(0, 50))).toLowerCase();
+        if (start.includes('<!doc') || start.includes('<html')) throw new Error("HTML response");
+    }
+    return buf;
+}
 
-        const downloadSegment = async (url, index) => {
-            if (activeDownloads.get(id)?.cancelled) throw new Error("Cancelled");
-            let res;
-            try {
-                res = await fetch(url.startsWith('http') ? url : new URL(url, video.url).href, { referrer: video.pageUrl });
-                if (!res.ok) throw new Error(res.status);
-            } catch (e) {
-                res = await fetch(url, { credentials: 'omit', referrerPolicy: 'no-referrer' });
-            }
-            if (!res.ok) throw new Error("Fetch failed");
-            const buf = await res.arrayBuffer();
-            if (buf.byteLength === 0) throw new Error("Empty segment");
-            if (buf.byteLength < 1000) {
-                const start = String.fromCharCode(...new Uint8Array(buf.slice(0, 50))).toLowerCase();
-                if (start.includes('<!doc') || start.includes('<html')) throw new Error("HTML response");
+// --- DOWNLOAD DB (IndexedDB, shared with offscreen.js) ---
+const DB_NAME = 'DownloadDB';
+const DB_VERSION = 4;
+
+function openDownloadDB() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = (e) => {
+            const db = e.target.result;
+            if (!db.objectStoreNames.contains('blobs')) db.createObjectStore('blobs');
+            if (!db.objectStoreNames.contains('jobs')) db.createObjectStore('jobs', { keyPath: 'id' });
+            if (!db.objectStoreNames.contains('history')) {
+                db.createObjectStore('history', { keyPath: 'id', autoIncrement: true }).createIndex('downloadId', 'downloadId');
             }
-            chunks[index] = buf;
-            return buf.byteLength;
         };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
 
-        // Execution
-        for (let i = 0; i < segments.length; i++) {
-            if (activeDownloads.get(id)?.cancelled) break;
-            try {
-                const size = await downloadSegment(segments[i], i);
-                totalBytes += size;
-                downloaded++;
-                const pct = Math.round((downloaded / segments.length) * 100);
-                if (pct % 5 === 0 || i === segments.length - 1) {
-                    const speed = Math.round((totalBytes / 1024) / ((Date.now() - startTime) / 1000));
-                    notifyProgress(id, pct, `${speed} KB/s`);
-                    safeUpdateBadge(`${pct}%`, tabId);
-                }
-            } catch (e) {
-                console.warn(`[DEBUG] Seg ${i} FAILED`, e);
-            }
-        }
+// Runs fn(store) in one transaction and resolves with the request result once committed
+async function idbRequest(storeName, mode, fn) {
+    const db = await openDownloadDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => { db.close(); resolve(req ? req.result : undefined); };
+        tx.onerror = () => { db.close(); reject(tx.error); };
+    });
+}
 
-        if (downloaded === 0) throw new Error("Download failed");
-        notifyProgress(id, 100, 'Processing...');
+function saveChunk(key, chunk) {
+    return idbRequest('blobs', 'readwrite', store => store.put(new Blob([chunk]), key)).then(() => key);
+}
 
-        // 6. Transmuxing using IDB to bypass 64MB limit
-        console.log('[DEBUG] STEP 6: Sending to Transmuxer...');
+function chunkRange(prefix) {
+    return IDBKeyRange.bound(prefix, prefix + '\uffff');
+}
 
-        const chunkKeys = [];
-        await setupOffscreen();
+function listChunkKeys(prefix) {
+    return idbRequest('blobs', 'readonly', store => store.getAllKeys(chunkRange(prefix)));
+}
 
-        const saveChunk = (chunk, idx) => {
-            return new Promise((resolve, reject) => {
-                const key = `chunk_${session}_${Date.now()}_${idx}`;
-                const req = indexedDB.open('DownloadDB', 2);
-                req.onupgradeneeded = (e) => {
-                    const db = e.target.result;
-                    if (!db.objectStoreNames.contains('blobs')) {
-                        db.createObjectStore('blobs');
-                    }
-                };
-                req.onsuccess = (e) => {
-                    const tx = e.target.result.transaction('blobs', 'readwrite');
-                    tx.objectStore('blobs').put(new Blob([chunk]), key);
-                    tx.oncomplete = () => { e.target.result.close(); resolve(key); };
-                    tx.onerror = () => reject(tx.error);
-                };
-                req.onerror = () => reject(req.error);
-            });
-        };
+function deleteChunks(prefix) {
+    return idbRequest('blobs', 'readwrite', store => store.delete(chunkRange(prefix)));
+}
 
-        for (let i = 0; i < chunks.length; i++) {
-            if (chunks[i]) chunkKeys.push(await saveChunk(chunks[i], i));
-        }
+function deleteChunk(key) {
+    return idbRequest('blobs', 'readwrite', store => store.delete(key));
+}
 
-        // Filename
-        let finalExt = '.mp4';
-        let targetName = video.filename;
-        if (!targetName || targetName.endsWith('.ts') || targetName.startsWith('http')) {
-            const safeTitle = (video.pageTitle || 'video').replace(/[<>:"/\\|?*\x00-\x1F]/g, "_").trim();
-            targetName = safeTitle + finalExt;
-        } else if (!targetName.endsWith(finalExt)) {
-            targetName += finalExt;
-        }
+function saveJob(job) {
+    job.updatedAt = Date.now();
+    return idbRequest('jobs', 'readwrite', store => store.put(job));
+}
 
-        try {
-            const res = await chrome.runtime.sendMessage({
-                action: 'transmux',
-                chunkKeys: chunkKeys, // Keys only!
-                mimeType: 'video/mp4',
-                duration: totalDuration
-            });
+function getJob(id) {
+    return idbRequest('jobs', 'readonly', store => store.get(id));
+}
 
-            if (res?.status === 'success') {
-                console.log('[DEBUG] Transmux Successful!');
-                const urlRes = await chrome.runtime.sendMessage({ action: 'createUrlFromIDB', blobKey: res.blobKey });
-                triggerDownload(urlRes.url, targetName, true, originalUrl); // USE CAPTURED URL
-                setTimeout(() => chrome.runtime.sendMessage({ action: 'deleteBlob', key: res.blobKey }), 60000);
-            } else {
-                throw new Error("Transmux failed");
-            }
-        } catch (e) {
-            console.error(e);
-            throw e;
-        }
+function getAllJobs() {
+    return idbRequest('jobs', 'readonly', store => store.getAll());
+}
 
-    } catch (err) {
-        console.error("[DEBUG] HLS PROCESS FAILED:", err);
-        safeUpdateBadge('ERR', tabId);
-        chrome.notifications.create({ type: 'basic', iconUrl: 'icons/icon48.png', title: 'Error', message: err.message });
-        notifyProgress(id, 0, 'Error', 'Error');
-    } finally {
-        activeDownloads.delete(id);
+function deleteJob(id) {
+    return idbRequest('jobs', 'readwrite', store => store.delete(id));
+}
+
+// Download history: one entry per saved file (native hand-offs have no downloadId)
+function historyEntry(video, filename, originalUrl) {
+    return {
+        downloadId: null,
+        url: originalUrl || video.url, // detected URL, what a re-download starts from
+        mediaUrl: video.url, // picked variant / rendition
+        audioUrl: video.audioUrl || null,
+        type: video.type,
+        kind: mediaKind(video.type),
+        title: video.pageTitle || filename,
+        pageUrl: video.pageUrl || '',
+        quality: video.quality || '',
+        duration: video.duration || 0,
+        thumbnail: video.thumbnail || '',
+        filename,
+        size: 0,
+        engine: 'browser',
+        state: 'in_progress',
+        date: Date.now()
+    };
+}
+
+function addHistory(entry) {
+    return idbRequest('history', 'readwrite', store => store.add(entry));
+}
+
+// Applies changes to the history entry of a chrome.downloads id (none for subtitles etc.)
+async function updateHistory(downloadId, changes) {
+    await historyWrites.get(downloadId); // a blob download can finish before its entry is written
+    historyWrites.delete(downloadId);
+    const entry = await idbRequest('history', 'readonly', store => store.index('downloadId').get(downloadId));
+    if (entry) await idbRequest('history', 'readwrite', store => store.put({ ...entry, ...changes }));
+}
+
+// Same, by history id (native downloads have no chrome.downloads id)
+async function updateHistoryEntry(id, changes) {
+    const entry = await idbRequest('history', 'readonly', store => store.get(id));
+    if (entry) await idbRequest('history', 'readwrite', store => store.put({ ...entry, ...changes }));
+}
+
+function getAllHistory() {
+    return idbRequest('history', 'readonly', store => store.getAll());
+}
+
+function deleteHistory(id) {
+    return idbRequest('history', 'readwrite', store => store.delete(id));
+}
+
+function outputFilename(video, finalExt) {
+    const targetName = video.filename;
+    if (!targetName || targetName.startsWith('http')) {
+        const safeTitle = (video.pageTitle || 'video').replace(/[<>:"/\\|?*\x00-\x1F]/g, "_").trim();
+        return safeTitle + finalExt;
     }
+    // Templated stream names carry the playlist extension: swap it for the real container
+    return targetName.replace(/\.(ts|m3u8|mpd|mp4)$/i, '') + finalExt;
 }
 
 // Strictly monitor filenames
 chrome.downloads.onDeterminingFilename.addListener((item, suggest) => {
     if (filenameOverrides.has(item.url)) {
-        const name = filenameOverrides.get(item.url);
-        suggest({ filename: name, conflictAction: 'uniquify' });
+        const { filename, conflictAction } = filenameOverrides.get(item.url);
+        suggest({ filename, conflictAction });
         setTimeout(() => filenameOverrides.delete(item.url), 60000);
     }
 });
 
-function notifyProgress(url, percent, speed, status = 'Downloading') {
+function notifyCancelled(url, tabId) {
+    console.log('[DEBUG] Download cancelled:', url);
+    safeUpdateBadge('', tabId);
+    notifyProgress(url, 0, 'Cancelled', 'Cancelled');
+}
+
+// detail: what the dashboard log keeps next to a status change (the error message)
+function notifyProgress(url, percent, speed, status = 'Downloading', detail = '') {
+    logStatus(url, status, detail);
     // Update State
     if (activeDownloads.has(url)) {
         const entry = activeDownloads.get(url);
@@ -482,13 +2596,20 @@ function notifyProgress(url, percent, speed, status = 'Downloading') {
         entry.speed = speed;
         activeDownloads.set(url, entry);
     }
+    // The queue learns how a download ended from its last status
+    const queued = queueEntry(url);
+    if (queued && queued.status === 'running' && (status === 'Error' || status === 'Cancelled')) queued.outcome = status;
     chrome.runtime.sendMessage({ action: 'DOWNLOAD_PROGRESS', url, percent, speed, status }).catch(() => { });
 }
 
-function triggerDownload(url, filename, isBlob, originalUrl = null) {
+// video: the download's media, recorded in the history when given
+function triggerDownload(url, filename, isBlob, originalUrl = null, video = null) {
     console.log(`[DEBUG] triggerDownload called. URL: ${url}, Filename: ${filename}`);
-    filenameOverrides.set(url, filename);
-    chrome.downloads.download({ url: url, saveAs: false }, (dId) => {
+    // "skip" was handled before the download started: a name clash now gets uniquified
+    const conflictAction = video?.conflictAction === ConflictActions.OVERWRITE ? 'overwrite' : 'uniquify';
+    filenameOverrides.set(url, { filename, conflictAction });
+    const headers = !isBlob && video ? Object.entries(fetchableHeaders(video, url)).map(([name, value]) => ({ name, value })) : [];
+    chrome.downloads.download({ url: url, saveAs: false, ...(headers.length ? { headers } : {}) }, (dId) => {
         if (chrome.runtime.lastError) {
             console.error("[DEBUG] Download failed to start:", chrome.runtime.lastError);
             filenameOverrides.delete(url);
@@ -496,6 +2617,7 @@ function triggerDownload(url, filename, isBlob, originalUrl = null) {
             if (originalUrl) {
                 downloadOriginalUrls.set(dId, originalUrl);
             }
+            if (video) historyWrites.set(dId, addHistory({ ...historyEntry(video, filename, originalUrl), downloadId: dId }).catch(() => { }));
             if (isBlob && dId) {
                 downloadBlobs.set(dId, url);
                 setTimeout(() => {
@@ -508,6 +2630,13 @@ function triggerDownload(url, filename, isBlob, originalUrl = null) {
     });
 }
 
+// sendMessage to the offscreen document, throwing on an error response
+async function callOffscreen(message) {
+    const res = await chrome.runtime.sendMessage(message);
+    if (res?.status !== 'success') throw new Error(res?.error || `${message.action} failed`);
+    return res;
+}
+
 let creatingOffscreen;
 async function setupOffscreen() {
     if (await chrome.offscreen.hasDocument()) return;
@@ -517,7 +2646,58 @@ async function setupOffscreen() {
 class HLSParser {
     constructor(base, text) { this.base = base; this.text = text; }
     getSegments() {
-        return this.text.split('\n').filter(l => l.trim() && !l.trim().startsWith('#')).map(l => new URL(l.trim(), this.base).href);
+        return this.getEntries().map(e => e.url);
+    }
+    // fMP4/CMAF playlists declare their init segment with EXT-X-MAP
+    isFragmented() {
+        return this.text.includes('#EXT-X-MAP');
+    }
+    // Media playlist segments with duration, media sequence, byte range, init map and the key in effect
+    getEntries() {
+        const entries = [];
+        let sequence = 0, duration = 0;
+        let key = null, map = null, range = null;
+        let pendingKeys = [];
+        const rangeEnds = new Map(); // url -> end of the previous sub-range
+        const applyKeys = () => {
+            if (!pendingKeys.length) return;
+            // Several KEY tags may be offered at once: prefer a clear-key one over DRM
+            key = pendingKeys.find(k => !k.drm) || pendingKeys[0];
+            if (key.method === 'NONE') key = null;
+            pendingKeys = [];
+        };
+        for (const raw of this.text.split('\n')) {
+            const line = raw.trim();
+            if (!line) continue;
+            if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+                sequence = parseInt(line.substring(22), 10) || 0;
+            } else if (line.startsWith('#EXTINF:')) {
+                duration = parseFloat(line.substring(8)) || 0;
+            } else if (line.startsWith('#EXT-X-KEY:')) {
+                pendingKeys.push(describeKey(parseAttributes(line.substring(11)), this.base));
+            } else if (line.startsWith('#EXT-X-MAP:')) {
+                const attrs = parseAttributes(line.substring(11));
+                const url = new URL(attrs.URI, this.base).href;
+                // A KEY before the MAP tag covers the init section too
+                applyKeys();
+                map = { url, range: attrs.BYTERANGE ? byteRange(attrs.BYTERANGE, 0) : null, key };
+            } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+                range = line.substring(17);
+            } else if (!line.startsWith('#')) {
+                applyKeys();
+                const url = new URL(line, this.base).href;
+                let segmentRange = null;
+                if (range) {
+                    // "length@offset"; without an offset the range continues the previous one
+                    segmentRange = byteRange(range, rangeEnds.get(url) || 0);
+                    rangeEnds.set(url, parseInt(segmentRange.split('-')[1], 10) + 1);
+                    range = null;
+                }
+                entries.push({ url, range: segmentRange, duration, sequence: sequence++, key, map });
+                duration = 0;
+            }
+        }
+        return entries;
     }
     getTotalDuration() {
         let total = 0;
@@ -531,18 +2711,125 @@ class HLSParser {
         }
         return total > 0 ? total : 0;
     }
-    getVariants() { return []; }
+    isMaster() {
+        return this.text.includes('#EXT-X-STREAM-INF');
+    }
+    // Live media playlists keep growing: no ENDLIST and not declared VOD
+    isLive() {
+        return !this.isMaster() && !this.text.includes('#EXT-X-ENDLIST') && !/#EXT-X-PLAYLIST-TYPE:VOD/.test(this.text);
+    }
+    getTargetDuration() {
+        const m = this.text.match(/#EXT-X-TARGETDURATION:(\d+(?:\.\d+)?)/);
+        return m ? parseFloat(m[1]) : 0;
+    }
+    getVariants(duration = 0) {
+        const lines = this.text.split('\n').map(l => l.trim());
+        const variants = [];
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].startsWith('#EXT-X-STREAM-INF:')) continue;
+            const attrs = parseAttributes(lines[i].substring(18));
+
+            // URI is the next non-tag line
+            let uri = null;
+            for (let j = i + 1; j < lines.length; j++) {
+                if (lines[j].startsWith('#EXT-X-STREAM-INF')) break;
+                if (!lines[j] || lines[j].startsWith('#')) continue;
+                uri = lines[j];
+                break;
+            }
+            if (!uri) continue;
+
+            const [width, height] = (attrs.RESOLUTION || '').split('x').map(n => parseInt(n, 10) || 0);
+            const variant = {
+                url: new URL(uri, this.base).href,
+                bandwidth: parseInt(attrs.BANDWIDTH, 10) || 0,
+                averageBandwidth: parseInt(attrs['AVERAGE-BANDWIDTH'], 10) || 0,
+                width: width || 0,
+                height: height || 0,
+                codecs: attrs.CODECS || '',
+                frameRate: parseFloat(attrs['FRAME-RATE']) || 0,
+                audio: attrs.AUDIO || null,
+                subtitles: attrs.SUBTITLES || null
+            };
+            variant.quality = variantLabel(variant, duration);
+            variants.push(variant);
+        }
+
+        // Best first: resolution, then bitrate
+        return variants.sort((a, b) => (b.height - a.height) || (b.bandwidth - a.bandwidth));
+    }
+    // Alternative renditions (#EXT-X-MEDIA) of one TYPE: AUDIO, SUBTITLES, ...
+    getMedia(type) {
+        const media = [];
+        for (const raw of this.text.split('\n')) {
+            const line = raw.trim();
+            if (!line.startsWith('#EXT-X-MEDIA:')) continue;
+            const attrs = parseAttributes(line.substring(13));
+            if (attrs.TYPE !== type) continue;
+            media.push({
+                url: attrs.URI ? new URL(attrs.URI, this.base).href : null,
+                groupId: attrs['GROUP-ID'] || '',
+                name: attrs.NAME || '',
+                language: attrs.LANGUAGE || '',
+                channels: attrs.CHANNELS || '',
+                default: attrs.DEFAULT === 'YES',
+                autoselect: attrs.AUTOSELECT === 'YES'
+            });
+        }
+        return media;
+    }
+}
+
+// Parses an HLS attribute list (KEY=VALUE,KEY="quoted,value")
+function parseAttributes(str) {
+    const attrs = {};
+    const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let m;
+    while ((m = re.exec(str)) !== null) {
+        attrs[m[1]] = m[2].startsWith('"') ? m[2].slice(1, -1) : m[2];
+    }
+    return attrs;
+}
+
+// HLS BYTERANGE "length[@offset]" -> HTTP "start-end"
+function byteRange(value, defaultOffset) {
+    const [length, offset] = value.split('@').map(n => parseInt(n, 10));
+    const start = isNaN(offset) ? defaultOffset : offset;
+    return `${start}-${start + length - 1}`;
+}
+
+// "1080p60 • 5.2 Mbps • ~780 MB"
+function variantLabel(v, duration) {
+    const parts = [];
+    if (v.height) parts.push(`${v.height}p${v.frameRate > 30 ? Math.round(v.frameRate) : ''}`);
+    else if (v.codecs && !/avc|hvc|hev|vp0?9|av01/i.test(v.codecs)) parts.push('Audio');
+    else parts.push('Unknown');
+
+    const bw = v.averageBandwidth || v.bandwidth;
+    if (bw) parts.push(bw >= 1e6 ? `${(bw / 1e6).toFixed(1)} Mbps` : `${Math.round(bw / 1000)} kbps`);
+    if (bw && duration > 0) {
+        const mb = (bw * duration) / 8 / 1024 / 1024;
+        parts.push(mb >= 1024 ? `~${(mb / 1024).toFixed(1)} GB` : `~${Math.round(mb)} MB`);
+    }
+    return parts.join(' • ');
 }
 
 // --- TRACK DOWNLOADS ---
 chrome.downloads.onChanged.addListener((delta) => {
+    if (delta.state && delta.state.current === 'interrupted') {
+        updateHistory(delta.id, { state: 'interrupted', error: delta.error?.current || '' }).catch(() => { });
+        const originalUrl = downloadOriginalUrls.get(delta.id);
+        if (originalUrl) logMedia(originalUrl, `Interrupted: ${delta.error?.current || 'unknown error'}`);
+    }
     if (delta.state && delta.state.current === 'complete') {
         chrome.downloads.search({ id: delta.id }, (items) => {
             if (items && items[0]) {
+                updateHistory(delta.id, { state: 'complete', size: items[0].fileSize || items[0].totalBytes, filename: items[0].filename }).catch(() => { });
                 const url = items[0].url;
                 // Check if this was one of our blob downloads or tracked original
                 const originalUrl = downloadOriginalUrls.get(delta.id) || downloadBlobs.get(delta.id) || url;
                 completedDownloads.add(originalUrl);
+                logMedia(originalUrl, `Saved ${items[0].filename}`);
 
                 // Notify Popup to Refresh
                 chrome.runtime.sendMessage({ action: 'DOWNLOAD_COMPLETE', url: originalUrl }).catch(() => { });
@@ -550,3 +2837,8 @@ chrome.downloads.onChanged.addListener((delta) => {
         });
     }
 });
+
+// --- STARTUP ---
+resumeJobs();
+syncMseHook().catch(e => console.warn('[DEBUG] MSE hook registration failed:', e));
+pruneMseChunks().catch(() => { });
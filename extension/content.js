@@ -30,7 +30,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             }
         }
 
-        if (bestVideo) {
+        if (bestVideo && message.thumbnails === false) {
+            // Thumbnail capture is switched off in the settings: no poster, canvas or screenshot
+            sendResponse({ duration: bestVideo.duration || 0, thumbnail: null, pageTitle: document.title });
+        } else if (bestVideo) {
             // 1. Try Poster FIRST
             let poster = bestVideo.poster;
             if (poster) {
@@ -115,3 +118,120 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         }
     }
 });
+
+// DOM discovery: media referenced by the page itself (players, meta tags, JSON-LD, links).
+// Catches what was loaded before the extension was watching or came from cache.
+const MEDIA_FILE = /\.(m3u8|mpd|mp4|m4v|webm|mov|mkv|flv|ogv|mp3|m4a|aac|opus|ogg|oga|weba|wav|flac)$/i;
+const META_PROPERTIES = ['og:video', 'og:video:url', 'og:video:secure_url', 'og:audio', 'og:audio:url', 'og:audio:secure_url', 'twitter:player:stream'];
+let reportedMedia = new Set();
+let reportedPage = location.href;
+let scanTimer = null;
+
+function scheduleMediaScan() {
+    clearTimeout(scanTimer);
+    scanTimer = setTimeout(scanMedia, 500);
+}
+
+function scanMedia() {
+    // SPA navigation: the background forgot this page's detections, report everything again
+    if (location.href !== reportedPage) {
+        reportedPage = location.href;
+        reportedMedia = new Set();
+    }
+
+    const found = [];
+    const add = (url, mime, source) => {
+        if (!url) return;
+        let abs;
+        try { abs = new URL(url, document.baseURI); } catch (e) { return; }
+        if (abs.protocol !== 'http:' && abs.protocol !== 'https:') return; // blob:, data:, ...
+        abs.hash = '';
+        if (reportedMedia.has(abs.href)) return;
+        reportedMedia.add(abs.href);
+        found.push({ url: abs.href, mime: mime || '', source });
+    };
+
+    for (const el of document.querySelectorAll('video, audio')) {
+        add(el.getAttribute('src'), '', el.tagName.toLowerCase());
+        if (el.currentSrc) add(el.currentSrc, '', el.tagName.toLowerCase());
+    }
+    for (const el of document.querySelectorAll('video source, audio source')) {
+        add(el.getAttribute('src'), el.getAttribute('type'), el.parentElement.tagName.toLowerCase());
+    }
+    for (const el of document.querySelectorAll('meta[property], meta[name]')) {
+        const property = (el.getAttribute('property') || el.getAttribute('name')).toLowerCase();
+        if (!META_PROPERTIES.includes(property)) continue;
+        const type = document.querySelector(`meta[property="${property.replace(/:(url|secure_url)$/, '')}:type"]`);
+        add(el.getAttribute('content'), type && type.getAttribute('content'), 'meta');
+    }
+    for (const el of document.querySelectorAll('script[type="application/ld+json"]')) {
+        try {
+            for (const item of jsonLdMedia(JSON.parse(el.textContent))) add(item.contentUrl, item.encodingFormat, 'json-ld');
+        } catch (e) { }
+    }
+    for (const el of document.querySelectorAll('a[href]')) {
+        const path = el.href.split(/[?#]/)[0];
+        if (MEDIA_FILE.test(path)) add(el.href, el.getAttribute('type'), 'link');
+    }
+
+    if (!found.length) return;
+    try {
+        chrome.runtime.sendMessage({ action: 'DOM_MEDIA', items: found }).catch(() => { });
+    } catch (e) {
+        // Extension reloaded: this content script is orphaned
+    }
+}
+
+// VideoObject / AudioObject anywhere in the document (arrays, @graph, nested properties)
+function jsonLdMedia(node, out = [], depth = 0) {
+    if (!node || typeof node !== 'object' || depth > 8) return out;
+    if (Array.isArray(node)) {
+        for (const item of node) jsonLdMedia(item, out, depth + 1);
+        return out;
+    }
+    const types = [].concat(node['@type'] || []);
+    if (types.some(t => t === 'VideoObject' || t === 'AudioObject') && typeof node.contentUrl === 'string') {
+        out.push({ contentUrl: node.contentUrl, encodingFormat: typeof node.encodingFormat === 'string' ? node.encodingFormat : '' });
+    }
+    for (const value of Object.values(node)) {
+        if (value && typeof value === 'object') jsonLdMedia(value, out, depth + 1);
+    }
+    return out;
+}
+
+new MutationObserver(scheduleMediaScan).observe(document.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['src', 'href', 'content']
+});
+// Players set video.src as a property; media events do not bubble, so listen while capturing
+document.addEventListener('loadstart', scheduleMediaScan, true);
+scheduleMediaScan();
+
+// MSE capture: mseHook.js (page world) posts each SourceBuffer and the bytes appended to it.
+// Runtime messages are JSON, so the bytes travel as base64.
+window.addEventListener('message', (event) => {
+    const msg = event.data;
+    if (event.source !== window || !msg || msg.source !== 'streamsniffer-mse') return;
+    try {
+        chrome.runtime.sendMessage({
+            action: 'MSE_CAPTURE',
+            type: msg.type,
+            captureId: msg.captureId,
+            trackId: msg.trackId,
+            mime: msg.mime,
+            data: msg.data ? bytesToBase64(new Uint8Array(msg.data)) : null
+        }).catch(() => { });
+    } catch (e) {
+        // Extension reloaded: this content script is orphaned
+    }
+});
+
+function bytesToBase64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(bin);
+}
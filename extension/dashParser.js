@@ -0,0 +1,226 @@
+/**
+ * DASH Manifest Parser
+ * Turns an MPD document into plain period / adaptation set / representation
+ * objects with fully resolved segment URLs. Needs DOMParser, so it is loaded
+ * by the offscreen document rather than the service worker.
+ */
+
+class DASHParser {
+    constructor(base, text) {
+        this.base = base;
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) throw new Error('Invalid MPD');
+        this.mpd = doc.documentElement;
+    }
+
+    parse() {
+        const mpd = this.mpd;
+        const totalDuration = parseISODuration(mpd.getAttribute('mediaPresentationDuration'));
+        const base = resolveBaseURL(this.base, mpd);
+        const periodEls = childElements(mpd, 'Period');
+
+        const periods = [];
+        let cursor = 0;
+        periodEls.forEach((el, i) => {
+            const start = el.hasAttribute('start') ? parseISODuration(el.getAttribute('start')) : cursor;
+            let duration = parseISODuration(el.getAttribute('duration'));
+            if (!duration) {
+                const next = periodEls[i + 1];
+                if (next && next.hasAttribute('start')) duration = parseISODuration(next.getAttribute('start')) - start;
+                else duration = Math.max(0, totalDuration - start);
+            }
+            cursor = start + duration;
+            periods.push(this.parsePeriod(el, base, start, duration));
+        });
+
+        return {
+            type: mpd.getAttribute('type') || 'static',
+            duration: totalDuration || cursor,
+            periods
+        };
+    }
+
+    parsePeriod(el, parentBase, start, duration) {
+        const base = resolveBaseURL(parentBase, el);
+        const period = { id: el.getAttribute('id') || '', start, duration, adaptationSets: [] };
+        for (const as of childElements(el, 'AdaptationSet')) {
+            period.adaptationSets.push(this.parseAdaptationSet(as, el, base, period));
+        }
+        return period;
+    }
+
+    parseAdaptationSet(as, periodEl, parentBase, period) {
+        const base = resolveBaseURL(parentBase, as);
+        const role = childElements(as, 'Role')[0];
+        const set = {
+            contentType: as.getAttribute('contentType') || '',
+            mimeType: as.getAttribute('mimeType') || '',
+            lang: as.getAttribute('lang') || '',
+            role: role ? role.getAttribute('value') : '',
+            protected: childElements(as, 'ContentProtection').length > 0,
+            representations: []
+        };
+
+        for (const rep of childElements(as, 'Representation')) {
+            set.representations.push(this.parseRepresentation(rep, as, periodEl, base, period));
+        }
+
+        if (!set.contentType) {
+            const first = set.representations[0] || {};
+            set.contentType = guessContentType(set.mimeType || first.mimeType, first.codecs);
+        }
+        return set;
+    }
+
+    parseRepresentation(rep, as, periodEl, parentBase, period) {
+        const base = resolveBaseURL(parentBase, rep);
+        const attr = (name) => rep.getAttribute(name) || as.getAttribute(name) || '';
+        const out = {
+            id: rep.getAttribute('id') || '',
+            bandwidth: parseInt(rep.getAttribute('bandwidth'), 10) || 0,
+            width: parseInt(attr('width'), 10) || 0,
+            height: parseInt(attr('height'), 10) || 0,
+            codecs: attr('codecs'),
+            mimeType: attr('mimeType'),
+            protected: childElements(rep, 'ContentProtection').length > 0,
+            init: null,
+            segments: [],
+            timeOffset: period.start
+        };
+
+        const chain = [periodEl, as, rep];
+        const template = mergeSegmentInfo(chain, 'SegmentTemplate');
+        const list = mergeSegmentInfo(chain, 'SegmentList');
+        const segBase = mergeSegmentInfo(chain, 'SegmentBase');
+
+        if (template) this.buildTemplate(out, template, base, period.duration);
+        else if (list) this.buildList(out, list, base);
+        else {
+            // SegmentBase (or a bare BaseURL): the whole file is one self-indexed resource
+            if (segBase) out.timeOffset -= (Number(segBase.attrs.presentationTimeOffset) || 0) / (Number(segBase.attrs.timescale) || 1);
+            out.segments.push({ url: base, range: null, time: 0, duration: period.duration });
+        }
+        return out;
+    }
+
+    buildTemplate(out, { attrs, timeline }, base, periodDuration) {
+        const timescale = Number(attrs.timescale) || 1;
+        const pto = Number(attrs.presentationTimeOffset) || 0;
+        const startNumber = attrs.startNumber !== undefined ? Number(attrs.startNumber) : 1;
+        const vars = { RepresentationID: out.id, Bandwidth: out.bandwidth };
+        out.timeOffset -= pto / timescale;
+
+        if (attrs.initialization) {
+            out.init = { url: new URL(fillTemplate(attrs.initialization, vars), base).href, range: null };
+        }
+        if (!attrs.media) return;
+
+        const push = (number, time, d) => {
+            out.segments.push({
+                url: new URL(fillTemplate(attrs.media, { ...vars, Number: number, Time: time }), base).href,
+                range: null,
+                time: (time - pto) / timescale,
+                duration: d / timescale
+            });
+        };
+
+        if (timeline) {
+            const entries = childElements(timeline, 'S');
+            let time = 0;
+            let number = startNumber;
+            entries.forEach((s, i) => {
+                if (s.hasAttribute('t')) time = Number(s.getAttribute('t'));
+                const d = Number(s.getAttribute('d'));
+                if (!d) return;
+                let repeat = Number(s.getAttribute('r')) || 0;
+                if (repeat < 0) {
+                    // r=-1: repeat until the next S@t or the end of the period
+                    const next = entries[i + 1];
+                    const end = next && next.hasAttribute('t') ? Number(next.getAttribute('t')) : pto + periodDuration * timescale;
+                    repeat = Math.ceil((end - time) / d) - 1;
+                }
+                for (let k = 0; k <= repeat; k++) {
+                    push(number++, time, d);
+                    time += d;
+                }
+            });
+        } else if (attrs.duration) {
+            const d = Number(attrs.duration);
+            const count = Math.ceil((periodDuration * timescale) / d);
+            for (let i = 0; i < count; i++) push(startNumber + i, pto + i * d, d);
+        }
+    }
+
+    buildList(out, { attrs, element }, base) {
+        const timescale = Number(attrs.timescale) || 1;
+        const d = Number(attrs.duration) || 0;
+        out.timeOffset -= (Number(attrs.presentationTimeOffset) || 0) / timescale;
+
+        const init = childElements(element, 'Initialization')[0];
+        if (init) {
+            out.init = {
+                url: init.hasAttribute('sourceURL') ? new URL(init.getAttribute('sourceURL'), base).href : base,
+                range: init.getAttribute('range') || null
+            };
+        }
+        childElements(element, 'SegmentURL').forEach((seg, i) => {
+            out.segments.push({
+                url: seg.hasAttribute('media') ? new URL(seg.getAttribute('media'), base).href : base,
+                range: seg.getAttribute('mediaRange') || null,
+                time: (i * d) / timescale,
+                duration: d / timescale
+            });
+        });
+    }
+}
+
+// --- Helpers ---
+
+function childElements(el, name) {
+    return Array.from(el.children).filter(c => c.localName === name);
+}
+
+function resolveBaseURL(parentBase, el) {
+    const baseEl = childElements(el, 'BaseURL')[0];
+    const value = baseEl ? baseEl.textContent.trim() : '';
+    return value ? new URL(value, parentBase).href : parentBase;
+}
+
+// SegmentTemplate/List/Base attributes inherit Period -> AdaptationSet -> Representation
+function mergeSegmentInfo(chain, name) {
+    let found = null;
+    for (const el of chain) {
+        const info = childElements(el, name)[0];
+        if (!info) continue;
+        found = found || { attrs: {}, element: info, timeline: null };
+        for (const a of Array.from(info.attributes)) found.attrs[a.name] = a.value;
+        found.element = info;
+        const timeline = childElements(info, 'SegmentTimeline')[0];
+        if (timeline) found.timeline = timeline;
+    }
+    return found;
+}
+
+// Expands $RepresentationID$, $Number%05d$, $Time$, $Bandwidth$ and $$
+function fillTemplate(template, vars) {
+    return template.replace(/\$(RepresentationID|Number|Time|Bandwidth)(?:%0(\d+)d)?\$|\$\$/g, (match, name, width) => {
+        if (match === '$$') return '$';
+        const value = String(vars[name] ?? '');
+        return width ? value.padStart(Number(width), '0') : value;
+    });
+}
+
+function parseISODuration(str) {
+    if (!str) return 0;
+    const m = str.match(/^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/);
+    if (!m) return 0;
+    const [, y, mo, d, h, mi, s] = m.map(v => parseFloat(v) || 0);
+    return y * 31536000 + mo * 2592000 + d * 86400 + h * 3600 + mi * 60 + s;
+}
+
+function guessContentType(mimeType = '', codecs = '') {
+    if (mimeType.startsWith('video/')) return 'video';
+    if (mimeType.startsWith('audio/')) return 'audio';
+    if (mimeType.startsWith('text/') || /ttml|vtt/.test(mimeType) || /stpp|wvtt/.test(codecs)) return 'text';
+    return '';
+}
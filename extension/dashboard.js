@@ -0,0 +1,523 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const list = document.getElementById('item-list');
+    const emptyState = document.getElementById('empty-state');
+    const selectAll = document.getElementById('select-all');
+    const selectionCount = document.getElementById('selection-count');
+    const typeFilter = document.getElementById('filter-type');
+    const siteFilter = document.getElementById('filter-site');
+    const textFilter = document.getElementById('filter-text');
+    const detail = document.getElementById('detail');
+    const detailTitle = document.getElementById('detail-title');
+    const detailBody = document.getElementById('detail-body');
+
+    let currentView = 'detected'; // detected / jobs / finished
+    let detections = []; // GET_VIDEOS of every tab
+    let queue = []; // GET_QUEUE
+    let history = []; // GET_HISTORY
+    const progress = new Map(); // url -> last DOWNLOAD_PROGRESS { percent, speed, status, elapsed }
+    const selected = new Set(); // row keys of the current view
+    let openRow = null; // row shown in the detail view
+    let showSecrets = false;
+    let subtitleFormat = 'vtt';
+
+    const QUEUE_LABELS = { queued: 'Queued', running: 'Downloading', paused: 'Paused', failed: 'Failed', done: 'Done' };
+    const HISTORY_STATES = { complete: 'Saved', in_progress: 'Saving', interrupted: 'Failed', sent: 'Companion App' };
+    const DETECTION_STATES = { downloading: 'Downloading', recording: 'Recording', queued: 'Queued', paused: 'Paused', resuming: 'Resuming', downloaded: 'Downloaded' };
+    // Header values that are credentials: hidden until "Show values" is ticked
+    const SECRET_HEADER = /cookie|authorization|token|auth|key|session/i;
+    const REFRESH_INTERVAL = 5000;
+
+    chrome.runtime.sendMessage({ action: 'GET_SETTINGS' }, (res) => {
+        if (res?.status === 'ok') subtitleFormat = res.settings.subtitleFormat;
+    });
+    document.getElementById('settings-btn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+    // --- DATA (same message bus as the popup) ---
+    function loadDetections() {
+        return new Promise(resolve => chrome.runtime.sendMessage({ action: 'GET_VIDEOS', allTabs: true }, (response) => {
+            detections = response?.videos || [];
+            resolve();
+        }));
+    }
+
+    function loadQueue() {
+        return new Promise(resolve => chrome.runtime.sendMessage({ action: 'GET_QUEUE' }, (response) => {
+            queue = (response?.queue || []).filter(entry => entry.status !== 'done');
+            resolve();
+        }));
+    }
+
+    function loadHistory() {
+        return new Promise(resolve => chrome.runtime.sendMessage({ action: 'GET_HISTORY' }, (response) => {
+            history = response?.history || [];
+            resolve();
+        }));
+    }
+
+    function refresh() {
+        return Promise.all([loadDetections(), loadQueue(), loadHistory()]).then(render);
+    }
+
+    // --- ROWS (one shape for the three views) ---
+    function rows(view = currentView) {
+        if (view === 'detected') {
+            return detections.map(v => ({
+                key: v.url,
+                url: v.url,
+                title: v.pageTitle || v.filename || 'Untitled Video',
+                sub: v.filename || v.url,
+                thumbnail: v.thumbnail,
+                type: v.type,
+                kind: v.kind,
+                site: siteOf(v.pageUrl || v.url),
+                size: [v.size ? formatSize(v.size) : '', v.duration ? formatDuration(v.duration) : ''].filter(Boolean).join(' · '),
+                status: detectionStatus(v),
+                item: v
+            }));
+        }
+        if (view === 'jobs') {
+            return queue.map(entry => ({
+                key: entry.id,
+                url: entry.id,
+                title: entry.title,
+                sub: entry.id,
+                thumbnail: entry.thumbnail,
+                type: entry.type,
+                kind: entry.kind,
+                site: siteOf(entry.pageUrl || entry.id),
+                size: '',
+                status: jobStatus(entry),
+                item: entry
+            }));
+        }
+        return history.map(entry => ({
+            key: `history-${entry.id}`,
+            url: entry.url,
+            title: entry.title || entry.filename,
+            sub: entry.filename,
+            thumbnail: entry.thumbnail,
+            type: entry.type,
+            kind: entry.kind,
+            site: siteOf(entry.pageUrl || entry.url),
+            size: [entry.size ? formatSize(entry.size) : '', entry.duration ? formatDuration(entry.duration) : ''].filter(Boolean).join(' · '),
+            status: {
+                label: `${HISTORY_STATES[entry.state] || entry.state}${entry.engine === 'native' ? ' (Companion App)' : ''} · ${new Date(entry.date).toLocaleString()}`,
+                error: entry.state === 'interrupted' ? entry.error || 'Interrupted' : null,
+                done: entry.state === 'complete'
+            },
+            item: entry
+        }));
+    }
+
+    // Live progress wins over the state the list was fetched with
+    function detectionStatus(v) {
+        const live = progress.get(v.url);
+        if (live) return progressStatus(live);
+        const state = v.downloadState;
+        if (!state) return { label: 'Detected' };
+        return {
+            label: [DETECTION_STATES[state.status] || state.status, state.percent ? `${state.percent}%` : '', state.speed || ''].filter(Boolean).join(' · '),
+            percent: state.status === 'downloaded' ? null : state.percent,
+            error: state.error || null,
+            done: state.status === 'downloaded',
+            active: ['downloading', 'recording', 'queued'].includes(state.status)
+        };
+    }
+
+    function jobStatus(entry) {
+        const live = progress.get(entry.id);
+        if (live && entry.status === 'running') return progressStatus(live);
+        return {
+            label: [entry.recording ? 'Recording' : QUEUE_LABELS[entry.status], entry.percent ? `${entry.percent}%` : '', entry.speed].filter(Boolean).join(' · '),
+            percent: entry.status === 'running' ? entry.percent : null,
+            error: entry.error,
+            active: entry.status === 'running' || entry.status === 'queued'
+        };
+    }
+
+    function progressStatus(live) {
+        if (live.status === 'Recording') return { label: `● REC ${formatDuration(live.elapsed)} · ${live.speed || ''}`, percent: live.percent, active: true };
+        if (live.status === 'Complete') return { label: 'Downloaded', done: true };
+        return {
+            label: [live.status === 'Downloading' ? `${live.percent}%` : live.status, live.speed && live.speed !== live.status ? live.speed : ''].filter(Boolean).join(' · '),
+            percent: live.status === 'Downloading' ? live.percent : null,
+            error: live.status === 'Error' ? 'Failed' : null,
+            active: live.status === 'Downloading' || live.status === 'Queued'
+        };
+    }
+
+    // --- RENDER ---
+    function render() {
+        document.getElementById('count-detected').textContent = detections.length;
+        document.getElementById('count-jobs').textContent = queue.length;
+        document.getElementById('count-finished').textContent = history.length;
+
+        const all = rows();
+        fillFilter(typeFilter, 'All types', all.map(row => row.type));
+        fillFilter(siteFilter, 'All sites', all.map(row => row.site));
+        const shown = all.filter(matchesFilters);
+
+        // Selections that are no longer listed do not count
+        const keys = new Set(shown.map(row => row.key));
+        for (const key of [...selected]) if (!keys.has(key)) selected.delete(key);
+
+        list.innerHTML = '';
+        emptyState.style.display = shown.length ? 'none' : 'block';
+        emptyState.textContent = all.length ? 'Nothing matches the filters.' : {
+            detected: 'No media detected in any tab yet. Try playing the video first.',
+            jobs: 'No active or queued downloads.',
+            finished: 'No finished downloads yet.'
+        }[currentView];
+
+        shown.forEach(row => list.appendChild(renderRow(row)));
+        updateBulk(shown);
+    }
+
+    function renderRow(row) {
+        const tr = document.createElement('tr');
+        tr.className = 'item';
+        tr.dataset.key = row.key;
+        tr.dataset.url = row.url;
+        if (openRow?.key === row.key) tr.classList.add('open');
+        tr.innerHTML = `
+            <td class="col-check"><input type="checkbox"${selected.has(row.key) ? ' checked' : ''}></td>
+            <td>
+                <div class="title-cell">
+                    ${row.thumbnail ? `<img src="${esc(row.thumbnail)}" alt="">` : '<div class="no-thumb"></div>'}
+                    <div class="text">
+                        <div class="name" title="${esc(row.title)}">${esc(row.title)}</div>
+                        <div class="sub" title="${esc(row.sub)}">${esc(row.sub)}</div>
+                    </div>
+                </div>
+            </td>
+            <td><span class="badge ${esc(row.type)} ${esc(row.kind || '')}">${esc(row.type)}</span></td>
+            <td>${esc(row.site)}</td>
+            <td>${esc(row.size)}</td>
+            <td class="status">${statusHtml(row.status)}</td>
+            <td class="row-actions">${actionButtons(row)}</td>`;
+
+        tr.querySelector('input[type="checkbox"]').addEventListener('change', (e) => {
+            if (e.target.checked) selected.add(row.key);
+            else selected.delete(row.key);
+            updateBulk(rows().filter(matchesFilters));
+        });
+        tr.addEventListener('click', (e) => {
+            const op = e.target.closest('button')?.dataset.op;
+            if (op) return runOp(op, [row]).then(refresh);
+            if (e.target.closest('.col-check')) return;
+            openDetail(row);
+        });
+        return tr;
+    }
+
+    function statusHtml(status) {
+        const cls = status.error ? 'error' : status.done ? 'done' : '';
+        return `<div class="label ${cls}" title="${esc(status.error || '')}">${esc(status.label)}</div>` +
+            (status.percent !== null && status.percent !== undefined ? `<div class="progress"><div class="progress-bar" style="width:${status.percent}%"></div></div>` : '');
+    }
+
+    function actionButtons(row) {
+        if (currentView === 'detected') {
+            if (row.status.active) return '<button data-op="cancel">Cancel</button>';
+            // Smooth Streaming is only detected, see the popup
+            if (row.type === 'mss') return '<button disabled title="Smooth Streaming (.ism) manifests can be detected but not downloaded yet">Download</button>';
+            return '<button data-op="download">Download</button>';
+        }
+        if (currentView === 'jobs') {
+            const entry = row.item;
+            const canPause = entry.status === 'queued' || (entry.status === 'running' && entry.type === 'hls' && !entry.recording);
+            const canResume = entry.status === 'paused' || entry.status === 'failed';
+            return (canPause ? '<button data-op="pause">Pause</button> ' : '') +
+                (canResume ? `<button data-op="resume">${entry.status === 'failed' ? 'Retry' : 'Resume'}</button> ` : '') +
+                `<button data-op="cancel">${entry.recording ? 'Stop & Save' : 'Cancel'}</button>`;
+        }
+        return '<button data-op="download">Download again</button> <button data-op="delete">Delete</button>';
+    }
+
+    // Progress updates only touch the row's status cell
+    function updateRowStatus(url) {
+        const row = rows().find(r => r.url === url);
+        const tr = row && list.querySelector(`tr[data-key="${CSS.escape(row.key)}"]`);
+        if (!tr) return;
+        tr.querySelector('.status').innerHTML = statusHtml(row.status);
+        tr.querySelector('.row-actions').innerHTML = actionButtons(row);
+    }
+
+    // --- FILTERS ---
+    function matchesFilters(row) {
+        if (typeFilter.value !== 'all' && row.type !== typeFilter.value) return false;
+        if (siteFilter.value !== 'all' && row.site !== siteFilter.value) return false;
+        const text = textFilter.value.trim().toLowerCase();
+        return !text || [row.title, row.sub, row.url].some(value => (value || '').toLowerCase().includes(text));
+    }
+
+    // Options from what the view lists; the choice is kept while it still exists
+    function fillFilter(select, allLabel, values) {
+        const current = select.value;
+        const options = [...new Set(values.filter(Boolean))].sort();
+        select.innerHTML = `<option value="all">${allLabel}</option>` + options.map(value => `<option value="${esc(value)}">${esc(value)}</option>`).join('');
+        select.value = options.includes(current) ? current : 'all';
+    }
+
+    [typeFilter, siteFilter].forEach(select => select.addEventListener('change', render));
+    textFilter.addEventListener('input', render);
+
+    // --- VIEWS ---
+    document.querySelectorAll('.tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
+            tab.classList.add('active');
+            currentView = tab.dataset.view;
+            selected.clear();
+            closeDetail();
+            render();
+        });
+    });
+
+    // --- BULK ACTIONS ---
+    function updateBulk(shown) {
+        const chosen = shown.filter(row => selected.has(row.key));
+        selectAll.checked = shown.length > 0 && chosen.length === shown.length;
+        selectAll.indeterminate = chosen.length > 0 && chosen.length < shown.length;
+        selectionCount.textContent = chosen.length ? `${chosen.length} selected` : '';
+        document.querySelectorAll('.bulk-btn').forEach(btn => {
+            btn.style.display = btn.dataset.views.split(' ').includes(currentView) ? '' : 'none';
+            btn.disabled = !chosen.length && !('always' in btn.dataset);
+        });
+    }
+
+    selectAll.addEventListener('change', () => {
+        const shown = rows().filter(matchesFilters);
+        shown.forEach(row => selectAll.checked ? selected.add(row.key) : selected.delete(row.key));
+        render();
+    });
+
+    document.querySelectorAll('.bulk-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const chosen = rows().filter(row => selected.has(row.key) && matchesFilters(row));
+            if (btn.dataset.op === 'delete' && !confirm(`Delete ${chosen.length} entries from the history? The files stay on disk.`)) return;
+            runOp(btn.dataset.op, chosen).then(() => {
+                selected.clear();
+                return refresh();
+            });
+        });
+    });
+
+    // One message per row; the queue decides what runs when
+    function runOp(op, targets) {
+        const send = (message) => new Promise(resolve => chrome.runtime.sendMessage(message, resolve));
+        if (op === 'clear') return send({ action: 'CLEAR_QUEUE' });
+        return Promise.all(targets.map(row => {
+            if (op === 'download' && row.type === 'mss') return null;
+            if (op === 'download') return send({ action: 'DOWNLOAD_MEDIA', video: downloadRequest(row) });
+            if (op === 'cancel') return send({ action: 'CANCEL_DOWNLOAD', url: row.url });
+            if (op === 'pause') return send({ action: 'PAUSE_DOWNLOAD', url: row.url });
+            if (op === 'resume') return send({ action: 'RESUME_DOWNLOAD', url: row.url });
+            if (op === 'delete') return send({ action: 'DELETE_HISTORY', id: row.item.id });
+            return null;
+        }));
+    }
+
+    // What the popup sends for "Auto / Best" (detected) or a re-download (history)
+    function downloadRequest(row, variant = null, audioUrl = null) {
+        if (currentView === 'finished') {
+            const entry = row.item;
+            return {
+                url: entry.mediaUrl || entry.url,
+                sourceUrl: entry.url,
+                audioUrl: entry.audioUrl,
+                subtitles: [],
+                subtitleFormat,
+                quality: entry.quality,
+                duration: entry.duration,
+                thumbnail: entry.thumbnail,
+                pageUrl: entry.pageUrl,
+                filename: entry.title,
+                type: entry.type,
+                tabId: null,
+                pageTitle: entry.title
+            };
+        }
+        const video = row.item;
+        return {
+            url: variant ? variant.url : video.url,
+            sourceUrl: video.url, // progress, resume and cancel are keyed by the detected URL
+            audioUrl,
+            subtitles: [],
+            live: !!video.live,
+            clip: null,
+            subtitleFormat,
+            quality: variant ? variant.quality : '',
+            duration: video.duration,
+            thumbnail: video.thumbnail,
+            pageUrl: video.pageUrl,
+            filename: video.filename,
+            type: video.type,
+            tabId: video.tabId,
+            pageTitle: video.pageTitle
+        };
+    }
+
+    // --- DETAIL VIEW ---
+    function openDetail(row) {
+        openRow = row;
+        list.querySelectorAll('tr.open').forEach(tr => tr.classList.remove('open'));
+        list.querySelector(`tr[data-key="${CSS.escape(row.key)}"]`)?.classList.add('open');
+        detail.hidden = false;
+        detailTitle.textContent = row.title;
+        detailBody.innerHTML = '<div class="hint">Loading...</div>';
+        loadDetail(row);
+    }
+
+    function loadDetail(row) {
+        chrome.runtime.sendMessage({ action: 'GET_MEDIA_DETAILS', url: row.url }, (details) => {
+            if (openRow !== row) return;
+            renderDetail(row, details || {});
+        });
+    }
+
+    function closeDetail() {
+        openRow = null;
+        detail.hidden = true;
+        list.querySelectorAll('tr.open').forEach(tr => tr.classList.remove('open'));
+    }
+
+    document.getElementById('detail-close').addEventListener('click', closeDetail);
+
+    function renderDetail(row, details) {
+        const video = details.video || {};
+        const item = row.item;
+        const overview = [
+            ['URL', row.url],
+            ['Variant URL', item.mediaUrl && item.mediaUrl !== row.url ? item.mediaUrl : ''],
+            ['Type', `${row.type}${details.live ? ' (live)' : ''}`],
+            ['Page', video.pageUrl || item.pageUrl],
+            ['Filename', item.filename || video.filename],
+            ['Size', video.size ? formatSize(video.size) : row.size],
+            ['Duration', (video.duration || item.duration) ? formatDuration(video.duration || item.duration) : ''],
+            ['Detected', video.timestamp ? `${new Date(video.timestamp).toLocaleString()} (${video.source || 'network'})` : ''],
+            ['Status', row.status.error ? `${row.status.label} (${row.status.error})` : row.status.label]
+        ].filter(([, value]) => value);
+
+        let html = `<dl>${overview.map(([name, value]) => `<dt>${name}</dt><dd>${esc(value)}</dd>`).join('')}</dl>`;
+        if (details.error) html += `<p class="error-text">${esc(details.error)}</p>`;
+
+        // Variants (HLS, downloadable one by one) or representations (DASH, informational)
+        if (details.variants?.length) {
+            html += `<h5>Variants</h5><table>${details.variants.map((v, i) => `
+                <tr>
+                    <td>${esc(v.quality || `${v.height}p`)}</td>
+                    <td>${esc(v.codecs)}</td>
+                    <td class="row-actions"><button data-variant="${i}">Download</button></td>
+                </tr>`).join('')}</table>`;
+            if (details.audioTracks?.length) {
+                html += `<div class="hint">Audio: ${details.audioTracks.map(a => esc(a.name || a.language || 'track')).join(', ')} (the default one is downloaded with a variant)</div>`;
+            }
+        } else if (details.representations?.length) {
+            html += `<h5>Representations</h5><table>${details.representations.map(r => `
+                <tr>
+                    <td>${esc(r.kind)}${r.lang ? ` (${esc(r.lang)})` : ''}</td>
+                    <td>${r.height ? `${r.width}x${r.height}` : ''}</td>
+                    <td>${esc(r.codecs)}</td>
+                    <td>${r.bandwidth ? `${Math.round(r.bandwidth / 1000)} kbps` : ''}${r.protected ? ' · DRM' : ''}</td>
+                </tr>`).join('')}</table>
+                <div class="hint">Downloads pick by the default quality setting.</div>`;
+        }
+
+        html += '<h5>Segments</h5>';
+        html += details.segments !== null && details.segments !== undefined
+            ? `<div>${details.segments} segment${details.segments === 1 ? '' : 's'}${details.live ? ' in the current live window' : ' in the default pick'}</div>`
+            : '<div class="hint">Single file</div>';
+
+        // Headers: response headers the sniffer saw, request headers it replays
+        const response = (video.headers || []).map(h => [h.name, h.value]);
+        const request = Object.entries(video.requestHeaders || {});
+        html += `<h5>Headers <label class="hint"><input type="checkbox" id="show-secrets"${showSecrets ? ' checked' : ''}> Show values</label></h5>`;
+        html += headerTable('Request (replayed)', request) + headerTable('Response', response);
+        if (!request.length && !response.length) html += '<div class="hint">No headers captured.</div>';
+
+        html += '<h5>Log</h5>';
+        html += details.logs?.length
+            ? `<div class="log">${details.logs.map(line => `<div><span class="time">${new Date(line.time).toLocaleTimeString()}</span>${esc(line.message)}</div>`).join('')}</div>`
+            : '<div class="hint">Nothing logged since the extension last started.</div>';
+
+        detailBody.innerHTML = html;
+        detailBody.querySelector('#show-secrets').addEventListener('change', (e) => {
+            showSecrets = e.target.checked;
+            renderDetail(row, details);
+        });
+        detailBody.querySelectorAll('button[data-variant]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const variant = details.variants[btn.dataset.variant];
+                // The rendition a player picks for the variant's AUDIO group
+                const group = (details.audioTracks || []).filter(a => a.groupId === variant.audio);
+                const audio = group.find(a => a.default) || group[0];
+                chrome.runtime.sendMessage({ action: 'DOWNLOAD_MEDIA', video: downloadRequest(row, variant, audio ? audio.url : null) }, refresh);
+            });
+        });
+    }
+
+    function headerTable(title, headers) {
+        if (!headers.length) return '';
+        return `<div class="hint">${title}</div><table>${headers.map(([name, value]) => `
+            <tr>
+                <td>${esc(name)}</td>
+                <td>${SECRET_HEADER.test(name) && !showSecrets ? `<span class="masked">hidden (${String(value).length} characters)</span>` : esc(value)}</td>
+            </tr>`).join('')}</table>`;
+    }
+
+    // --- LIVE UPDATES ---
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.action === 'DOWNLOAD_PROGRESS') {
+            const previous = progress.get(message.url);
+            progress.set(message.url, { percent: message.percent, speed: message.speed, status: message.status, elapsed: message.elapsed });
+            updateRowStatus(message.url);
+            // A new status (started, failed, cancelled...) moves rows between views and adds a log line
+            if (previous?.status !== message.status) {
+                loadQueue().then(render);
+                if (openRow?.url === message.url) loadDetail(openRow);
+            }
+        } else if (message.action === 'QUEUE_UPDATED') {
+            loadQueue().then(render);
+        } else if (message.action === 'DOWNLOAD_COMPLETE') {
+            progress.set(message.url, { status: 'Complete' });
+            refresh().then(() => {
+                if (openRow?.url === message.url) loadDetail(openRow);
+            });
+        }
+    });
+
+    // New detections arrive without a message: poll while the page is visible
+    setInterval(() => {
+        if (document.visibilityState === 'visible') loadDetections().then(render);
+    }, REFRESH_INTERVAL);
+
+    refresh();
+
+    // --- HELPERS ---
+    function siteOf(url) {
+        try {
+            return new URL(url).hostname.replace(/^www\./, '');
+        } catch (e) {
+            return '';
+        }
+    }
+
+    function formatSize(bytes) {
+        const mb = bytes / 1024 / 1024;
+        return mb >= 1024 ? `${(mb / 1024).toFixed(2)} GB` : `${mb.toFixed(1)} MB`;
+    }
+
+    function formatDuration(seconds) {
+        if (!seconds || isNaN(seconds) || !isFinite(seconds)) return '00:00';
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor(seconds / 60) % 60;
+        const s = Math.floor(seconds % 60);
+        const pad = (n) => n.toString().padStart(2, '0');
+        return h ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+    }
+
+    function esc(value) {
+        return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+});
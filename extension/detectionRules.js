@@ -0,0 +1,72 @@
+/**
+ * Detection Rules
+ * Per-site rules for the network sniffer, stored as a list:
+ *   { match, ignore: [pattern], minSizeKB, minDuration, preferType, autoDownload }
+ * match is a host (subdomains included), a URL glob with "*" or a "/regex/", tested
+ * against the page URL; "*" or an empty match applies everywhere. Every matching rule
+ * is merged in list order, so a site rule listed after a global one overrides it.
+ */
+
+import { MediaTypes } from './mediaDetector.js';
+
+export function resolveRules(rules, pageUrl) {
+  const rule = { ignore: [], minSizeKB: 0, minDuration: 0, preferType: null, autoDownload: false };
+  for (const r of rules || []) {
+    if (r.enabled === false || !pageMatches(r.match, pageUrl)) continue;
+    if (Array.isArray(r.ignore)) rule.ignore.push(...r.ignore.filter(Boolean));
+    if (r.minSizeKB !== undefined) rule.minSizeKB = Number(r.minSizeKB) || 0;
+    if (r.minDuration !== undefined) rule.minDuration = Number(r.minDuration) || 0;
+    if (r.preferType !== undefined) rule.preferType = r.preferType || null;
+    if (r.autoDownload !== undefined) rule.autoDownload = !!r.autoDownload;
+  }
+  return rule;
+}
+
+// Why a detected response is dropped, or null. Playlists have no useful Content-Length,
+// so the size limit only applies to direct files that report one.
+export function ignoreReason(rule, media) {
+  const pattern = rule.ignore.find(p => urlMatches(p, media.url));
+  if (pattern) return `ignore pattern ${pattern}`;
+  const direct = media.type !== MediaTypes.HLS && media.type !== MediaTypes.DASH;
+  if (direct && rule.minSizeKB && media.size > 0 && media.size < rule.minSizeKB * 1024) return `smaller than ${rule.minSizeKB} KB`;
+  return null;
+}
+
+// Durations come from the page's <video>; unknown ones pass
+export function passesDuration(rule, duration) {
+  return !rule.minDuration || !duration || !isFinite(duration) || duration >= rule.minDuration;
+}
+
+// With preferType set and at least one video of that type, the other types are left out
+export function preferredOnly(rule, videos) {
+  if (!rule.preferType || !videos.some(v => v.type === rule.preferType)) return videos;
+  return videos.filter(v => v.type === rule.preferType);
+}
+
+// --- Helpers ---
+
+function pageMatches(match, pageUrl) {
+  if (!match || match === '*') return true;
+  if (!pageUrl) return false;
+  if (isRegex(match) || match.includes('*') || match.includes('/')) return urlMatches(match, pageUrl);
+  let host = '';
+  try { host = new URL(pageUrl).hostname; } catch (e) { return false; }
+  const site = match.toLowerCase().replace(/^www\./, '');
+  return host === site || host.endsWith('.' + site);
+}
+
+// "/regex/", a glob where "*" is any run of characters (whole URL), or a plain substring
+function urlMatches(pattern, url) {
+  if (isRegex(pattern)) {
+    try { return new RegExp(pattern.slice(1, -1), 'i').test(url); } catch (e) { return false; }
+  }
+  if (pattern.includes('*')) {
+    const glob = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${glob}$`, 'i').test(url);
+  }
+  return url.toLowerCase().includes(pattern.toLowerCase());
+}
+
+function isRegex(pattern) {
+  return pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/');
+}
@@ -0,0 +1,80 @@
+/**
+ * Filename Templates
+ * Expands templates like "{serial:000} - {title} [{quality}]" or "{host}/{date:YYYY-MM-DD}/{title}"
+ * into a download path (without extension). "/" in the template makes subfolders; every
+ * token value is sanitised the same way page titles always were.
+ */
+
+export const DEFAULT_FILENAME_TEMPLATE = '{serial}- {title}';
+
+const TOKEN = /\{(\w+)(?::([^}]*))?\}/g;
+
+// "&" -> "and", characters Windows/Chrome reject -> "_", whitespace -> "_"
+export function sanitizeFilename(value) {
+  return String(value)
+    .replace(/&/g, 'and')
+    .replace(/[<>:"/\\|?*\x00-\x1F]/g, '_')
+    .replace(/\s+/g, '_')
+    .trim();
+}
+
+export function usesSerial(template) {
+  return /\{serial(?::[^}]*)?\}/.test(template);
+}
+
+/**
+ * fields: { serial, title, host, date (Date), quality, duration (seconds), type }
+ * Unknown tokens are left as written. Returns a relative path such as "site/1- Title".
+ */
+export function renderFilename(template, fields) {
+  const segments = (template || DEFAULT_FILENAME_TEMPLATE).replace(/\\/g, '/').split('/').map(segment => {
+    const expanded = segment.replace(TOKEN, (match, name, format) => {
+      const value = tokenValue(name, format, fields);
+      return value === null ? match : sanitizeFilename(value);
+    });
+    // Literal text may hold characters a filename cannot; "." / ".." would leave the folder
+    return expanded.replace(/[<>:"\\|?*\x00-\x1F]/g, '_').replace(/^[\s.]+|[\s.]+$/g, '');
+  }).filter(Boolean);
+  return segments.join('/') || 'video';
+}
+
+// --- Helpers ---
+
+function tokenValue(name, format, fields) {
+  switch (name) {
+    case 'serial': {
+      const n = String(fields.serial ?? '');
+      return format && /^0+$/.test(format) ? n.padStart(format.length, '0') : n;
+    }
+    case 'title': return fields.title || 'video';
+    case 'host': return fields.host || '';
+    case 'date': return formatDate(fields.date || new Date(), format || 'YYYY-MM-DD');
+    case 'quality': return fields.quality || '';
+    case 'duration': return fields.duration ? formatDuration(fields.duration) : '';
+    case 'type': return fields.type || '';
+    default: return null;
+  }
+}
+
+// YYYY, MM, DD, HH, mm, ss; anything else is copied
+function formatDate(date, format) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+  return format.replace(/YYYY|MM|DD|HH|mm|ss/g, (part) => parts[part]);
+}
+
+// 754 -> "12m34s", 3754 -> "1h02m34s" (no ":" in filenames)
+function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor(s / 60) % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  return h ? `${h}h${pad(m)}m${pad(s % 60)}s` : `${m}m${pad(s % 60)}s`;
+}
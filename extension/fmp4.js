@@ -0,0 +1,540 @@
+/**
+ * Fragmented MP4 Helpers
+ * Box-level utilities used by the offscreen document to stitch separately
+ * downloaded fMP4/CMAF tracks (a DASH video and audio Representation, an HLS
+ * video variant and its audio rendition) into one playable file without
+ * re-encoding.
+ */
+
+function readBoxes(data, start = 0, end = data.byteLength) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const boxes = [];
+    let pos = start;
+    while (pos + 8 <= end) {
+        let size = view.getUint32(pos);
+        const type = String.fromCharCode(data[pos + 4], data[pos + 5], data[pos + 6], data[pos + 7]);
+        let header = 8;
+        if (size === 1) {
+            size = Number(view.getBigUint64(pos + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - pos;
+        }
+        if (size < header || pos + size > end) break;
+        boxes.push({ type, start: pos, size, header });
+        pos += size;
+    }
+    return boxes;
+}
+
+function findBox(data, box, path) {
+    let current = box;
+    for (const type of path) {
+        current = readBoxes(data, current.start + current.header, current.start + current.size).find(b => b.type === type);
+        if (!current) return null;
+    }
+    return current;
+}
+
+function makeBox(type, parts) {
+    const size = 8 + parts.reduce((n, p) => n + p.byteLength, 0);
+    const out = new Uint8Array(size);
+    new DataView(out.buffer).setUint32(0, size);
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    let pos = 8;
+    for (const p of parts) {
+        out.set(p, pos);
+        pos += p.byteLength;
+    }
+    return out;
+}
+
+function boxBytes(data, box) {
+    return data.slice(box.start, box.start + box.size);
+}
+
+function emptyTrack() {
+    return { ftyp: null, moov: null, trak: null, trex: null, trackId: null, timescale: 1, fragments: [] };
+}
+
+function captureInitBox(track, data, box) {
+    if (box.type === 'ftyp' && !track.ftyp) track.ftyp = boxBytes(data, box);
+    if (box.type === 'moov' && !track.moov) {
+        // Only the FIRST header is used, later periods must share its codec setup
+        track.moov = { data, box };
+        track.trak = findBox(data, box, ['trak']);
+        track.trex = findBox(data, box, ['mvex', 'trex']);
+        const view = new DataView(data.buffer, data.byteOffset);
+        const tkhd = track.trak && findBox(data, track.trak, ['tkhd']);
+        if (tkhd) track.trackId = view.getUint32(tkhd.start + 12 + (data[tkhd.start + 8] === 1 ? 16 : 8));
+        const mdhd = track.trak && findBox(data, track.trak, ['mdia', 'mdhd']);
+        if (mdhd) {
+            const v1 = data[mdhd.start + 8] === 1;
+            track.timescale = view.getUint32(mdhd.start + 8 + (v1 ? 20 : 12)) || 1;
+        }
+    }
+}
+
+// Reads the init segment and every moof/mdat pair of one track
+function parseTrack(parts) {
+    const track = emptyTrack();
+
+    for (const part of parts) {
+        for (const chunk of part.chunks) {
+            const data = new Uint8Array(chunk);
+            const boxes = readBoxes(data);
+            boxes.forEach((box, i) => {
+                captureInitBox(track, data, box);
+                if (box.type === 'moof') {
+                    const mdat = boxes.slice(i + 1).find(b => b.type === 'mdat' || b.type === 'moof');
+                    if (!mdat || mdat.type !== 'mdat') return;
+                    track.fragments.push({
+                        moof: boxBytes(data, box),
+                        mdat: data.subarray(mdat.start, mdat.start + mdat.size),
+                        offset: part.offset || 0
+                    });
+                }
+            });
+        }
+    }
+
+    if (!track.moov || !track.trak) throw new Error('Track has no init segment');
+    return track;
+}
+
+// Reads a whole fMP4 file held in a (disk-backed) Blob: only the small boxes are
+// loaded, mdat payloads stay Blob slices. Positions are file offsets. moov is the first
+// init segment, inits every distinct one; a fragment's init is the one it follows.
+async function scanFragmentedBlob(blob) {
+    const file = { ftyp: null, moov: null, inits: [], fragments: [] };
+    let pos = 0;
+    let moof = null;
+    let init = 0;
+    while (pos + 8 <= blob.size) {
+        const head = new Uint8Array(await blob.slice(pos, pos + 16).arrayBuffer());
+        const view = new DataView(head.buffer);
+        const type = String.fromCharCode(head[4], head[5], head[6], head[7]);
+        let size = view.getUint32(0);
+        if (size === 1) size = Number(view.getBigUint64(8));
+        else if (size === 0) size = blob.size - pos;
+        if (size < 8 || pos + size > blob.size) break;
+
+        if (type === 'ftyp' || type === 'moov' || type === 'moof') {
+            const data = new Uint8Array(await blob.slice(pos, pos + size).arrayBuffer());
+            if (type === 'moof') moof = { data, pos };
+            else if (!file[type]) file[type] = data;
+            if (type === 'moov') {
+                const known = file.inits.findIndex(other => sameBytes(other, data));
+                init = known >= 0 ? known : file.inits.push(data) - 1;
+            }
+        } else if (type === 'mdat' && moof) {
+            file.fragments.push({ moof: moof.data, moofPos: moof.pos, mdat: blob.slice(pos, pos + size), mdatPos: pos, init });
+            moof = null;
+        }
+        pos += size;
+    }
+    return file;
+}
+
+function sameBytes(a, b) {
+    return a.byteLength === b.byteLength && a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * Same as parseTrack for a whole fMP4 file held in a Blob, offset in seconds.
+ * A recorded SourceBuffer may hold several init segments (quality switches) and the
+ * same fragment more than once or out of order (seeks): only the fragments of the init
+ * segment with the most media are kept, sorted by decode time, each start time once.
+ */
+async function parseTrackBlob(blob, offset = 0) {
+    const file = await scanFragmentedBlob(blob);
+    if (!file.inits.length) throw new Error('Track has no init segment');
+    const media = file.inits.map((_, i) => file.fragments.filter(f => f.init === i).reduce((n, f) => n + f.mdat.size, 0));
+    const init = media.indexOf(Math.max(...media));
+    if (file.inits.length > 1) console.warn(`[fMP4] ${file.inits.length} init segments, keeping the fragments of #${init + 1}`);
+
+    const track = emptyTrack();
+    if (file.ftyp) captureInitBox(track, file.ftyp, readBoxes(file.ftyp)[0]);
+    captureInitBox(track, file.inits[init], readBoxes(file.inits[init])[0]);
+    if (!track.moov || !track.trak) throw new Error('Track has no init segment');
+
+    let fragments = file.fragments.filter(f => f.init === init).map(f => ({ moof: f.moof, mdat: f.mdat, offset, time: fragmentTime(f.moof, track.trackId) }));
+    if (fragments.every(f => f.time !== null)) {
+        const seen = new Set();
+        fragments = fragments.sort((a, b) => a.time - b.time).filter(f => !seen.has(f.time) && seen.add(f.time));
+    }
+    track.fragments = fragments.map(({ time, ...f }) => f);
+    return track;
+}
+
+// Decode time of a fragment's first sample of trackId (timescale units), null without tfdt
+function fragmentTime(moof, trackId) {
+    const { view, tfdts } = walkTrafs(moof, null);
+    const tfdt = tfdts.find(t => t.trackId === trackId) || tfdts[0];
+    return tfdt ? readTfdt(view, tfdt) : null;
+}
+
+// Visits every traf of a moof: rewrites track IDs (unless trackId is null) and returns tfdt handles
+function walkTrafs(moof, trackId) {
+    const view = new DataView(moof.buffer, moof.byteOffset, moof.byteLength);
+    const root = { start: 0, size: moof.byteLength, header: 8 };
+    const tfdts = [];
+    for (const traf of readBoxes(moof, 8, moof.byteLength).filter(b => b.type === 'traf')) {
+        const tfhd = findBox(moof, traf, ['tfhd']);
+        let originalId = 0;
+        if (tfhd) {
+            originalId = view.getUint32(tfhd.start + 12);
+            if (trackId !== null) {
+                if (view.getUint32(tfhd.start + 8) & 0x1) console.warn('[fMP4] tfhd base-data-offset present, data offsets may be wrong');
+                view.setUint32(tfhd.start + 12, trackId);
+            }
+        }
+        const tfdt = findBox(moof, traf, ['tfdt']);
+        if (tfdt) tfdts.push({ pos: tfdt.start + 12, v1: moof[tfdt.start + 8] === 1, trackId: originalId });
+    }
+    return { view, root, tfdts };
+}
+
+// track_ID -> mdhd timescale for every trak of an init segment
+function trackTimescales(init) {
+    const data = new Uint8Array(init);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const timescales = new Map();
+    const moov = readBoxes(data).find(b => b.type === 'moov');
+    if (!moov) return timescales;
+    for (const trak of readBoxes(data, moov.start + moov.header, moov.start + moov.size).filter(b => b.type === 'trak')) {
+        const tkhd = findBox(data, trak, ['tkhd']);
+        const mdhd = findBox(data, trak, ['mdia', 'mdhd']);
+        if (!tkhd || !mdhd) continue;
+        const id = view.getUint32(tkhd.start + 12 + (data[tkhd.start + 8] === 1 ? 16 : 8));
+        timescales.set(id, view.getUint32(mdhd.start + 8 + (data[mdhd.start + 8] === 1 ? 20 : 12)) || 1);
+    }
+    return timescales;
+}
+
+/**
+ * Returns rebase(bytes): shifts the tfdt of every moof in a media segment (in place)
+ * so the stream starts at zero. The first segment seen sets the shift.
+ */
+function createFragmentRebaser(init) {
+    const timescales = trackTimescales(init);
+    let shift = null; // seconds
+    return (bytes) => {
+        for (const box of readBoxes(bytes).filter(b => b.type === 'moof')) {
+            const { view, tfdts } = walkTrafs(bytes.subarray(box.start, box.start + box.size), null);
+            if (shift === null && tfdts.length) {
+                shift = Math.min(...tfdts.map(t => readTfdt(view, t) / (timescales.get(t.trackId) || 1)));
+            }
+            for (const t of tfdts) {
+                const ts = timescales.get(t.trackId) || 1;
+                writeTfdt(view, t, readTfdt(view, t) - (shift || 0) * ts);
+            }
+        }
+        return bytes;
+    };
+}
+
+function readTfdt(view, t) {
+    return t.v1 ? Number(view.getBigUint64(t.pos)) : view.getUint32(t.pos);
+}
+
+function writeTfdt(view, t, value) {
+    value = Math.max(0, Math.round(value));
+    if (t.v1) view.setBigUint64(t.pos, BigInt(value));
+    else view.setUint32(t.pos, Math.min(value, 0xFFFFFFFF));
+}
+
+/**
+ * Combines tracks into a single fragmented MP4.
+ * tracks: [{ parts: [{ chunks: [ArrayBuffer], offset: seconds }] }]
+ * Returns BlobParts: ftyp, moov, then fragments interleaved by start time.
+ */
+function combineFragmentedTracks(tracks) {
+    return interleaveTracks(tracks.map(t => parseTrack(t.parts)));
+}
+
+// Blob form of combineFragmentedTracks: one complete fMP4 file per track, offsets in seconds
+async function combineFragmentedBlobs(blobs, offsets = []) {
+    const parsed = [];
+    for (let i = 0; i < blobs.length; i++) parsed.push(await parseTrackBlob(blobs[i], offsets[i] || 0));
+    return interleaveTracks(parsed);
+}
+
+function interleaveTracks(parsed) {
+    // Pass 1: patch track IDs, work out where each fragment starts
+    const fragments = [];
+    parsed.forEach((track, index) => {
+        const trackId = index + 1;
+        for (const frag of track.fragments) {
+            // Only the first trak of each input is kept, skip fragments of any other track
+            const own = walkTrafs(frag.moof, null).tfdts[0];
+            if (own && track.trackId !== null && own.trackId !== track.trackId) continue;
+            const handle = walkTrafs(frag.moof, trackId);
+            const first = handle.tfdts[0];
+            const raw = first ? readTfdt(handle.view, first) : 0;
+            fragments.push({ ...frag, ...handle, track, start: raw / track.timescale + frag.offset });
+        }
+    });
+    if (!fragments.length) throw new Error('No media fragments');
+
+    // Pass 2: shift every track so the earliest sample lands on zero
+    const zero = Math.min(...fragments.map(f => f.start));
+    for (const f of fragments) {
+        const delta = (f.offset - zero) * f.track.timescale;
+        for (const t of f.tfdts) writeTfdt(f.view, t, readTfdt(f.view, t) + delta);
+        f.start -= zero;
+    }
+    fragments.sort((a, b) => a.start - b.start);
+
+    // Renumber mfhd sequence numbers in output order
+    fragments.forEach((f, i) => {
+        const mfhd = findBox(f.moof, f.root, ['mfhd']);
+        if (mfhd) f.view.setUint32(mfhd.start + 12, i + 1);
+    });
+
+    const moov = buildMoov(parsed);
+    const ftyp = parsed[0].ftyp || defaultFtyp();
+
+    const out = [ftyp, moov];
+    for (const f of fragments) out.push(f.moof, f.mdat);
+    return out;
+}
+
+// isom, minor 0x200, compatible isom/iso6/mp41
+function defaultFtyp() {
+    return makeBox('ftyp', [new Uint8Array([0x69, 0x73, 0x6F, 0x6D, 0, 0, 2, 0, 0x69, 0x73, 0x6F, 0x6D, 0x69, 0x73, 0x6F, 0x36, 0x6D, 0x70, 0x34, 0x31])]);
+}
+
+function buildMoov(tracks) {
+    const first = tracks[0].moov;
+    const mvhd = boxBytes(first.data, findBox(first.data, first.box, ['mvhd']));
+    new DataView(mvhd.buffer).setUint32(mvhd.byteLength - 4, tracks.length + 1); // next_track_ID
+
+    const traks = [];
+    const trexes = [];
+    tracks.forEach((track, index) => {
+        const trackId = index + 1;
+        const trak = boxBytes(track.moov.data, track.trak);
+        const tkhd = findBox(trak, { start: 0, size: trak.byteLength, header: 8 }, ['tkhd']);
+        if (tkhd) {
+            const v1 = trak[tkhd.start + 8] === 1;
+            new DataView(trak.buffer).setUint32(tkhd.start + 12 + (v1 ? 16 : 8), trackId);
+        }
+        traks.push(trak);
+
+        let trex;
+        if (track.trex) {
+            trex = boxBytes(track.moov.data, track.trex);
+        } else {
+            trex = makeBox('trex', [new Uint8Array(24)]);
+            new DataView(trex.buffer).setUint32(16, 1); // default_sample_description_index
+        }
+        new DataView(trex.buffer).setUint32(12, trackId);
+        trexes.push(trex);
+    });
+
+    return makeBox('moov', [mvhd, ...traks, makeBox('mvex', trexes)]);
+}
+
+// --- Clipping ---
+
+/**
+ * Cuts a finished fragmented MP4 (Blob) down to [start, end) seconds of its timeline.
+ * The cut begins on the last video keyframe at or before start and every track is
+ * shifted so that keyframe lands on zero. Fragments inside the range are copied as
+ * they are (new tfdt only), the ones on the edges are rebuilt sample by sample.
+ * Returns { parts: BlobParts (ftyp, moov, moof/mdat...), duration }.
+ */
+async function trimFragmentedBlob(blob, start, end) {
+    const file = await scanFragmentedBlob(blob);
+    if (!file.moov) throw new Error('Track has no init segment');
+    const tracks = readTrackInfo(file.moov);
+    const fragments = file.fragments.map(f => ({ ...f, trafs: parseTrafs(f.moof, f.moofPos, tracks) }));
+    const timescale = (traf) => tracks.get(traf.trackId)?.timescale || 1;
+
+    // Cut point: a stream can only start decoding on a keyframe
+    let cut = start;
+    const video = [...tracks.values()].find(t => t.video);
+    if (video) {
+        let key = null;
+        for (const f of fragments) {
+            for (const traf of f.trafs.filter(t => t.trackId === video.id)) {
+                for (const sample of traf.samples) {
+                    if (sample.dts / video.timescale > start) break;
+                    if (sample.sync) key = sample.dts / video.timescale;
+                }
+            }
+        }
+        if (key !== null) cut = key;
+    }
+
+    const keep = (traf, sample) => {
+        const t = sample.dts / timescale(traf);
+        return t >= cut - 0.0005 && t < end;
+    };
+
+    const out = [];
+    let duration = 0;
+    for (const f of fragments) {
+        const kept = f.trafs.map(traf => traf.samples.filter(sample => keep(traf, sample)));
+        if (!kept.some(k => k.length)) continue;
+        kept.forEach((samples, i) => {
+            const last = samples[samples.length - 1];
+            if (last) duration = Math.max(duration, (last.dts + last.duration) / timescale(f.trafs[i]) - cut);
+        });
+
+        if (kept.every((samples, i) => samples.length === f.trafs[i].samples.length)) {
+            // Whole fragment in range: shift its decode times, keep the payload untouched
+            const moof = f.moof.slice();
+            const { view, tfdts } = walkTrafs(moof, null);
+            for (const t of tfdts) {
+                const ts = tracks.get(t.trackId)?.timescale || 1;
+                writeTfdt(view, t, readTfdt(view, t) - cut * ts);
+            }
+            out.push({ moof, mdat: f.mdat });
+        } else {
+            out.push(await rebuildFragment(f, kept, (traf) => cut * timescale(traf)));
+        }
+    }
+    if (!out.length) throw new Error('Clip range contains no media');
+
+    // Renumber mfhd sequence numbers in output order
+    const parts = [file.ftyp || defaultFtyp(), file.moov];
+    out.forEach((f, i) => {
+        const mfhd = findBox(f.moof, { start: 0, size: f.moof.byteLength, header: 8 }, ['mfhd']);
+        if (mfhd) new DataView(f.moof.buffer, f.moof.byteOffset).setUint32(mfhd.start + 12, i + 1);
+        parts.push(f.moof, f.mdat);
+    });
+    return { parts, duration };
+}
+
+// track_ID -> { id, timescale, video, defaults } from the moov (trex holds the sample defaults)
+function readTrackInfo(moovData) {
+    const view = new DataView(moovData.buffer, moovData.byteOffset, moovData.byteLength);
+    const moov = readBoxes(moovData)[0];
+    const tracks = new Map();
+    for (const trak of readBoxes(moovData, moov.start + moov.header, moov.start + moov.size).filter(b => b.type === 'trak')) {
+        const tkhd = findBox(moovData, trak, ['tkhd']);
+        const mdhd = findBox(moovData, trak, ['mdia', 'mdhd']);
+        const hdlr = findBox(moovData, trak, ['mdia', 'hdlr']);
+        if (!tkhd) continue;
+        const id = view.getUint32(tkhd.start + 12 + (moovData[tkhd.start + 8] === 1 ? 16 : 8));
+        tracks.set(id, {
+            id,
+            timescale: mdhd ? view.getUint32(mdhd.start + 8 + (moovData[mdhd.start + 8] === 1 ? 20 : 12)) || 1 : 1,
+            video: !!hdlr && String.fromCharCode(...moovData.subarray(hdlr.start + 16, hdlr.start + 20)) === 'vide',
+            defaults: { duration: 0, size: 0, flags: 0 }
+        });
+    }
+    const mvex = findBox(moovData, moov, ['mvex']);
+    if (mvex) {
+        for (const trex of readBoxes(moovData, mvex.start + mvex.header, mvex.start + mvex.size).filter(b => b.type === 'trex')) {
+            const track = tracks.get(view.getUint32(trex.start + 12));
+            if (track) {
+                track.defaults = {
+                    duration: view.getUint32(trex.start + 20),
+                    size: view.getUint32(trex.start + 24),
+                    flags: view.getUint32(trex.start + 28)
+                };
+            }
+        }
+    }
+    return tracks;
+}
+
+// Every sample of every traf: decode time, duration, size, flags, composition offset and
+// payload position relative to the moof start
+function parseTrafs(moof, moofPos, tracks) {
+    const view = new DataView(moof.buffer, moof.byteOffset, moof.byteLength);
+    const trafs = [];
+    let previousEnd = 0;
+    for (const traf of readBoxes(moof, 8, moof.byteLength).filter(b => b.type === 'traf')) {
+        const tfhd = findBox(moof, traf, ['tfhd']);
+        if (!tfhd) continue;
+        const flags = view.getUint32(tfhd.start + 8) & 0xFFFFFF;
+        const trackId = view.getUint32(tfhd.start + 12);
+        const defaults = { ...(tracks.get(trackId)?.defaults || { duration: 0, size: 0, flags: 0 }) };
+
+        let p = tfhd.start + 16;
+        // No base-data-offset: the moof (default-base-is-moof / first traf) or where the previous traf ended
+        let base = (flags & 0x20000) || !trafs.length ? 0 : previousEnd;
+        if (flags & 0x1) { base = Number(view.getBigUint64(p)) - moofPos; p += 8; }
+        let descriptionIndex = null;
+        if (flags & 0x2) { descriptionIndex = view.getUint32(p); p += 4; }
+        if (flags & 0x8) { defaults.duration = view.getUint32(p); p += 4; }
+        if (flags & 0x10) { defaults.size = view.getUint32(p); p += 4; }
+        if (flags & 0x20) { defaults.flags = view.getUint32(p); p += 4; }
+
+        const tfdt = findBox(moof, traf, ['tfdt']);
+        let dts = tfdt ? readTfdt(view, { pos: tfdt.start + 12, v1: moof[tfdt.start + 8] === 1 }) : 0;
+        const samples = [];
+        let dataPos = base;
+        for (const trun of readBoxes(moof, traf.start + traf.header, traf.start + traf.size).filter(b => b.type === 'trun')) {
+            const trunFlags = view.getUint32(trun.start + 8) & 0xFFFFFF;
+            const count = view.getUint32(trun.start + 12);
+            let q = trun.start + 16;
+            if (trunFlags & 0x1) { dataPos = base + view.getInt32(q); q += 4; }
+            let firstFlags = null;
+            if (trunFlags & 0x4) { firstFlags = view.getUint32(q); q += 4; }
+            for (let i = 0; i < count; i++) {
+                const sample = { dts, duration: defaults.duration, size: defaults.size, flags: defaults.flags, cto: 0, pos: dataPos };
+                if (trunFlags & 0x100) { sample.duration = view.getUint32(q); q += 4; }
+                if (trunFlags & 0x200) { sample.size = view.getUint32(q); q += 4; }
+                if (trunFlags & 0x400) { sample.flags = view.getUint32(q); q += 4; }
+                else if (i === 0 && firstFlags !== null) sample.flags = firstFlags;
+                if (trunFlags & 0x800) { sample.cto = view.getInt32(q); q += 4; }
+                sample.sync = !(sample.flags & 0x10000); // sample_is_non_sync_sample
+                samples.push(sample);
+                dts += sample.duration;
+                dataPos += sample.size;
+            }
+        }
+        previousEnd = dataPos;
+        trafs.push({ trackId, descriptionIndex, samples });
+    }
+    return trafs;
+}
+
+// New moof/mdat holding only the kept samples of each traf; shift(traf) is subtracted from decode times
+async function rebuildFragment(f, kept, shift) {
+    const mdat = new Uint8Array(await f.mdat.arrayBuffer());
+    const mdatOffset = f.mdatPos - f.moofPos; // sample positions are moof-relative
+
+    const trafs = [];
+    const payload = [];
+    let payloadSize = 0;
+    f.trafs.forEach((traf, i) => {
+        const samples = kept[i];
+        if (!samples.length) return;
+        trafs.push({ traf, samples, dataStart: payloadSize });
+        for (const s of samples) {
+            payload.push(mdat.subarray(s.pos - mdatOffset, s.pos - mdatOffset + s.size));
+            payloadSize += s.size;
+        }
+    });
+
+    const u32 = (n) => { const b = new Uint8Array(4); new DataView(b.buffer).setUint32(0, n >>> 0); return b; };
+    const build = (dataOffsetBase) => {
+        const boxes = trafs.map(({ traf, samples, dataStart }) => {
+            const tfhdFields = [u32(traf.trackId)];
+            if (traf.descriptionIndex !== null) tfhdFields.push(u32(traf.descriptionIndex));
+            const tfhd = makeBox('tfhd', [u32(0x20000 | (traf.descriptionIndex !== null ? 0x2 : 0)), ...tfhdFields]);
+
+            const tfdtValue = new Uint8Array(8);
+            new DataView(tfdtValue.buffer).setBigUint64(0, BigInt(Math.max(0, Math.round(samples[0].dts - shift(traf)))));
+            const tfdt = makeBox('tfdt', [u32(0x01000000), tfdtValue]);
+
+            // Version 1 trun: data offset + duration, size, flags and signed composition offset per sample
+            const entries = [];
+            for (const s of samples) entries.push(u32(s.duration), u32(s.size), u32(s.flags), u32(s.cto));
+            const trun = makeBox('trun', [u32(0x01000F01), u32(samples.length), u32(dataOffsetBase + dataStart), ...entries]);
+            return makeBox('traf', [tfhd, tfdt, trun]);
+        });
+        const mfhd = makeBox('mfhd', [u32(0), u32(0)]);
+        return makeBox('moof', [mfhd, ...boxes]);
+    };
+
+    // Data offsets depend on the moof size, which does not depend on their values
+    const moof = build(build(0).byteLength + 8);
+    return { moof, mdat: new Blob([makeBox('mdat', payload)]) };
+}
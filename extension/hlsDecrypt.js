@@ -0,0 +1,363 @@
+/**
+ * HLS Decryption Module
+ * Clear-key AES-128 (whole segment) and SAMPLE-AES (MPEG-TS elementary
+ * streams) decryption for the browser fallback engine, using WebCrypto.
+ */
+
+// KEYFORMATs / URI schemes that mean a real DRM system, not a fetchable key
+const DRM_SYSTEMS = [
+  { match: /streamingkeydelivery|^skd:/i, name: 'FairPlay' },
+  { match: /edef8ba9-79d6-4ace-a3c8-27dcd51d21ed|widevine/i, name: 'Widevine' },
+  { match: /9a04f079-9840-4286-ab92-e65be0885f95|playready/i, name: 'PlayReady' }
+];
+
+const MAX_CACHED_KEYS = 50;
+const keyCache = new Map(); // uri -> Promise<CryptoKey>
+
+/**
+ * Classifies an EXT-X-KEY attribute set.
+ * Returns { method, uri, iv, keyFormat, drm } where drm names the DRM system (or null).
+ */
+export function describeKey(attrs, base) {
+  const method = attrs.METHOD || 'NONE';
+  const keyFormat = attrs.KEYFORMAT || 'identity';
+  let drm = null;
+  if (method !== 'NONE') {
+    const system = DRM_SYSTEMS.find(s => s.match.test(keyFormat) || s.match.test(attrs.URI || ''));
+    if (system) drm = system.name;
+    else if (method === 'SAMPLE-AES-CTR' || keyFormat !== 'identity') drm = keyFormat;
+  }
+  return {
+    method,
+    uri: attrs.URI ? new URL(attrs.URI, base).href : null,
+    iv: attrs.IV ? attrs.IV.replace(/^0x/i, '') : null,
+    keyFormat,
+    drm
+  };
+}
+
+export function loadKey(uri, fetcher) {
+  if (!keyCache.has(uri)) {
+    const pending = fetcher(uri).then(raw => {
+      if (raw.byteLength !== 16) throw new Error(`Invalid AES key (${raw.byteLength} bytes)`);
+      return crypto.subtle.importKey('raw', raw, 'AES-CBC', false, ['encrypt', 'decrypt']);
+    });
+    pending.catch(() => keyCache.delete(uri));
+    keyCache.set(uri, pending);
+    if (keyCache.size > MAX_CACHED_KEYS) keyCache.delete(keyCache.keys().next().value);
+  }
+  return keyCache.get(uri);
+}
+
+// Explicit IV, or the media sequence number as a 128-bit big-endian integer
+export function segmentIV(key, sequence) {
+  const iv = new Uint8Array(16);
+  if (key.iv) {
+    const hex = key.iv.padStart(32, '0');
+    for (let i = 0; i < 16; i++) iv[i] = parseInt(hex.substr(i * 2, 2), 16);
+  } else {
+    new DataView(iv.buffer).setUint32(12, sequence >>> 0);
+  }
+  return iv;
+}
+
+/**
+ * Decrypts one downloaded segment according to its key.
+ * fetcher(uri) must resolve to the raw key bytes (ArrayBuffer).
+ */
+export async function decryptSegment(data, key, sequence, fetcher) {
+  if (!key || key.method === 'NONE') return data;
+  if (key.drm) throw new Error(`DRM Protected (${key.drm}) - not supported`);
+  if (!key.uri) throw new Error(`${key.method} key has no URI`);
+
+  const cryptoKey = await loadKey(key.uri, fetcher);
+  const iv = segmentIV(key, sequence);
+
+  if (key.method === 'AES-128') {
+    return crypto.subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, data);
+  }
+  if (key.method === 'SAMPLE-AES') {
+    const bytes = new Uint8Array(data);
+    if (bytes[0] !== 0x47) throw new Error('SAMPLE-AES is only supported for MPEG-TS segments');
+    return (await decryptSampleAesTS(bytes, cryptoKey, iv)).buffer;
+  }
+  throw new Error(`Unsupported encryption method ${key.method}`);
+}
+
+/**
+ * Decrypts an EXT-X-MAP init section under the key in effect where the MAP tag appears.
+ * Only AES-128 covers it, and then the key must carry an explicit IV (RFC 8216 4.3.2.5):
+ * an init section has no media sequence number to derive one from.
+ */
+export async function decryptInit(data, key, fetcher) {
+  if (!key || key.method !== 'AES-128') return data;
+  if (!key.iv) throw new Error('AES-128 init section without an IV');
+  return decryptSegment(data, key, 0, fetcher);
+}
+
+// --- CBC without padding ---
+// WebCrypto always strips PKCS#7 padding, so append a block that decrypts to a full pad block.
+async function cbcDecryptRaw(cryptoKey, iv, data) {
+  if (!data.length) return data;
+  const last = data.subarray(data.length - 16);
+  const pad = new Uint8Array(16).fill(16);
+  const padBlock = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv: last }, cryptoKey, pad)).subarray(0, 16);
+  const input = new Uint8Array(data.length + 16);
+  input.set(data);
+  input.set(padBlock, data.length);
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, input));
+}
+
+// --- SAMPLE-AES (MPEG-TS) ---
+const STREAM_AVC_ENC = 0xdb;
+const STREAM_AAC_ENC = 0xcf;
+const CLEAR_TYPES = { [STREAM_AVC_ENC]: 0x1b, [STREAM_AAC_ENC]: 0x0f };
+
+async function decryptSampleAesTS(ts, cryptoKey, iv) {
+  const packets = [];
+  for (let i = 0; i + 188 <= ts.length; i += 188) {
+    if (ts[i] === 0x47) packets.push(ts.subarray(i, i + 188));
+  }
+
+  // 1. Find the PMT and the encrypted elementary streams
+  let pmtPid = -1;
+  const encrypted = new Map(); // pid -> stream type
+  for (const pkt of packets) {
+    const pid = packetPid(pkt);
+    if (pid === 0 && pkt[1] & 0x40) {
+      const p = payloadStart(pkt) + 1 + pkt[payloadStart(pkt)];
+      pmtPid = ((pkt[p + 10] & 0x1f) << 8) | pkt[p + 11];
+    } else if (pid === pmtPid && pkt[1] & 0x40) {
+      rewritePMT(pkt, encrypted);
+    }
+  }
+  if (!encrypted.size) return ts;
+
+  // 2. Regroup encrypted PES packets, decrypt, re-packetize in place of the original
+  const out = [];
+  const open = new Map(); // pid -> { slot, af, parts }
+  const finish = async (pid) => {
+    const pes = open.get(pid);
+    if (!pes) return;
+    open.delete(pid);
+    const data = concatBytes(pes.parts);
+    const decrypted = await decryptPES(data, encrypted.get(pid), cryptoKey, iv);
+    out[pes.slot] = packetizePES(pid, pes.af, decrypted);
+  };
+
+  for (const pkt of packets) {
+    const pid = packetPid(pkt);
+    if (!encrypted.has(pid)) { out.push([pkt]); continue; }
+    const start = payloadStart(pkt);
+    if (pkt[1] & 0x40) {
+      await finish(pid);
+      const af = pkt[3] & 0x20 ? adaptationFields(pkt.subarray(5, 5 + pkt[4])) : null;
+      open.set(pid, { slot: out.length, af, parts: [] });
+      out.push([]);
+    }
+    if (open.has(pid) && start < 188) open.get(pid).parts.push(pkt.subarray(start));
+  }
+  for (const pid of Array.from(open.keys())) await finish(pid);
+
+  // 3. Fix continuity counters of rebuilt streams
+  const cc = new Map();
+  const flat = out.flat();
+  for (const pkt of flat) {
+    const pid = packetPid(pkt);
+    if (!encrypted.has(pid)) continue;
+    const next = ((cc.get(pid) ?? -1) + 1) & 0x0f;
+    cc.set(pid, next);
+    pkt[3] = (pkt[3] & 0xf0) | next;
+  }
+  return concatBytes(flat);
+}
+
+function packetPid(pkt) {
+  return ((pkt[1] & 0x1f) << 8) | pkt[2];
+}
+
+function payloadStart(pkt) {
+  return pkt[3] & 0x20 ? 5 + pkt[4] : 4;
+}
+
+// Adaptation field without its trailing stuffing bytes (keeps PCR etc.)
+function adaptationFields(af) {
+  if (!af.length) return af.slice();
+  const flags = af[0];
+  let len = 1;
+  if (flags & 0x10) len += 6; // PCR
+  if (flags & 0x08) len += 6; // OPCR
+  if (flags & 0x04) len += 1; // splice countdown
+  if (flags & 0x02 && len < af.length) len += 1 + af[len]; // private data
+  if (flags & 0x01 && len < af.length) len += 1 + af[len]; // extension
+  return af.slice(0, Math.min(len, af.length));
+}
+
+// Records encrypted stream PIDs and swaps their types for the clear equivalents
+function rewritePMT(pkt, encrypted) {
+  const section = payloadStart(pkt) + 1 + pkt[payloadStart(pkt)];
+  const length = ((pkt[section + 1] & 0x0f) << 8) | pkt[section + 2];
+  const end = section + 3 + length - 4;
+  let p = section + 12 + (((pkt[section + 10] & 0x0f) << 8) | pkt[section + 11]);
+  let changed = false;
+  while (p + 5 <= end) {
+    const type = pkt[p];
+    const pid = ((pkt[p + 1] & 0x1f) << 8) | pkt[p + 2];
+    if (CLEAR_TYPES[type]) {
+      encrypted.set(pid, type);
+      pkt[p] = CLEAR_TYPES[type];
+      changed = true;
+    } else if (type === 0xc1 || type === 0xc2) {
+      throw new Error('SAMPLE-AES AC-3 audio is not supported');
+    }
+    p += 5 + (((pkt[p + 3] & 0x0f) << 8) | pkt[p + 4]);
+  }
+  if (changed) {
+    const crc = crc32(pkt.subarray(section, end));
+    new DataView(pkt.buffer, pkt.byteOffset).setUint32(end, crc);
+  }
+}
+
+async function decryptPES(pes, type, cryptoKey, iv) {
+  if (pes.length < 9 || pes[0] !== 0 || pes[1] !== 0 || pes[2] !== 1) return pes;
+  const esStart = 9 + pes[8];
+  const header = pes.slice(0, esStart);
+  const es = pes.subarray(esStart);
+  const clear = type === STREAM_AAC_ENC ? await decryptAAC(es, cryptoKey, iv) : await decryptAVC(es, cryptoKey, iv);
+
+  const out = concatBytes([header, clear]);
+  const pesLength = out.length - 6;
+  const view = new DataView(out.buffer);
+  if (view.getUint16(4) !== 0) view.setUint16(4, pesLength > 0xffff ? 0 : pesLength);
+  return out;
+}
+
+// ADTS frames: 16 clear bytes after the header, then whole blocks encrypted, CBC reset per frame
+async function decryptAAC(es, cryptoKey, iv) {
+  const out = es.slice();
+  let p = 0;
+  while (p + 7 <= out.length && out[p] === 0xff && (out[p + 1] & 0xf0) === 0xf0) {
+    const headerLen = out[p + 1] & 0x01 ? 7 : 9;
+    const frameLen = ((out[p + 3] & 0x03) << 11) | (out[p + 4] << 3) | (out[p + 5] >> 5);
+    if (frameLen < headerLen || p + frameLen > out.length) break;
+    const sample = out.subarray(p + headerLen, p + frameLen);
+    if (sample.length > 16) {
+      const encLen = Math.floor((sample.length - 16) / 16) * 16;
+      const enc = sample.subarray(16, 16 + encLen);
+      enc.set(await cbcDecryptRaw(cryptoKey, iv, enc));
+    }
+    p += frameLen;
+  }
+  return out;
+}
+
+// H.264: slice NALs over 48 bytes have a 32-byte clear leader, then 1 of every 10 blocks encrypted
+async function decryptAVC(es, cryptoKey, iv) {
+  const units = splitNalUnits(es);
+  const out = [];
+  let cursor = 0;
+  for (const unit of units) {
+    const type = es[unit.start] & 0x1f;
+    out.push(es.subarray(cursor, unit.start));
+    cursor = unit.end;
+    const nal = es.subarray(unit.start, unit.end);
+    if ((type !== 1 && type !== 5) || nal.length <= 48) { out.push(nal); continue; }
+
+    const raw = removeEPB(nal);
+    const blocks = [];
+    for (let p = 32; p < raw.length - 16; p += 160) blocks.push(raw.subarray(p, p + 16));
+    const plain = await cbcDecryptRaw(cryptoKey, iv, concatBytes(blocks));
+    let p = 32;
+    for (let i = 0; i < blocks.length; i++, p += 160) raw.set(plain.subarray(i * 16, i * 16 + 16), p);
+    out.push(addEPB(raw));
+  }
+  out.push(es.subarray(cursor));
+  return concatBytes(out);
+}
+
+// NAL payload ranges (start code excluded)
+function splitNalUnits(es) {
+  const starts = [];
+  for (let i = 0; i + 2 < es.length; i++) {
+    if (es[i] === 0 && es[i + 1] === 0 && es[i + 2] === 1) {
+      starts.push(i + 3);
+      i += 2;
+    }
+  }
+  return starts.map((start, i) => {
+    let end = i + 1 < starts.length ? starts[i + 1] - 3 : es.length;
+    if (i + 1 < starts.length && end > start && es[end - 1] === 0) end--; // 4-byte start code
+    return { start, end };
+  });
+}
+
+function removeEPB(nal) {
+  const out = new Uint8Array(nal.length);
+  let n = 0;
+  for (let i = 0; i < nal.length; i++) {
+    if (i >= 2 && nal[i] === 3 && nal[i - 1] === 0 && nal[i - 2] === 0 && n >= 2 && out[n - 1] === 0 && out[n - 2] === 0) continue;
+    out[n++] = nal[i];
+  }
+  return out.subarray(0, n);
+}
+
+function addEPB(raw) {
+  const out = [];
+  let zeros = 0;
+  for (const b of raw) {
+    if (zeros >= 2 && b <= 3) {
+      out.push(3);
+      zeros = 0;
+    }
+    out.push(b);
+    zeros = b === 0 ? zeros + 1 : 0;
+  }
+  return Uint8Array.from(out);
+}
+
+function packetizePES(pid, af, data) {
+  const packets = [];
+  let pos = 0;
+  do {
+    const first = pos === 0;
+    const body = first ? af : null;
+    const afBytes = body ? 1 + body.length : 0;
+    const take = Math.min(184 - afBytes, data.length - pos);
+    const totalAf = 184 - take;
+
+    const pkt = new Uint8Array(188).fill(0xff);
+    pkt[0] = 0x47;
+    pkt[1] = (first ? 0x40 : 0) | ((pid >> 8) & 0x1f);
+    pkt[2] = pid & 0xff;
+    pkt[3] = totalAf > 0 ? 0x30 : 0x10;
+    if (totalAf > 0) {
+      pkt[4] = totalAf - 1;
+      if (body) pkt.set(body, 5);
+      else if (totalAf > 1) pkt[5] = 0x00;
+    }
+    pkt.set(data.subarray(pos, pos + take), 4 + totalAf);
+    packets.push(pkt);
+    pos += take;
+  } while (pos < data.length);
+  return packets;
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let pos = 0;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+}
+
+// CRC-32/MPEG-2 for PSI sections
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc ^= byte << 24;
+    for (let k = 0; k < 8; k++) crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+  }
+  return crc >>> 0;
+}
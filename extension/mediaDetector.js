@@ -3,54 +3,175 @@
  * Analyzes HTTP response headers and URLs to identify video streams.
  */
 
+import { SubtitleFormats } from './subtitles.js';
+
 export const MediaTypes = {
   HLS: 'hls',
   DASH: 'dash',
+  MSS: 'mss', // Microsoft Smooth Streaming (.ism/Manifest)
+  MSE: 'mse', // SourceBuffer data captured in the page (mseHook.js)
   MP4: 'mp4',
   WEBM: 'webm',
+  MOV: 'mov',
+  MKV: 'mkv',
+  FLV: 'flv',
+  OGV: 'ogv',
+  MP3: 'mp3',
+  M4A: 'm4a',
+  AAC: 'aac',
+  OPUS: 'opus',
+  OGG: 'ogg',
+  WEBA: 'weba',
+  WAV: 'wav',
+  FLAC: 'flac',
+  AUDIO: 'audio', // audio/* of a subtype we do not know
   UNKNOWN: 'unknown'
 };
 
+export const MediaKinds = {
+  VIDEO: 'video',
+  AUDIO: 'audio',
+  STREAM: 'stream'
+};
+
+const STREAM_TYPES = [MediaTypes.HLS, MediaTypes.DASH, MediaTypes.MSS];
+const AUDIO_TYPES = [MediaTypes.MP3, MediaTypes.M4A, MediaTypes.AAC, MediaTypes.OPUS, MediaTypes.OGG, MediaTypes.WEBA, MediaTypes.WAV, MediaTypes.FLAC, MediaTypes.AUDIO];
+
+// Content-Type (without parameters) -> type
+const CONTENT_TYPES = {
+  'application/x-mpegurl': MediaTypes.HLS,
+  'application/vnd.apple.mpegurl': MediaTypes.HLS,
+  'audio/mpegurl': MediaTypes.HLS,
+  'audio/x-mpegurl': MediaTypes.HLS,
+  'application/dash+xml': MediaTypes.DASH,
+  'application/vnd.ms-sstr+xml': MediaTypes.MSS,
+  'video/mp4': MediaTypes.MP4,
+  'video/webm': MediaTypes.WEBM,
+  'video/quicktime': MediaTypes.MOV,
+  'video/x-matroska': MediaTypes.MKV,
+  'video/x-flv': MediaTypes.FLV,
+  'video/ogg': MediaTypes.OGV,
+  'audio/mpeg': MediaTypes.MP3,
+  'audio/mp3': MediaTypes.MP3,
+  'audio/mp4': MediaTypes.M4A,
+  'audio/m4a': MediaTypes.M4A,
+  'audio/x-m4a': MediaTypes.M4A,
+  'audio/aac': MediaTypes.AAC,
+  'audio/aacp': MediaTypes.AAC,
+  'audio/opus': MediaTypes.OPUS,
+  'audio/ogg': MediaTypes.OGG,
+  'audio/webm': MediaTypes.WEBA,
+  'audio/wav': MediaTypes.WAV,
+  'audio/x-wav': MediaTypes.WAV,
+  'audio/flac': MediaTypes.FLAC,
+  'audio/x-flac': MediaTypes.FLAC
+};
+
+// File extension -> type (URL path or Content-Disposition filename)
+const EXTENSIONS = {
+  m3u8: MediaTypes.HLS,
+  mpd: MediaTypes.DASH,
+  mp4: MediaTypes.MP4,
+  m4v: MediaTypes.MP4,
+  webm: MediaTypes.WEBM,
+  mov: MediaTypes.MOV,
+  mkv: MediaTypes.MKV,
+  flv: MediaTypes.FLV,
+  ogv: MediaTypes.OGV,
+  mp3: MediaTypes.MP3,
+  m4a: MediaTypes.M4A,
+  aac: MediaTypes.AAC,
+  opus: MediaTypes.OPUS,
+  ogg: MediaTypes.OGG,
+  oga: MediaTypes.OGG,
+  weba: MediaTypes.WEBA,
+  wav: MediaTypes.WAV,
+  flac: MediaTypes.FLAC
+};
+
+// Fragments of segmented streams (DASH/CMAF/HLS) share media content types but are not files of their own
+const SEGMENT_URL = /\.(m4s|m4f|cmf[av]|ts|dash)$/;
+// Audio segments often keep a plain audio extension (HLS packed audio .aac / .mp3, DASH
+// audio/mp4 without .m4s); a numbered segment name gives them away
+const SEGMENT_NAME = /(?:^|[-_.])(?:seg|segment|chunk|frag|fragment|part|sequence|filesequence)[-_]?\d+$/;
+
 export function detectMediaType(details) {
+  const type = classifyMedia(details);
+  if (AUDIO_TYPES.includes(type)) {
+    const file = details.url.split('?')[0].toLowerCase().split('/').pop();
+    if (SEGMENT_NAME.test(file.replace(/\.[^.]*$/, ''))) return null;
+  }
+  return type;
+}
+
+function classifyMedia(details) {
+  const { url, responseHeaders } = details;
+  const contentType = headerValue(responseHeaders, 'content-type').split(';')[0].trim().toLowerCase();
+  const path = url.split('?')[0].toLowerCase();
+
+  // 1. Smooth Streaming manifests are served as text/xml: ".ism/Manifest" in the URL
+  //    (IIS can also serve them repackaged: Manifest(format=mpd-time-csf) / (format=m3u8-aapl))
+  const ism = path.match(/\.isml?\/manifest(?:\(format=(mpd|m3u8)[^)]*\))?/);
+  if (ism) return ism[1] === 'mpd' ? MediaTypes.DASH : ism[1] === 'm3u8' ? MediaTypes.HLS : MediaTypes.MSS;
+  if (SEGMENT_URL.test(path)) return null;
+
+  // 2. Check MIME types in headers
+  if (CONTENT_TYPES[contentType]) return CONTENT_TYPES[contentType];
+
+  // 3. Check extensions (fallback, covers application/octet-stream downloads):
+  //    the Content-Disposition filename first, then the URL
+  const filename = dispositionFilename(responseHeaders);
+  const byName = filename.includes('.') ? typeFromExtension(filename.split('.').pop()) : null;
+  if (byName) return byName;
+  const file = path.split('/').pop();
+  const byUrl = file.includes('.') ? typeFromExtension(file.split('.').pop()) : null;
+  if (byUrl) return byUrl;
+
+  if (contentType.startsWith('audio/')) return MediaTypes.AUDIO;
+  return null;
+}
+
+export function typeFromExtension(ext) {
+  return EXTENSIONS[(ext || '').toLowerCase()] || null;
+}
+
+// File extension for a direct download of this type (streams become MP4)
+export function extensionFor(type) {
+  if (!type || STREAM_TYPES.includes(type) || type === MediaTypes.MSE || type === MediaTypes.UNKNOWN) return 'mp4';
+  if (type === MediaTypes.AUDIO) return 'm4a';
+  return type;
+}
+
+export function mediaKind(type) {
+  if (STREAM_TYPES.includes(type)) return MediaKinds.STREAM;
+  if (AUDIO_TYPES.includes(type)) return MediaKinds.AUDIO;
+  return MediaKinds.VIDEO;
+}
+
+// Standalone subtitle files (sidecar .vtt / .srt), not media: kept in a separate list
+export function detectSubtitleType(details) {
   const { url, responseHeaders } = details;
-  
-  // 1. Check MIME types in headers
   const contentTypeHeader = responseHeaders.find(h => h.name.toLowerCase() === 'content-type');
   const contentType = contentTypeHeader ? contentTypeHeader.value.toLowerCase() : '';
 
-  if (contentType.includes('application/x-mpegurl') || contentType.includes('application/vnd.apple.mpegurl')) {
-    return MediaTypes.HLS;
-  }
-  if (contentType.includes('application/dash+xml')) {
-    return MediaTypes.DASH;
-  }
-  if (contentType.includes('video/mp4')) {
-    return MediaTypes.MP4;
-  }
-  if (contentType.includes('video/webm')) {
-    return MediaTypes.WEBM;
-  }
+  if (contentType.includes('text/vtt')) return SubtitleFormats.VTT;
+  if (contentType.includes('application/x-subrip') || contentType.includes('text/srt')) return SubtitleFormats.SRT;
 
-  // 2. Check URL extensions (fallback)
   const cleanUrl = url.split('?')[0].toLowerCase();
-  
-  if (cleanUrl.endsWith('.m3u8')) return MediaTypes.HLS;
-  if (cleanUrl.endsWith('.mpd')) return MediaTypes.DASH;
-  if (cleanUrl.endsWith('.mp4')) return MediaTypes.MP4;
-  if (cleanUrl.endsWith('.webm')) return MediaTypes.WEBM;
+  if (cleanUrl.endsWith('.vtt') || cleanUrl.endsWith('.webvtt')) return SubtitleFormats.VTT;
+  if (cleanUrl.endsWith('.srt')) return SubtitleFormats.SRT;
 
   return null;
 }
 
 export function extractMetadata(details, type) {
   const { url, responseHeaders } = details;
-  const contentLength = responseHeaders.find(h => h.name.toLowerCase() === 'content-length');
-  const size = contentLength ? parseInt(contentLength.value, 10) : 0;
+  const size = parseInt(headerValue(responseHeaders, 'content-length'), 10) || 0;
 
-  // Attempt to guess filename from URL
+  // The server's download name wins, else guess the filename from the URL
   const urlParts = url.split('?')[0].split('/');
-  let filename = urlParts[urlParts.length - 1];
-  if (!filename || filename.length > 50) filename = `video_${Date.now()}`;
+  let filename = dispositionFilename(responseHeaders) || urlParts[urlParts.length - 1];
+  if (!filename || filename.length > 50) filename = `${mediaKind(type) === MediaKinds.AUDIO ? 'audio' : 'video'}_${Date.now()}`;
 
   // For playlists, filename might be master.m3u8, we typically want the page title but that's in the tab.
   // We'll update title later from the tab info.
@@ -63,3 +184,22 @@ export function extractMetadata(details, type) {
     headers: responseHeaders // Store headers if auth tokens are needed for download
   };
 }
+
+// --- Helpers ---
+
+function headerValue(headers, name) {
+  const header = (headers || []).find(h => h.name.toLowerCase() === name);
+  return header ? header.value : '';
+}
+
+// Content-Disposition: attachment; filename="a.mp3"; filename*=UTF-8''b%20c.mp3 (filename* wins)
+function dispositionFilename(headers) {
+  const value = headerValue(headers, 'content-disposition');
+  if (!value) return '';
+  const extended = value.match(/filename\*\s*=\s*(?:[\w-]+)?'[^']*'([^;]+)/i);
+  if (extended) {
+    try { return decodeURIComponent(extended[1].trim()); } catch (e) { }
+  }
+  const plain = value.match(/filename\s*=\s*("([^"]*)"|[^;]+)/i);
+  return plain ? (plain[2] ?? plain[1]).trim() : '';
+}
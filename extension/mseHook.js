@@ -0,0 +1,45 @@
+/**
+ * MSE Capture Hook (page world)
+ * Registered through chrome.scripting when MSE capture is switched on. Wraps
+ * MediaSource.addSourceBuffer and SourceBuffer.appendBuffer so the bytes a player feeds
+ * its <video src="blob:..."> are copied out; content.js forwards them to the background.
+ */
+(() => {
+    if (!window.MediaSource || window.__streamSnifferMseHook) return;
+    window.__streamSnifferMseHook = true;
+
+    const SOURCE = 'streamsniffer-mse';
+    const captures = new WeakMap(); // MediaSource -> { id, tracks }
+    const buffers = new WeakMap(); // SourceBuffer -> { captureId, trackId }
+
+    const addSourceBuffer = MediaSource.prototype.addSourceBuffer;
+    MediaSource.prototype.addSourceBuffer = function (mime) {
+        const buffer = addSourceBuffer.apply(this, arguments);
+        let capture = captures.get(this);
+        if (!capture) {
+            capture = { id: Date.now().toString(36) + Math.random().toString(36).substring(2, 8), tracks: 0 };
+            captures.set(this, capture);
+        }
+        const track = { captureId: capture.id, trackId: capture.tracks++ };
+        buffers.set(buffer, track);
+        window.postMessage({ source: SOURCE, type: 'track', ...track, mime: String(mime) }, '*');
+        return buffer;
+    };
+
+    const appendBuffer = SourceBuffer.prototype.appendBuffer;
+    SourceBuffer.prototype.appendBuffer = function (data) {
+        // Append first: data the SourceBuffer rejects (quota, wrong state) is not recorded
+        const result = appendBuffer.apply(this, arguments);
+        const track = buffers.get(this);
+        if (track && data) {
+            try {
+                // Copy, the player may reuse its buffer once the call returns
+                const bytes = ArrayBuffer.isView(data)
+                    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength).slice()
+                    : new Uint8Array(data).slice();
+                window.postMessage({ source: SOURCE, type: 'append', ...track, data: bytes.buffer }, '*', [bytes.buffer]);
+            } catch (e) { }
+        }
+        return result;
+    };
+})();
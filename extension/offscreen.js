@@ -58,107 +58,340 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
     // 6. Handle TRANSMUX (HLS -> MP4) - The Core Logic
+    // One-shot form of the streaming session below, for callers that have every chunk already.
     else if (message.action === 'transmux') {
         (async () => {
+            const sessionId = `oneshot_${Date.now()}`;
             try {
-                const mux = self.muxjs || self.mux;
-                if (!mux) throw new Error("Mux library missing");
-
-                // CONFIGURATION: Force timestamp reset (Fixes 13h issue)
-                const transmuxer = new mux.mp4.Transmuxer({ keepOriginalTimeline: false });
-
-                let chunks = [];
-                if (message.chunkKeys) {
-                     console.log(`[Transmux] Loading ${message.chunkKeys.length} chunks from IDB...`);
-                     for (const key of message.chunkKeys) {
-                         const blob = await getBlobFromIDB(key);
-                         if (blob) {
-                             chunks.push(await blob.arrayBuffer());
-                             // Optional: Clean up chunk immediately to save space? 
-                             // Maybe later.
-                             await deleteBlobFromIDB(key); // Auto-cleanup input chunks
-                         }
-                     }
-                } else {
-                     chunks = decodeChunks(message);
+                await startTransmux(sessionId, message.duration);
+                const chunkKeys = message.chunkKeys || [];
+                console.log(`[Transmux] Streaming ${chunkKeys.length} chunks from IDB...`);
+                for (const key of chunkKeys) {
+                    await pushTransmux(sessionId, key);
+                    await deleteBlobFromIDB(key); // Auto-cleanup input chunks
                 }
-                
-                console.log(`[Transmux] Starting: ${chunks.length} chunks`);
-
-                let initSegment = null;
-                const segments = [];
-
-                transmuxer.on('data', (segment) => {
-                    // Capture Header (ftyp+moov)
-                    if (segment.initSegment) {
-                        // CRITICAL: Only capture the FIRST header.
-                        // Later headers often contain "live" timestamps causing duration drift.
-                        if (!initSegment) {
-                            initSegment = segment.initSegment;
-                            console.log("[Transmux] First Init Segment Captured");
-                        }
-                    }
-                    // Capture Media (moof+mdat)
-                    if (segment.data) {
-                        segments.push(segment.data);
-                    }
-                });
-
-                // Process chunks sequentially
-                for (const chunk of chunks) {
-                    if (chunk && chunk.byteLength > 0) {
-                        try {
-                            transmuxer.push(new Uint8Array(chunk));
-                        } catch (err) {
-                            console.warn("[Transmux] Push warn:", err);
-                        }
+                sendResponse(await endTransmux(sessionId));
+            } catch (e) {
+                console.error("[Transmux] Error:", e);
+                await abortTransmux(sessionId);
+                sendResponse({ status: 'error', error: e.toString() });
+            }
+        })();
+        return true;
+    }
+    // 6b. Streaming TRANSMUX session: start / push (in playlist order) / end / abort
+    //     format 'ts' runs mux.js, 'fmp4' appends fragments to the init segment as they are
+    else if (['transmuxStart', 'transmuxPush', 'transmuxEnd', 'transmuxAbort'].includes(message.action)) {
+        (async () => {
+            try {
+                const id = message.sessionId;
+                if (message.action === 'transmuxStart') await startTransmux(id, message.duration, message.format);
+                else if (message.action === 'transmuxPush') await pushTransmux(id, message.chunkKey, message.init);
+                else if (message.action === 'transmuxEnd') return sendResponse(await endTransmux(id, message.duration));
+                else await abortTransmux(id);
+                sendResponse({ status: 'success' });
+            } catch (e) {
+                console.error(`[Transmux] ${message.action} failed:`, e);
+                sendResponse({ status: 'error', error: e.toString() });
+            }
+        })();
+        return true;
+    }
+    // 7. Handle MPD Parsing (DOMParser is not available in the service worker)
+    else if (message.action === 'parseMPD') {
+        try {
+            const mpd = new DASHParser(message.url, message.text).parse();
+            sendResponse({ status: 'success', mpd });
+        } catch (e) {
+            console.error("[DASH] Parse failed:", e);
+            sendResponse({ status: 'error', error: e.toString() });
+        }
+    }
+    // 8. Handle MUX TRACKS (separate fMP4 video/audio -> single MP4)
+    else if (message.action === 'muxTracks') {
+        (async () => {
+            try {
+                const tracks = [];
+                for (const track of message.tracks) {
+                    const parts = [];
+                    for (const part of track.parts) {
+                        parts.push({ chunks: await loadChunksFromIDB(part.chunkKeys), offset: part.offset || 0 });
                     }
+                    tracks.push({ parts });
                 }
+                console.log(`[Mux] Combining ${tracks.length} track(s)`);
 
-                transmuxer.flush();
-
-                console.log(`[Transmux] Complete. Segments: ${segments.length}, Header: ${!!initSegment}`);
-
-                // Assemble final MP4
-                const finalData = [];
-                if (initSegment) {
-                    if (message.duration) {
-                        initSegment = patchDuration(initSegment, message.duration);
+                if (message.mimeType !== 'video/mp4') {
+                    // WebM has no fragment boxes to merge, keep each track as its own file
+                    const blobKeys = [];
+                    for (let i = 0; i < tracks.length; i++) {
+                        const chunks = tracks[i].parts.flatMap(p => p.chunks);
+                        const key = `track_${Date.now()}_${i}`;
+                        await storeBlobInIDB(key, new Blob(chunks, { type: message.mimeType }));
+                        blobKeys.push(key);
                     }
-                    finalData.push(initSegment);
+                    sendResponse({ status: 'success', blobKeys });
+                    return;
                 }
-                finalData.push(...segments);
 
-                const blob = new Blob(finalData, { type: 'video/mp4' });
+                const [ftyp, moov, ...fragments] = combineFragmentedTracks(tracks);
+                let initSegment = new Uint8Array(ftyp.byteLength + moov.byteLength);
+                initSegment.set(ftyp);
+                initSegment.set(moov, ftyp.byteLength);
+                if (message.duration) initSegment = patchDuration(initSegment, message.duration);
 
+                const blob = new Blob([initSegment, ...fragments], { type: 'video/mp4' });
                 if (blob.size === 0) throw new Error("Output blob is 0 bytes");
 
-                // Save to IDB
                 const key = `mp4_${Date.now()}`;
                 await storeBlobInIDB(key, blob);
+                sendResponse({ status: 'success', blobKey: key, debug: { fragments: fragments.length / 2, size: blob.size } });
+            } catch (e) {
+                console.error("[Mux] Error:", e);
+                sendResponse({ status: 'error', error: e.toString() });
+            }
+        })();
+        return true;
+    }
+    // 9. Handle COMBINE BLOBS (finished fMP4 files, e.g. HLS video + audio rendition -> single MP4)
+    else if (message.action === 'combineBlobs') {
+        (async () => {
+            try {
+                const blobs = [];
+                for (const key of message.blobKeys) {
+                    const blob = await getBlobFromIDB(key);
+                    if (!blob) throw new Error(`Blob ${key} not found in IDB`);
+                    blobs.push(blob);
+                }
+                console.log(`[Mux] Combining ${blobs.length} file(s)`);
 
-                sendResponse({
-                    status: 'success',
-                    blobKey: key,
-                    debug: {
-                        in: chunks.length,
-                        out: segments.length,
-                        size: blob.size
+                const [ftyp, moov, ...fragments] = await combineFragmentedBlobs(blobs, message.offsets);
+                let initSegment = new Uint8Array(ftyp.byteLength + moov.byteLength);
+                initSegment.set(ftyp);
+                initSegment.set(moov, ftyp.byteLength);
+                if (message.duration) initSegment = patchDuration(initSegment, message.duration);
+
+                // mdat payloads are still slices of the disk-backed inputs
+                const blob = new Blob([initSegment, ...fragments], { type: 'video/mp4' });
+                const key = `mp4_${Date.now()}`;
+                await storeBlobInIDB(key, blob);
+                for (const input of message.blobKeys) await deleteBlobFromIDB(input);
+                sendResponse({ status: 'success', blobKey: key, debug: { fragments: fragments.length / 2, size: blob.size } });
+            } catch (e) {
+                console.error("[Mux] Combine failed:", e);
+                sendResponse({ status: 'error', error: e.toString() });
+            }
+        })();
+        return true;
+    }
+    // 9b. Handle TRIM BLOB (time-range clip: cut a finished fMP4 at keyframes)
+    else if (message.action === 'trimBlob') {
+        (async () => {
+            try {
+                const input = await getBlobFromIDB(message.blobKey);
+                if (!input) throw new Error(`Blob ${message.blobKey} not found in IDB`);
+                const { parts, duration } = await trimFragmentedBlob(input, message.start, message.end);
+                console.log(`[Clip] ${message.start}s - ${message.end}s -> ${duration.toFixed(2)}s`);
+
+                const [ftyp, moov, ...fragments] = parts;
+                let initSegment = new Uint8Array(ftyp.byteLength + moov.byteLength);
+                initSegment.set(ftyp);
+                initSegment.set(moov, ftyp.byteLength);
+                initSegment = patchDuration(initSegment, duration);
+
+                const blob = new Blob([initSegment, ...fragments], { type: 'video/mp4' });
+                const key = `mp4_${Date.now()}`;
+                await storeBlobInIDB(key, blob);
+                await deleteBlobFromIDB(message.blobKey);
+                sendResponse({ status: 'success', blobKey: key, duration });
+            } catch (e) {
+                console.error("[Clip] Trim failed:", e);
+                sendResponse({ status: 'error', error: e.toString() });
+            }
+        })();
+        return true;
+    }
+    // 11. Handle MSE CAPTURE (SourceBuffer data recorded in the page -> MP4, or one WebM per track)
+    else if (message.action === 'assembleMSE') {
+        (async () => {
+            try {
+                const blobs = [];
+                for (const track of message.tracks) {
+                    const parts = [];
+                    for (const key of track.chunkKeys) {
+                        const part = await getBlobFromIDB(key);
+                        if (part) parts.push(part);
                     }
-                });
+                    blobs.push(new Blob(parts, { type: track.mime.split(';')[0] }));
+                }
+                console.log(`[MSE] Assembling ${blobs.length} track(s): ${message.tracks.map(t => t.mime).join(', ')}`);
 
+                const files = [];
+                if (message.tracks.every(t => /mp4/i.test(t.mime))) {
+                    // fMP4 SourceBuffers (init segment + fragments): one file with every track
+                    const [ftyp, moov, ...fragments] = await combineFragmentedBlobs(blobs);
+                    const key = `mp4_${Date.now()}`;
+                    await storeBlobInIDB(key, new Blob([ftyp, moov, ...fragments], { type: 'video/mp4' }));
+                    files.push({ blobKey: key, ext: '.mp4' });
+                } else {
+                    // WebM has no fragment boxes to merge, keep each track as its own file
+                    for (let i = 0; i < blobs.length; i++) {
+                        const key = `track_${Date.now()}_${i}`;
+                        await storeBlobInIDB(key, blobs[i]);
+                        files.push({ blobKey: key, ext: /mp4/i.test(message.tracks[i].mime) ? '.mp4' : '.webm' });
+                    }
+                }
+                sendResponse({ status: 'success', files });
             } catch (e) {
-                console.error("[Transmux] Error:", e);
+                console.error("[MSE] Assemble failed:", e);
                 sendResponse({ status: 'error', error: e.toString() });
             }
         })();
         return true;
     }
+    // 10. Handle IDB Blob Deletion (after the download has picked the file up)
+    else if (message.action === 'deleteBlob') {
+        deleteBlobFromIDB(message.key)
+            .then(() => sendResponse({ status: 'success' }))
+            .catch(e => sendResponse({ status: 'error', error: e.toString() }));
+        return true;
+    }
 
     // Return false for unhandled messages
     return false;
 });
 
+// --- Streaming Transmux ---
+// Each chunk is pushed and flushed on its own; output is spilled to IDB blob parts
+// every PART_SIZE bytes, so memory stays bounded however long the video is.
+const PART_SIZE = 8 * 1024 * 1024;
+const transmuxSessions = new Map(); // sessionId -> session
+
+async function startTransmux(sessionId, duration, format = 'ts') {
+    // A restarted job reuses its session id: drop whatever the previous run left behind
+    await abortTransmux(sessionId);
+
+    if (format === 'fmp4') {
+        // Already MP4 fragments: no transmuxer, just the init segment + rebased fragments
+        transmuxSessions.set(sessionId, { format, duration, initSegment: null, rebase: null, pending: [], pendingBytes: 0, partKeys: [], pushed: 0, segments: 0 });
+        return;
+    }
+
+    const mux = self.muxjs || self.mux;
+    if (!mux) throw new Error("Mux library missing");
+
+    // CONFIGURATION: Force timestamp reset (Fixes 13h issue)
+    const transmuxer = new mux.mp4.Transmuxer({ keepOriginalTimeline: false });
+    const session = { format, transmuxer, duration, initSegment: null, pending: [], pendingBytes: 0, partKeys: [], pushed: 0, segments: 0 };
+
+    transmuxer.on('data', (segment) => {
+        // Capture Header (ftyp+moov)
+        // CRITICAL: Only capture the FIRST header.
+        // Later headers often contain "live" timestamps causing duration drift.
+        if (segment.initSegment && !session.initSegment) {
+            session.initSegment = session.duration ? patchDuration(segment.initSegment, session.duration) : segment.initSegment;
+            session.pending.push(session.initSegment);
+            session.pendingBytes += session.initSegment.byteLength;
+            console.log("[Transmux] First Init Segment Captured");
+        }
+        // Capture Media (moof+mdat)
+        if (segment.data) {
+            session.pending.push(segment.data);
+            session.pendingBytes += segment.data.byteLength;
+            session.segments++;
+        }
+    });
+
+    transmuxSessions.set(sessionId, session);
+}
+
+async function pushTransmux(sessionId, chunkKey, isInit = false) {
+    const session = transmuxSessions.get(sessionId);
+    if (!session) throw new Error("Unknown transmux session");
+
+    const blob = await getBlobFromIDB(chunkKey);
+    if (session.format === 'fmp4') {
+        if (blob && blob.size > 0) pushFragment(session, new Uint8Array(await blob.arrayBuffer()), isInit);
+    } else if (blob && blob.size > 0) {
+        try {
+            session.transmuxer.push(new Uint8Array(await blob.arrayBuffer()));
+            session.transmuxer.flush();
+        } catch (err) {
+            console.warn("[Transmux] Push warn:", err);
+        }
+    }
+    session.pushed++;
+    if (session.pendingBytes >= PART_SIZE) await spillTransmux(sessionId, session);
+}
+
+function pushFragment(session, bytes, isInit) {
+    if (isInit) {
+        if (session.initSegment) return console.warn("[Transmux] Extra init segment ignored");
+        session.initSegment = session.duration ? new Uint8Array(patchDuration(bytes, session.duration)) : bytes;
+        session.rebase = createFragmentRebaser(session.initSegment);
+        session.pending.unshift(session.initSegment);
+        session.pendingBytes += session.initSegment.byteLength;
+        return;
+    }
+    if (!session.rebase) throw new Error("fMP4 fragment before init segment");
+    const data = session.rebase(bytes);
+    session.pending.push(data);
+    session.pendingBytes += data.byteLength;
+    session.segments++;
+}
+
+async function spillTransmux(sessionId, session) {
+    if (!session.pending.length) return;
+    const key = `out_${sessionId}_${session.partKeys.length}`;
+    await storeBlobInIDB(key, new Blob(session.pending));
+    session.partKeys.push(key);
+    session.pending = [];
+    session.pendingBytes = 0;
+}
+
+// duration (seconds) patches the header at the end, for live recordings whose length was unknown at start
+async function endTransmux(sessionId, duration = 0) {
+    const session = transmuxSessions.get(sessionId);
+    if (!session) throw new Error("Unknown transmux session");
+    await spillTransmux(sessionId, session);
+    console.log(`[Transmux] Complete. In: ${session.pushed}, Segments: ${session.segments}, Header: ${!!session.initSegment}`);
+
+    // Parts read back from IDB are disk-backed, so stitching them does not load the video into memory
+    const parts = [];
+    for (const key of session.partKeys) {
+        const part = await getBlobFromIDB(key);
+        if (part) parts.push(part);
+    }
+    if (duration && session.initSegment && parts.length) {
+        // The header is at the start of the first part; patching keeps its size
+        const headerSize = session.initSegment.byteLength;
+        const header = patchDuration(await parts[0].slice(0, headerSize).arrayBuffer(), duration);
+        parts[0] = new Blob([header, parts[0].slice(headerSize)]);
+    }
+    const blob = new Blob(parts, { type: 'video/mp4' });
+    if (blob.size === 0) throw new Error("Output blob is 0 bytes");
+
+    // Save to IDB (keyed per session: the audio and video sessions of one job can end together)
+    const key = `mp4_${sessionId}_${Date.now()}`;
+    await storeBlobInIDB(key, blob);
+    await abortTransmux(sessionId);
+
+    return {
+        status: 'success',
+        blobKey: key,
+        debug: {
+            in: session.pushed,
+            out: session.segments,
+            size: blob.size
+        }
+    };
+}
+
+async function abortTransmux(sessionId) {
+    transmuxSessions.delete(sessionId);
+    await deleteBlobRangeFromIDB(`out_${sessionId}_`);
+}
+
 // --- Helpers ---
 
 function decodeChunks(message) {
@@ -174,47 +407,71 @@ function decodeChunks(message) {
     return message.chunks || [];
 }
 
-function storeBlobInIDB(key, blob) {
+async function loadChunksFromIDB(keys) {
+    const chunks = [];
+    for (const key of keys) {
+        const blob = await getBlobFromIDB(key);
+        if (blob) chunks.push(await blob.arrayBuffer());
+        await deleteBlobFromIDB(key); // Auto-cleanup input chunks
+    }
+    return chunks;
+}
+
+// Same schema as background.js openDownloadDB()
+function openDownloadDB() {
     return new Promise((resolve, reject) => {
-        const req = indexedDB.open('DownloadDB', 2);
+        const req = indexedDB.open('DownloadDB', 4);
         req.onupgradeneeded = (e) => {
             const db = e.target.result;
             if (!db.objectStoreNames.contains('blobs')) db.createObjectStore('blobs');
+            if (!db.objectStoreNames.contains('jobs')) db.createObjectStore('jobs', { keyPath: 'id' });
+            if (!db.objectStoreNames.contains('history')) {
+                db.createObjectStore('history', { keyPath: 'id', autoIncrement: true }).createIndex('downloadId', 'downloadId');
+            }
         };
-        req.onsuccess = (e) => {
-            const db = e.target.result;
-            const tx = db.transaction('blobs', 'readwrite');
-            tx.objectStore('blobs').put(blob, key);
-            tx.oncomplete = () => { db.close(); resolve(); };
-            tx.onerror = () => reject(tx.error);
-        };
+        req.onsuccess = () => resolve(req.result);
         req.onerror = () => reject(req.error);
     });
 }
 
-function getBlobFromIDB(key) {
+async function storeBlobInIDB(key, blob) {
+    const db = await openDownloadDB();
     return new Promise((resolve, reject) => {
-        const req = indexedDB.open('DownloadDB', 2);
-        req.onsuccess = (e) => {
-            const tx = e.target.result.transaction('blobs', 'readonly');
-            const getReq = tx.objectStore('blobs').get(key);
-            getReq.onsuccess = () => resolve(getReq.result);
-            getReq.onerror = () => reject(getReq.error);
-        };
-        req.onerror = () => reject(req.error);
+        const tx = db.transaction('blobs', 'readwrite');
+        tx.objectStore('blobs').put(blob, key);
+        tx.oncomplete = () => { db.close(); resolve(); };
+        tx.onerror = () => reject(tx.error);
     });
 }
 
-function deleteBlobFromIDB(key) {
+async function getBlobFromIDB(key) {
+    const db = await openDownloadDB();
     return new Promise((resolve, reject) => {
-        const req = indexedDB.open('DownloadDB', 2);
-        req.onsuccess = (e) => {
-             const tx = e.target.result.transaction('blobs', 'readwrite');
-             tx.objectStore('blobs').delete(key);
-             tx.oncomplete = () => { e.target.result.close(); resolve(); };
-             tx.onerror = () => reject(tx.error);
-        };
-        req.onerror = () => reject(req.error);
+        const tx = db.transaction('blobs', 'readonly');
+        const getReq = tx.objectStore('blobs').get(key);
+        getReq.onsuccess = () => resolve(getReq.result);
+        getReq.onerror = () => reject(getReq.error);
+        tx.oncomplete = () => db.close();
+    });
+}
+
+async function deleteBlobFromIDB(key) {
+    const db = await openDownloadDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('blobs', 'readwrite');
+        tx.objectStore('blobs').delete(key);
+        tx.oncomplete = () => { db.close(); resolve(); };
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function deleteBlobRangeFromIDB(prefix) {
+    const db = await openDownloadDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('blobs', 'readwrite');
+        tx.objectStore('blobs').delete(IDBKeyRange.bound(prefix, prefix + '\uffff'));
+        tx.oncomplete = () => { db.close(); resolve(); };
+        tx.onerror = () => reject(tx.error);
     });
 }
 
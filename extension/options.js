@@ -0,0 +1,164 @@
+import { SETTINGS_SCHEMA, getSettings, validateSetting, saveSettings, resetSettings, exportSettings, importSettings } from './settings.js';
+
+const form = document.getElementById('settings-form');
+const status = document.getElementById('status');
+let dirty = false;
+
+// --- FORM (one fieldset per schema section) ---
+function renderForm(settings) {
+    form.innerHTML = '';
+    const sections = new Map();
+    for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+        if (!sections.has(spec.section)) {
+            const fieldset = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.textContent = spec.section;
+            fieldset.appendChild(legend);
+            form.appendChild(fieldset);
+            sections.set(spec.section, fieldset);
+        }
+        sections.get(spec.section).appendChild(renderField(key, spec, settings[key]));
+    }
+    dirty = false;
+}
+
+function renderField(key, spec, value) {
+    const field = document.createElement('div');
+    field.className = 'field';
+    field.dataset.key = key;
+
+    const label = document.createElement('label');
+    label.htmlFor = `setting-${key}`;
+    label.textContent = spec.label;
+    field.appendChild(label);
+
+    let input;
+    if (spec.type === 'enum') {
+        input = document.createElement('select');
+        for (const [option, text] of Object.entries(spec.values)) {
+            input.add(new Option(text, option, false, option === value));
+        }
+    } else if (spec.type === 'boolean') {
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = value;
+    } else if (spec.type === 'map' || spec.type === 'rules') {
+        input = document.createElement('textarea');
+        input.value = JSON.stringify(value, null, 2);
+        input.spellcheck = false;
+    } else {
+        input = document.createElement('input');
+        input.type = spec.type === 'integer' ? 'number' : 'text';
+        if (spec.type === 'integer') {
+            input.min = spec.min;
+            input.max = spec.max;
+        }
+        input.value = value;
+    }
+    input.id = `setting-${key}`;
+    input.addEventListener('input', () => { dirty = true; });
+    field.appendChild(input);
+
+    if (spec.hint) {
+        const hint = document.createElement('div');
+        hint.className = 'hint';
+        hint.textContent = spec.hint;
+        field.appendChild(hint);
+    }
+    return field;
+}
+
+// Raw value of a field in the type validateSetting expects; JSON fields throw when they do not parse
+function readField(key) {
+    const spec = SETTINGS_SCHEMA[key];
+    const input = document.getElementById(`setting-${key}`);
+    if (spec.type === 'boolean') return input.checked;
+    if (spec.type === 'map' || spec.type === 'rules') {
+        try {
+            return JSON.parse(input.value || (spec.type === 'rules' ? '[]' : '{}'));
+        } catch (e) {
+            throw new Error(`${spec.label}: not valid JSON (${e.message})`);
+        }
+    }
+    return input.value;
+}
+
+function showStatus(text, isError = false) {
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+}
+
+async function load() {
+    renderForm(await getSettings());
+}
+
+// --- ACTIONS ---
+document.getElementById('save-btn').addEventListener('click', async () => {
+    const changes = {};
+    const errors = [];
+    for (const field of form.querySelectorAll('.field')) {
+        const key = field.dataset.key;
+        field.classList.remove('invalid');
+        field.querySelector('.error')?.remove();
+        try {
+            changes[key] = validateSetting(key, readField(key));
+        } catch (e) {
+            errors.push(e.message);
+            field.classList.add('invalid');
+            const error = document.createElement('div');
+            error.className = 'error';
+            error.textContent = e.message;
+            field.appendChild(error);
+        }
+    }
+    if (errors.length) return showStatus(`${errors.length} setting(s) not saved, see the marked fields`, true);
+
+    try {
+        await saveSettings(changes);
+        dirty = false;
+        showStatus('Saved');
+    } catch (e) {
+        // storage.sync quotas (8 KB per setting) end up here, e.g. very long rule lists
+        showStatus(e.message, true);
+    }
+});
+
+document.getElementById('reset-btn').addEventListener('click', async () => {
+    if (!confirm('Reset every setting to its default?')) return;
+    await resetSettings();
+    await load();
+    showStatus('Defaults restored');
+});
+
+document.getElementById('export-btn').addEventListener('click', async () => {
+    const blob = new Blob([await exportSettings()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'streamsniffer-settings.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+});
+
+const importFile = document.getElementById('import-file');
+document.getElementById('import-btn').addEventListener('click', () => importFile.click());
+importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+    try {
+        const { imported, errors } = await importSettings(await file.text());
+        await load();
+        showStatus([`Imported ${imported.length} setting(s)`, ...errors].join('\n'), errors.length > 0);
+    } catch (e) {
+        showStatus(`Import failed: ${e.message}`, true);
+    }
+});
+
+// Changed elsewhere (popup toggles, another synced browser): refresh unless there are unsaved edits
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'sync' || dirty) return;
+    if (Object.keys(changes).some(key => key in SETTINGS_SCHEMA)) load();
+});
+
+load();
@@ -0,0 +1,66 @@
+/**
+ * Output Paths
+ * Where a download is written: the output directory, optional subfolders per site and/or date,
+ * and what happens when the file already exists. A relative output directory lives inside the
+ * Downloads folder for both engines; an absolute one only reaches the companion app (Chrome
+ * cannot save outside its download folder). host.py checks the same rules again.
+ */
+
+export const ConflictActions = {
+  UNIQUIFY: 'uniquify', // "name (1).mp4" / "name_1.mp4"
+  OVERWRITE: 'overwrite',
+  SKIP: 'skip' // keep the existing file, do not download
+};
+
+export const SubfolderModes = {
+  NONE: 'none',
+  SITE: 'site',
+  DATE: 'date',
+  SITE_DATE: 'site/date'
+};
+
+/**
+ * options: { outputDirectory, outputSubfolders, conflictAction } as stored.
+ * Returns { directory, folder, conflictAction }: directory is absolute or '' (the Downloads
+ * folder), folder the relative path both engines put in front of the filename.
+ * Throws on values that could write outside the chosen folder.
+ */
+export function resolveOutput(options, host, date = new Date()) {
+  const dir = (options.outputDirectory || '').trim();
+  checkPath(dir, 'Output directory');
+  const absolute = isAbsolutePath(dir);
+
+  const mode = Object.values(SubfolderModes).includes(options.outputSubfolders) ? options.outputSubfolders : SubfolderModes.NONE;
+  const day = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  const site = (host || 'unknown').replace(/[<>:"/\\|?*\x00-\x1F]/g, '_');
+  const subfolders = {
+    [SubfolderModes.NONE]: [],
+    [SubfolderModes.SITE]: [site],
+    [SubfolderModes.DATE]: [day],
+    [SubfolderModes.SITE_DATE]: [site, day]
+  }[mode];
+
+  return {
+    directory: absolute ? dir : '',
+    folder: joinPath(absolute ? '' : dir, ...subfolders),
+    conflictAction: Object.values(ConflictActions).includes(options.conflictAction) ? options.conflictAction : ConflictActions.UNIQUIFY
+  };
+}
+
+// Throws when a path has ".." segments or control characters
+export function checkPath(path, what = 'Path') {
+  if (/[\x00-\x1F]/.test(path)) throw new Error(`${what} contains control characters`);
+  if (path.replace(/\\/g, '/').split('/').some(segment => segment.trim() === '..')) throw new Error(`${what} must not contain ".."`);
+}
+
+export function isAbsolutePath(path) {
+  return /^(?:[\\/]|~(?:[\\/]|$)|[a-zA-Z]:[\\/])/.test(path);
+}
+
+// Relative parts -> "a/b/c" (empty and "." segments dropped)
+export function joinPath(...parts) {
+  return parts
+    .flatMap(part => String(part || '').replace(/\\/g, '/').split('/'))
+    .filter(segment => segment && segment !== '.')
+    .join('/');
+}
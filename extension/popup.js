@@ -2,8 +2,22 @@ document.addEventListener('DOMContentLoaded', () => {
     const list = document.getElementById('video-list');
     const emptyState = document.getElementById('empty-state');
     const tabs = document.querySelectorAll('.tab');
+    const kindFilter = document.querySelector('.kind-filter');
     let currentTab = 'detected';
+    let currentKind = 'all'; // video / audio / stream
     let allVideos = [];
+    let sidecarSubtitles = 0; // .vtt/.srt files seen on the page
+    let subtitleFormat = 'vtt';
+
+    // Settings live in storage.sync behind the background's validation (see settings.js)
+    const saveSetting = (changes) => chrome.runtime.sendMessage({ action: 'SAVE_SETTINGS', changes });
+    chrome.runtime.sendMessage({ action: 'GET_SETTINGS' }, (res) => {
+        if (res?.status !== 'ok') return;
+        subtitleFormat = res.settings.subtitleFormat;
+    });
+
+    document.getElementById('settings-btn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+    document.getElementById('dashboard-btn').addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') }));
 
     // Tab Switching
     tabs.forEach(tab => {
@@ -15,10 +29,21 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    // Kind Filter (Detected tab)
+    kindFilter.querySelectorAll('.kind-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            kindFilter.querySelectorAll('.kind-chip').forEach(c => c.classList.remove('active'));
+            chip.classList.add('active');
+            currentKind = chip.dataset.kind;
+            renderVideos(allVideos);
+        });
+    });
+
     // Request detected videos from Background script
     chrome.runtime.sendMessage({ action: 'GET_VIDEOS' }, (response) => {
         if (response && response.videos) {
             allVideos = response.videos;
+            sidecarSubtitles = response.sidecarSubtitles || 0;
             renderVideos(allVideos);
         } else {
             emptyState.style.display = 'block';
@@ -39,10 +64,32 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // MSE Capture Toggle: the page hook only loads at document_start, so the tab is reloaded
+    const mseBtn = document.getElementById('mse-btn');
+    if (mseBtn) {
+        chrome.runtime.sendMessage({ action: 'GET_SETTINGS' }, (res) => mseBtn.classList.toggle('on', !!res?.settings?.mseCapture));
+        mseBtn.addEventListener('click', () => {
+            const enable = !mseBtn.classList.contains('on');
+            chrome.runtime.sendMessage({ action: 'SET_MSE_CAPTURE', enabled: enable }, (res) => {
+                if (!res || res.status !== 'ok') return;
+                mseBtn.classList.toggle('on', enable);
+                if (!enable) return;
+                chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+                    if (tabs[0]) chrome.tabs.reload(tabs[0].id);
+                });
+            });
+        });
+    }
+
     // Listen for Progress Updates
     chrome.runtime.onMessage.addListener((message) => {
         if (message.action === 'DOWNLOAD_PROGRESS') {
-            updateProgressUI(message.url, message.percent, message.speed, message.status);
+            updateProgressUI(message.url, message.percent, message.speed, message.status, message.elapsed);
+            updateQueueProgress(message.url, message.percent, message.speed);
+            if (message.status === 'Error' || message.status === 'Cancelled' || message.status === 'Paused') resetProgressUI(message.url);
+        }
+        else if (message.action === 'QUEUE_UPDATED') {
+            if (currentTab === 'queue') renderQueue();
         }
         else if (message.action === 'DOWNLOAD_complete' || message.action === 'DOWNLOAD_error') {
             resetProgressUI(message.url);
@@ -52,13 +99,14 @@ document.addEventListener('DOMContentLoaded', () => {
             chrome.runtime.sendMessage({ action: 'GET_VIDEOS' }, (response) => {
                 if (response && response.videos) {
                     allVideos = response.videos;
+                    sidecarSubtitles = response.sidecarSubtitles || 0;
                     renderVideos(allVideos);
                 }
             });
         }
     });
 
-    function updateProgressUI(url, percent, speed, status) {
+    function updateProgressUI(url, percent, speed, status, elapsed) {
         const card = document.querySelector(`.video-item[data-url="${url}"]`);
         if (!card) return;
 
@@ -70,6 +118,13 @@ document.addEventListener('DOMContentLoaded', () => {
         controls.style.display = 'none';
         progressPanel.style.display = 'flex';
         progressBar.style.width = `${percent}%`;
+        if (status === 'Recording') {
+            // Live recording: elapsed time and size so far, the bar tracks the nearest limit
+            progressInfo.innerHTML = `<span style="color:#fa5252">● REC ${formatDuration(elapsed)}</span> <span>${speed || ''}</span>`;
+            const stopBtn = card.querySelector('.stop-btn');
+            if (stopBtn.textContent === 'Stop') stopBtn.textContent = 'Stop & Save';
+            return;
+        }
         progressInfo.innerHTML = `<span>${percent}%</span> <span>${speed || ''}</span>`;
     }
 
@@ -83,27 +138,261 @@ document.addEventListener('DOMContentLoaded', () => {
         setTimeout(() => {
             progressPanel.style.display = 'none';
             controls.style.display = 'flex';
+            card.querySelector('.stop-btn').textContent = 'Stop';
+            if (card.dataset.live) card.querySelector('.main-download-btn').lastChild.textContent = ' Record';
         }, 2000);
     }
 
+    // Queue tab: order, pause/resume and removal of downloads, plus the parallel download limit
+    const QUEUE_LABELS = { queued: 'Queued', running: 'Downloading', paused: 'Paused', failed: 'Failed', done: 'Done' };
+
+    function renderQueue() {
+        chrome.runtime.sendMessage({ action: 'GET_QUEUE' }, (response) => {
+            if (currentTab !== 'queue') return;
+            const queue = response?.queue || [];
+            list.innerHTML = '';
+
+            const header = document.createElement('div');
+            header.className = 'queue-header';
+            header.innerHTML = `
+            <label>Parallel downloads
+                <select class="queue-concurrency">${[1, 2, 3, 4, 5].map(n => `<option value="${n}"${n === response?.maxConcurrent ? ' selected' : ''}>${n}</option>`).join('')}</select>
+            </label>
+            <button class="queue-clear">Clear finished</button>`;
+            header.querySelector('.queue-concurrency').addEventListener('change', (e) => {
+                saveSetting({ maxConcurrentDownloads: parseInt(e.target.value, 10) });
+            });
+            header.querySelector('.queue-clear').addEventListener('click', () => {
+                chrome.runtime.sendMessage({ action: 'CLEAR_QUEUE' });
+            });
+            list.appendChild(header);
+
+            if (queue.length === 0) {
+                emptyState.style.display = 'block';
+                emptyState.querySelector('p').textContent = 'The download queue is empty.';
+                return;
+            }
+            emptyState.style.display = 'none';
+
+            queue.forEach((entry, index) => {
+                const item = document.createElement('div');
+                item.className = 'queue-item';
+                item.setAttribute('data-url', entry.id);
+
+                const label = entry.recording ? 'Recording' : QUEUE_LABELS[entry.status];
+                const canPause = entry.status === 'queued' || (entry.status === 'running' && entry.type === 'hls' && !entry.recording);
+                const canResume = entry.status === 'paused' || entry.status === 'failed';
+                item.innerHTML = `
+                <div class="title-row">
+                    <span class="badge ${entry.type} ${entry.kind || ''}">${entry.type.toUpperCase()}</span>
+                    <span class="queue-status ${entry.status}" title="${esc(entry.error)}">${label}</span>
+                    <div class="video-title" title="${esc(entry.id)}">${esc(entry.title)}</div>
+                </div>
+                <div class="queue-controls">
+                    <div class="progress-track">
+                        <div class="progress-bar" style="width:${entry.status === 'done' ? 100 : entry.percent}%"></div>
+                        <div class="progress-info"><span>${entry.status === 'done' ? 100 : entry.percent}%</span> <span>${entry.speed}</span></div>
+                    </div>
+                    <button class="queue-btn" data-op="up" title="Move up"${index === 0 ? ' disabled' : ''}>▲</button>
+                    <button class="queue-btn" data-op="down" title="Move down"${index === queue.length - 1 ? ' disabled' : ''}>▼</button>
+                    ${canPause ? '<button class="queue-btn" data-op="pause" title="Pause">❚❚</button>' : ''}
+                    ${canResume ? `<button class="queue-btn" data-op="resume" title="${entry.status === 'failed' ? 'Retry' : 'Resume'}">▶</button>` : ''}
+                    <button class="queue-btn remove" data-op="remove" title="${entry.recording ? 'Stop & Save' : 'Remove'}">✕</button>
+                </div>`;
+
+                item.addEventListener('click', (e) => {
+                    const op = e.target.closest('.queue-btn')?.dataset.op;
+                    if (op === 'up' || op === 'down') {
+                        chrome.runtime.sendMessage({ action: 'REORDER_QUEUE', url: entry.id, index: op === 'up' ? index - 1 : index + 1 });
+                    } else if (op === 'pause') {
+                        chrome.runtime.sendMessage({ action: 'PAUSE_DOWNLOAD', url: entry.id });
+                    } else if (op === 'resume') {
+                        chrome.runtime.sendMessage({ action: 'RESUME_DOWNLOAD', url: entry.id });
+                    } else if (op === 'remove') {
+                        chrome.runtime.sendMessage({ action: 'CANCEL_DOWNLOAD', url: entry.id });
+                    }
+                });
+                list.appendChild(item);
+            });
+        });
+    }
+
+    function updateQueueProgress(url, percent, speed) {
+        const item = document.querySelector(`.queue-item[data-url="${url}"]`);
+        if (!item) return;
+        item.querySelector('.progress-bar').style.width = `${percent}%`;
+        item.querySelector('.progress-info').innerHTML = `<span>${percent}%</span> <span>${speed || ''}</span>`;
+    }
+
+    // Downloads tab: the persistent history of every tab, searched and sorted here
+    const HISTORY_STATES = { in_progress: 'Saving', interrupted: 'Failed', sent: 'Companion App' };
+    const HISTORY_ORDER = {
+        newest: (a, b) => b.date - a.date,
+        oldest: (a, b) => a.date - b.date,
+        title: (a, b) => (a.title || '').localeCompare(b.title || ''),
+        size: (a, b) => (b.size || 0) - (a.size || 0)
+    };
+    let historyEntries = [];
+    let historyQuery = '';
+    let historySort = 'newest';
+
+    function renderHistory() {
+        chrome.runtime.sendMessage({ action: 'GET_HISTORY' }, (response) => {
+            if (currentTab !== 'downloaded') return;
+            historyEntries = response?.history || [];
+            list.innerHTML = '';
+
+            const header = document.createElement('div');
+            header.className = 'history-header';
+            header.innerHTML = `
+            <input type="search" class="history-search" placeholder="Search downloads">
+            <select class="history-sort">
+                <option value="newest">Newest</option>
+                <option value="oldest">Oldest</option>
+                <option value="title">Title</option>
+                <option value="size">Size</option>
+            </select>`;
+            const items = document.createElement('div');
+            const search = header.querySelector('.history-search');
+            const sort = header.querySelector('.history-sort');
+            search.value = historyQuery;
+            sort.value = historySort;
+            search.addEventListener('input', () => {
+                historyQuery = search.value;
+                drawHistory(items);
+            });
+            sort.addEventListener('change', () => {
+                historySort = sort.value;
+                drawHistory(items);
+            });
+            list.appendChild(header);
+            list.appendChild(items);
+            drawHistory(items);
+        });
+    }
+
+    function drawHistory(container) {
+        const query = historyQuery.trim().toLowerCase();
+        const shown = historyEntries
+            .filter(e => !query || [e.title, e.filename, e.pageUrl, e.url].some(f => (f || '').toLowerCase().includes(query)))
+            .sort(HISTORY_ORDER[historySort]);
+
+        container.innerHTML = '';
+        if (shown.length === 0) {
+            emptyState.style.display = 'block';
+            emptyState.querySelector('p').textContent = historyEntries.length ? 'No downloads match your search.' : 'No downloaded videos.';
+            return;
+        }
+        emptyState.style.display = 'none';
+
+        shown.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+
+            const name = (entry.filename || '').split(/[\\/]/).pop();
+            const meta = [
+                entry.quality,
+                entry.size ? (entry.size / 1024 / 1024).toFixed(1) + 'MB' : '',
+                entry.duration ? formatDuration(entry.duration) : '',
+                new Date(entry.date).toLocaleString()
+            ].filter(Boolean).join(' • ');
+            const state = HISTORY_STATES[entry.state];
+
+            item.innerHTML = `
+            <div class="thumbnail">
+                <img src="${esc(entry.thumbnail || 'icons/icon48.png')}" alt="thumb" style="${!entry.thumbnail ? 'width:24px;height:24px;object-fit:contain;' : ''}">
+            </div>
+            <div class="content">
+                <div class="title-row">
+                    <span class="badge ${esc(entry.type)} ${esc(entry.kind)}">${esc(entry.type.toUpperCase())}</span>
+                    ${state ? `<span class="queue-status ${esc(entry.state)}" title="${esc(entry.error)}">${state}</span>` : ''}
+                    <div class="video-title" title="${esc(entry.pageUrl || entry.url)}">${esc(entry.title)}</div>
+                </div>
+                <div class="extension-tag" title="${esc(entry.filename)}">${esc(name)}</div>
+                <div class="extension-tag">${esc(meta)}</div>
+            </div>
+            <div class="history-actions">
+                <button class="queue-btn" data-op="folder" title="Show in folder">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"></path></svg>
+                </button>
+                <button class="queue-btn" data-op="redownload" title="Download again">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="23 4 23 10 17 10"></polyline><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path></svg>
+                </button>
+                <button class="queue-btn remove" data-op="delete" title="Delete from history">✕</button>
+            </div>`;
+
+            item.addEventListener('click', (e) => {
+                const button = e.target.closest('.queue-btn');
+                const op = button?.dataset.op;
+                if (op === 'folder') {
+                    // The file may have been moved or deleted since
+                    if (entry.downloadId === null) return chrome.downloads.showDefaultFolder();
+                    chrome.downloads.search({ id: entry.downloadId }, (found) => {
+                        if (found && found[0] && found[0].exists) chrome.downloads.show(entry.downloadId);
+                        else chrome.downloads.showDefaultFolder();
+                    });
+                } else if (op === 'redownload') {
+                    chrome.runtime.sendMessage({
+                        action: 'DOWNLOAD_MEDIA',
+                        video: {
+                            url: entry.mediaUrl || entry.url,
+                            sourceUrl: entry.url,
+                            audioUrl: entry.audioUrl,
+                            subtitles: [],
+                            subtitleFormat,
+                            quality: entry.quality,
+                            duration: entry.duration,
+                            thumbnail: entry.thumbnail,
+                            pageUrl: entry.pageUrl,
+                            filename: entry.title,
+                            type: entry.type,
+                            tabId: null,
+                            pageTitle: entry.title
+                        }
+                    });
+                    button.innerHTML = '<span style="font-size:9px">OK</span>';
+                } else if (op === 'delete') {
+                    chrome.runtime.sendMessage({ action: 'DELETE_HISTORY', id: entry.id }, () => {
+                        historyEntries = historyEntries.filter(h => h !== entry);
+                        drawHistory(container);
+                    });
+                }
+            });
+            container.appendChild(item);
+        });
+    }
+
+    // "1:02:03", "2:03" or "123" -> seconds; '' -> null; anything else -> NaN
+    function parseTime(value) {
+        value = value.trim();
+        if (!value) return null;
+        if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value)) return NaN;
+        return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+
     function formatDuration(seconds) {
-        if (!seconds || isNaN(seconds)) return '00:00';
+        if (!seconds || isNaN(seconds) || !isFinite(seconds)) return '00:00';
         const m = Math.floor(seconds / 60);
         const s = Math.floor(seconds % 60);
         return `${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
     }
 
+    // Page titles, file names and errors come from the sites: escaped before they go into innerHTML
+    function esc(value) {
+        return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
     function renderVideos(videos) {
+        kindFilter.style.display = currentTab === 'detected' ? 'flex' : 'none';
+        if (currentTab === 'queue') return renderQueue();
+        if (currentTab === 'downloaded') return renderHistory();
         list.innerHTML = '';
 
-        const filtered = videos.filter(v => {
-            if (currentTab === 'downloaded') return v.downloadState?.status === 'downloaded';
-            return v.downloadState?.status !== 'downloaded';
-        });
+        const filtered = videos.filter(v => v.downloadState?.status !== 'downloaded' && (currentKind === 'all' || v.kind === currentKind));
 
         if (filtered.length === 0) {
             emptyState.style.display = 'block';
-            emptyState.querySelector('p').textContent = currentTab === 'downloaded' ? 'No downloaded videos.' : 'No playable videos detected.';
+            emptyState.querySelector('p').textContent = currentKind === 'all' || !videos.length ? 'No playable videos detected.' : `No ${currentKind} media detected.`;
             return;
         }
         emptyState.style.display = 'none';
@@ -115,7 +404,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
             const typeLabel = video.type.toUpperCase();
             let sizeStr = '';
-            if (video.type === 'hls' || video.type === 'dash') {
+            if (video.kind === 'stream') {
                 sizeStr = 'Stream';
             } else {
                 sizeStr = video.size ? (video.size / 1024 / 1024).toFixed(1) + 'MB' : '';
@@ -130,23 +419,27 @@ document.addEventListener('DOMContentLoaded', () => {
             let statusHtml = '';
             if (video.downloadState?.status === 'downloaded') {
                 statusHtml = '<span class="status-tag" style="background:#40c057;color:white;padding:2px 6px;border-radius:4px;font-size:10px;margin-left:5px;">Downloaded</span>';
+            } else if (video.live) {
+                statusHtml = '<span class="status-tag" style="background:#fa5252;color:white;padding:2px 6px;border-radius:4px;font-size:10px;margin-left:5px;">LIVE</span>';
+            } else if (video.downloadState?.status === 'paused') {
+                statusHtml = `<span class="status-tag" title="${esc(video.downloadState.error)}" style="background:#fab005;color:#212529;padding:2px 6px;border-radius:4px;font-size:10px;margin-left:5px;">Paused ${video.downloadState.percent || 0}%</span>`;
             }
 
             li.innerHTML = `
         <div class="card-top">
             <div class="thumbnail">
-                <img src="${thumbSrc}" alt="thumb" style="${!video.thumbnail ? 'width:32px;height:32px;object-fit:contain;' : ''}"> 
+                <img src="${esc(thumbSrc)}" alt="thumb" style="${!video.thumbnail ? 'width:32px;height:32px;object-fit:contain;' : ''}"> 
                 <span class="thumbnail-overlay">${durationStr}</span>
             </div>
             
             <div class="content">
                 <div>
                     <div class="title-row">
-                        <span class="badge ${video.type}">${typeLabel}</span>
+                        <span class="badge ${video.type} ${video.kind}">${typeLabel}</span>
                         ${statusHtml}
-                        <div class="video-title" title="${video.url}">${video.pageTitle || video.filename || 'Untitled Video'}</div>
+                        <div class="video-title" title="${esc(video.url)}">${esc(video.pageTitle || video.filename || 'Untitled Video')}</div>
                     </div>
-                    <div class="extension-tag">${video.filename || 'video.mp4'} • ${sizeStr}</div>
+                    <div class="extension-tag">${esc(video.filename || 'video.mp4')} • ${sizeStr}</div>
                 </div>
             </div>
         </div>
@@ -155,6 +448,14 @@ document.addEventListener('DOMContentLoaded', () => {
             <button class="edit-btn" title="Rename Video">
                 <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path></svg>
             </button>
+
+            <button class="clip-btn" title="Download a time range" style="display:none;">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="6" cy="6" r="3"></circle><circle cx="6" cy="18" r="3"></circle><line x1="20" y1="4" x2="8.12" y2="15.88"></line><line x1="14.47" y1="14.48" x2="20" y2="20"></line><line x1="8.12" y1="8.12" x2="12" y2="12"></line></svg>
+            </button>
+
+            <div class="subs-btn" title="Subtitles" style="display:none;">CC
+                <div class="subs-dropdown" style="display:none;"></div>
+            </div>
             
             <div class="quality-selector" title="Select Quality">
                 <span class="quality-text">Auto / Best</span>
@@ -173,6 +474,11 @@ document.addEventListener('DOMContentLoaded', () => {
             </div>
         </div>
 
+        <div class="clip-row" style="display:none;">
+            <label>From <input type="text" class="clip-start" placeholder="0:00"></label>
+            <label>To <input type="text" class="clip-end" placeholder="${video.duration && isFinite(video.duration) ? formatDuration(video.duration) : 'end'}"></label>
+        </div>
+
         <div class="progress-panel">
             <div class="progress-track">
                 <div class="progress-bar"></div>
@@ -192,9 +498,17 @@ document.addEventListener('DOMContentLoaded', () => {
             const downloadBtn = li.querySelector('.main-download-btn');
             const moreBtn = li.querySelector('.more-options-btn');
             const stopBtn = li.querySelector('.stop-btn');
+            const clipBtn = li.querySelector('.clip-btn');
+            const clipRow = li.querySelector('.clip-row');
+            const clipStart = li.querySelector('.clip-start');
+            const clipEnd = li.querySelector('.clip-end');
+            const subsBtn = li.querySelector('.subs-btn');
+            const subsDropdown = li.querySelector('.subs-dropdown');
 
             let currentFilename = video.pageTitle || video.filename || 'video';
             let selectedUrl = video.url;
+            let selectedAudioUrl = null;
+            let selectedSubtitles = []; // descriptors from GET_SUBTITLES
 
             editBtn.addEventListener('click', () => {
                 if (titleEl.querySelector('input')) return;
@@ -233,6 +547,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 qualityBtn.style.position = 'relative';
 
                 let variantsCached = null;
+                let audioTracks = [];
+                let selectedVariant = null;
 
                 qualityBtn.addEventListener('click', (e) => {
                     if (e.target.closest('.quality-dropdown')) return;
@@ -242,7 +558,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
                     // Reset all z-index states
                     document.querySelectorAll('.video-item.z-active').forEach(el => el.classList.remove('z-active'));
-                    document.querySelectorAll('.quality-dropdown').forEach(el => el.style.display = 'none');
+                    document.querySelectorAll('.quality-dropdown, .subs-dropdown').forEach(el => el.style.display = 'none');
 
                     if (!isVisible) {
                         // Opening this one
@@ -251,9 +567,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
                         if (!variantsCached) {
                             qualityText.textContent = 'Loading...';
-                            chrome.runtime.sendMessage({ action: 'GET_VARIANTS', url: video.url, tabId: video.tabId }, (response) => {
+                            chrome.runtime.sendMessage({ action: 'GET_VARIANTS', url: video.url, tabId: video.tabId, duration: video.duration }, (response) => {
+                                if (response && response.live) markLive();
                                 if (response && response.variants && response.variants.length > 0) {
                                     variantsCached = response.variants;
+                                    audioTracks = response.audioTracks || [];
                                     renderDropdown(variantsCached);
                                     qualityText.textContent = 'Select Quality';
                                 } else {
@@ -270,26 +588,75 @@ document.addEventListener('DOMContentLoaded', () => {
                 function renderDropdown(variants) {
                     qualityDropdown.innerHTML = '';
                     variants.forEach(v => {
-                        const item = document.createElement('div');
-                        item.textContent = v.quality; // Now contains size string from background
-                        item.style.padding = '4px 8px';
-                        item.style.cursor = 'pointer';
-                        item.style.color = '#e9ecef';
-                        item.style.fontSize = '12px';
-                        item.style.borderBottom = '1px solid #495057';
-
-                        item.addEventListener('mouseenter', () => item.style.background = '#495057');
-                        item.addEventListener('mouseleave', () => item.style.background = 'transparent');
-
+                        const item = dropdownItem(v.quality); // Now contains size string from background
                         item.addEventListener('click', () => {
                             selectedUrl = v.url;
-                            qualityText.textContent = v.quality.split('•')[0].trim(); // Show just resolution in box
-                            qualityDropdown.style.display = 'none';
-                            li.classList.remove('z-active');
+                            selectedVariant = v;
+                            // Keep an explicit language choice if the new variant can play it
+                            const group = audioTracks.filter(a => a.groupId === v.audio);
+                            if (!group.some(a => a.url === selectedAudioUrl)) {
+                                const def = group.find(a => a.default) || group[0];
+                                selectedAudioUrl = def ? def.url : null;
+                            }
+                            updateQualityText();
+                            closeDropdown();
                         });
-
                         qualityDropdown.appendChild(item);
                     });
+
+                    // Separate audio renditions (languages, commentary, ...)
+                    if (audioTracks.length > 1) {
+                        const header = document.createElement('div');
+                        header.textContent = 'Audio';
+                        header.style.padding = '4px 8px';
+                        header.style.color = '#adb5bd';
+                        header.style.fontSize = '10px';
+                        header.style.textTransform = 'uppercase';
+                        qualityDropdown.appendChild(header);
+
+                        audioTracks.forEach(a => {
+                            const item = dropdownItem(audioLabel(a));
+                            item.addEventListener('click', () => {
+                                selectedAudioUrl = a.url;
+                                updateQualityText();
+                                closeDropdown();
+                            });
+                            qualityDropdown.appendChild(item);
+                        });
+                    }
+                }
+
+                function dropdownItem(text) {
+                    const item = document.createElement('div');
+                    item.textContent = text;
+                    item.style.padding = '4px 8px';
+                    item.style.cursor = 'pointer';
+                    item.style.color = '#e9ecef';
+                    item.style.fontSize = '12px';
+                    item.style.borderBottom = '1px solid #495057';
+
+                    item.addEventListener('mouseenter', () => item.style.background = '#495057');
+                    item.addEventListener('mouseleave', () => item.style.background = 'transparent');
+                    return item;
+                }
+
+                function audioLabel(a) {
+                    const lang = a.language ? a.language.toUpperCase() : '';
+                    if (a.name && lang && !a.name.toUpperCase().includes(lang)) return `${a.name} (${lang})`;
+                    return a.name || lang || 'Audio';
+                }
+
+                // "1080p • EN": resolution plus the audio language when there is a choice
+                function updateQualityText() {
+                    const parts = [selectedVariant ? selectedVariant.quality.split('•')[0].trim() : 'Auto / Best'];
+                    const audio = audioTracks.length > 1 && audioTracks.find(a => a.url === selectedAudioUrl);
+                    if (audio) parts.push(audio.language ? audio.language.toUpperCase() : audioLabel(audio));
+                    qualityText.textContent = parts.join(' • ');
+                }
+
+                function closeDropdown() {
+                    qualityDropdown.style.display = 'none';
+                    li.classList.remove('z-active');
                 }
 
                 document.addEventListener('click', (e) => {
@@ -303,9 +670,133 @@ document.addEventListener('DOMContentLoaded', () => {
                 qualityBtn.title = 'Quality selection only for HLS';
             }
 
+            // Smooth Streaming is only detected: offer nothing that would end in an error
+            const unsupported = video.type === 'mss' ? 'Smooth Streaming (.ism) manifests can be detected but not downloaded yet' : '';
+            if (unsupported) {
+                downloadBtn.disabled = true;
+                downloadBtn.title = unsupported;
+                qualityBtn.title = unsupported;
+            }
+
+            // Time-range clip (streams only): start/end inputs under the controls
+            if (video.type === 'hls' || video.type === 'dash') {
+                clipBtn.style.display = 'flex';
+                clipBtn.addEventListener('click', () => {
+                    const open = clipRow.style.display === 'none';
+                    clipRow.style.display = open ? 'flex' : 'none';
+                    clipBtn.classList.toggle('selected', open);
+                    if (open) clipStart.focus();
+                });
+                [clipStart, clipEnd].forEach(input => input.addEventListener('input', () => input.classList.remove('invalid')));
+            }
+
+            // { start, end } in seconds, null when no range is set, false when the input is invalid
+            function readClip() {
+                if (clipRow.style.display === 'none') return null;
+                const start = parseTime(clipStart.value);
+                const end = parseTime(clipEnd.value);
+                clipStart.classList.toggle('invalid', Number.isNaN(start));
+                clipEnd.classList.toggle('invalid', Number.isNaN(end) || (end !== null && end <= (start || 0)));
+                if (li.querySelector('.clip-row .invalid')) return false;
+                if (start === null && end === null) return null;
+                return { start: start || 0, end };
+            }
+
+            // Live streams are recorded until Stop instead of downloaded
+            function markLive() {
+                if (li.dataset.live) return;
+                li.dataset.live = '1';
+                downloadBtn.lastChild.textContent = ' Record';
+                downloadBtn.title = 'Record the live stream until you press Stop';
+            }
+            if (video.live) markLive();
+
+            // Subtitles: stream text tracks and sidecar files, any number can be picked
+            if (!unsupported && (video.type === 'hls' || video.type === 'dash' || sidecarSubtitles > 0)) {
+                subsBtn.style.display = 'block';
+                let subtitlesCached = null;
+
+                subsBtn.addEventListener('click', (e) => {
+                    if (e.target.closest('.subs-dropdown')) return;
+                    const isVisible = subsDropdown.style.display === 'block';
+                    document.querySelectorAll('.video-item.z-active').forEach(el => el.classList.remove('z-active'));
+                    document.querySelectorAll('.quality-dropdown, .subs-dropdown').forEach(el => el.style.display = 'none');
+                    if (isVisible) return;
+
+                    subsDropdown.style.display = 'block';
+                    li.classList.add('z-active');
+                    if (subtitlesCached) return renderSubtitles();
+
+                    subsDropdown.innerHTML = '<div class="subs-format">Loading...</div>';
+                    chrome.runtime.sendMessage({ action: 'GET_SUBTITLES', url: video.url, type: video.type, tabId: video.tabId }, (response) => {
+                        subtitlesCached = (response && response.subtitles) || [];
+                        renderSubtitles();
+                    });
+                });
+
+                function renderSubtitles() {
+                    subsDropdown.innerHTML = '';
+                    if (!subtitlesCached.length) {
+                        subsDropdown.innerHTML = '<div class="subs-format">No subtitles found</div>';
+                        return;
+                    }
+
+                    subtitlesCached.forEach(sub => {
+                        const item = document.createElement('div');
+                        item.className = 'subs-item';
+                        const picked = selectedSubtitles.includes(sub);
+                        const label = sub.name && sub.language && sub.name !== sub.language ? `${sub.name} (${sub.language})` : (sub.name || sub.language || 'Unknown');
+                        item.textContent = `${picked ? '✓ ' : ''}${label}`;
+                        item.title = sub.url;
+                        item.addEventListener('click', () => {
+                            selectedSubtitles = picked ? selectedSubtitles.filter(s => s !== sub) : [...selectedSubtitles, sub];
+                            subsBtn.classList.toggle('selected', selectedSubtitles.length > 0);
+                            renderSubtitles();
+                        });
+                        subsDropdown.appendChild(item);
+                    });
+
+                    // Output format, remembered for next time
+                    const formatRow = document.createElement('div');
+                    formatRow.className = 'subs-format';
+                    formatRow.textContent = 'Save as: ';
+                    ['vtt', 'srt'].forEach(fmt => {
+                        const opt = document.createElement('a');
+                        opt.textContent = fmt.toUpperCase();
+                        opt.href = '#';
+                        opt.style.marginRight = '6px';
+                        opt.style.color = fmt === subtitleFormat ? '#22b8cf' : '#adb5bd';
+                        opt.addEventListener('click', (e) => {
+                            e.preventDefault();
+                            subtitleFormat = fmt;
+                            saveSetting({ subtitleFormat: fmt });
+                            renderSubtitles();
+                        });
+                        formatRow.appendChild(opt);
+                    });
+                    subsDropdown.appendChild(formatRow);
+                }
+
+                document.addEventListener('click', (e) => {
+                    if (!subsBtn.contains(e.target)) subsDropdown.style.display = 'none';
+                });
+            }
+
             downloadBtn.addEventListener('click', (e) => {
+                const clip = li.dataset.live ? null : readClip();
+                if (clip === false) return;
                 const safeVideo = {
                     url: selectedUrl,
+                    sourceUrl: video.url, // progress, resume and cancel are keyed by the detected URL
+                    audioUrl: selectedAudioUrl,
+                    subtitles: selectedSubtitles,
+                    live: !!li.dataset.live,
+                    clip,
+                    subtitleFormat,
+                    quality: ['Select Quality', 'Loading...'].includes(qualityText.textContent) ? '' : qualityText.textContent,
+                    duration: video.duration,
+                    thumbnail: video.thumbnail,
+                    pageUrl: video.pageUrl,
                     filename: currentFilename,
                     type: video.type,
                     tabId: video.tabId,
@@ -331,9 +822,9 @@ document.addEventListener('DOMContentLoaded', () => {
             stopBtn.addEventListener('click', () => {
                 chrome.runtime.sendMessage({
                     action: 'CANCEL_DOWNLOAD',
-                    url: selectedUrl
+                    url: video.url
                 });
-                stopBtn.textContent = 'Stopping...';
+                stopBtn.textContent = li.dataset.live ? 'Saving...' : 'Stopping...';
             });
 
 
@@ -342,6 +833,14 @@ document.addEventListener('DOMContentLoaded', () => {
             // AUTO-RESTORE PROGRESS
             if (video.downloadState?.status === 'downloading') {
                 updateProgressUI(video.url, video.downloadState.percent, video.downloadState.speed, 'Downloading');
+            } else if (video.downloadState?.status === 'recording') {
+                updateProgressUI(video.url, video.downloadState.percent, video.downloadState.speed, 'Recording', video.downloadState.elapsed);
+            } else if (video.downloadState?.status === 'queued') {
+                updateProgressUI(video.url, 0, 'Waiting in queue...', 'Queued');
+            } else if (video.downloadState?.status === 'resuming') {
+                updateProgressUI(video.url, video.downloadState.percent, 'Resuming...', 'Resuming');
+            } else if (video.downloadState?.status === 'paused') {
+                downloadBtn.lastChild.textContent = ' Resume';
             }
         });
     }
@@ -0,0 +1,200 @@
+/**
+ * Settings
+ * Everything the user can configure, kept in chrome.storage.sync (one key per setting) and
+ * checked against SETTINGS_SCHEMA on the way in and out: a stored value that no longer fits
+ * falls back to its default instead of reaching the download code. The options page renders
+ * its form from the schema, so a new setting only needs an entry here.
+ */
+
+import { DEFAULT_FILENAME_TEMPLATE } from './filenameTemplate.js';
+import { ConflictActions, SubfolderModes, checkPath } from './outputPath.js';
+
+export const Engines = {
+  AUTO: 'auto', // companion app, browser when it is missing
+  NATIVE: 'native', // companion app only, fail instead of falling back
+  BROWSER: 'browser'
+};
+
+export const NotificationLevels = {
+  ALL: 'all',
+  ERRORS: 'errors',
+  NONE: 'none'
+};
+
+// type: enum (values), boolean, integer (min, max), string, quality, map (host -> string), rules
+export const SETTINGS_SCHEMA = {
+  engine: {
+    section: 'Downloads', label: 'Download engine', type: 'enum', default: Engines.AUTO,
+    values: { [Engines.AUTO]: 'Companion App, browser as fallback', [Engines.NATIVE]: 'Companion App only', [Engines.BROWSER]: 'Browser only' }
+  },
+  defaultQuality: {
+    section: 'Downloads', label: 'Default quality', type: 'quality', default: 'best',
+    hint: 'best, worst or a maximum height such as 720p, for downloads without a variant picked in the popup. The Companion App always takes the best DASH representation.'
+  },
+  maxConcurrentDownloads: { section: 'Downloads', label: 'Parallel downloads', type: 'integer', default: 2, min: 1, max: 5 },
+  segmentConcurrency: { section: 'Downloads', label: 'Parallel segment requests (browser engine)', type: 'integer', default: 6, min: 1, max: 16 },
+  notifications: {
+    section: 'Downloads', label: 'Notifications', type: 'enum', default: NotificationLevels.ALL,
+    values: { [NotificationLevels.ALL]: 'All', [NotificationLevels.ERRORS]: 'Errors only', [NotificationLevels.NONE]: 'None' }
+  },
+
+  filenameTemplate: {
+    section: 'Naming', label: 'Filename template', type: 'string', default: DEFAULT_FILENAME_TEMPLATE,
+    hint: 'Tokens: {serial:000} {title} {host} {date:YYYY-MM-DD} {quality} {duration} {type}; "/" makes subfolders.'
+  },
+  siteTemplates: { section: 'Naming', label: 'Per-site templates', type: 'map', default: {}, hint: '{ "youtube.com": "{host}/{title}" }' },
+  perSiteCounters: { section: 'Naming', label: 'Separate {serial} counter per site', type: 'boolean', default: false },
+
+  outputDirectory: {
+    section: 'Output', label: 'Output directory', type: 'string', default: '', empty: true,
+    hint: 'Relative to the Downloads folder, or absolute (Companion App only).'
+  },
+  outputSubfolders: {
+    section: 'Output', label: 'Subfolders', type: 'enum', default: SubfolderModes.NONE,
+    values: { [SubfolderModes.NONE]: 'None', [SubfolderModes.SITE]: 'Per site', [SubfolderModes.DATE]: 'Per date', [SubfolderModes.SITE_DATE]: 'Per site, then date' }
+  },
+  conflictAction: {
+    section: 'Output', label: 'When the file exists', type: 'enum', default: ConflictActions.UNIQUIFY,
+    values: { [ConflictActions.UNIQUIFY]: 'Add a number', [ConflictActions.OVERWRITE]: 'Overwrite', [ConflictActions.SKIP]: 'Skip the download' }
+  },
+
+  captureThumbnails: { section: 'Detection', label: 'Capture thumbnails (poster, frame or screenshot)', type: 'boolean', default: true },
+  keepSpaDetections: { section: 'Detection', label: 'Keep detections across in-page navigation', type: 'boolean', default: false },
+  mseCapture: { section: 'Detection', label: 'Capture MediaSource players', type: 'boolean', default: false },
+  mseMaxMB: { section: 'Detection', label: 'Stop MediaSource captures after (MB)', type: 'integer', default: 2048, min: 1, max: 65536 },
+  detectionRules: {
+    section: 'Detection', label: 'Detection rules', type: 'rules', default: [],
+    hint: '[{ "match": "example.com", "ignore": ["*.ts"], "minSizeKB": 500, "minDuration": 30, "preferType": "hls", "autoDownload": false }]'
+  },
+
+  recordMaxMinutes: { section: 'Recording', label: 'Stop live recordings after (minutes)', type: 'integer', default: 240, min: 1, max: 1440 },
+  recordMaxMB: { section: 'Recording', label: 'Stop live recordings after (MB)', type: 'integer', default: 4096, min: 1, max: 65536 },
+
+  subtitleFormat: {
+    section: 'Subtitles', label: 'Subtitle format', type: 'enum', default: 'vtt',
+    values: { vtt: 'WebVTT (.vtt)', srt: 'SubRip (.srt)' }
+  }
+};
+
+export const DEFAULT_SETTINGS = Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, spec]) => [key, spec.default]));
+
+const EXPORT_FORMAT = 'streamsniffer-settings';
+
+// Returns the value in its stored form, throws with a readable message when it does not fit
+export function validateSetting(key, value) {
+  const spec = SETTINGS_SCHEMA[key];
+  if (!spec) throw new Error(`Unknown setting "${key}"`);
+  switch (spec.type) {
+    case 'enum':
+      if (!Object.hasOwn(spec.values, value)) throw new Error(`${spec.label}: expected one of ${Object.keys(spec.values).join(', ')}`);
+      return value;
+    case 'boolean':
+      if (typeof value !== 'boolean') throw new Error(`${spec.label}: expected true or false`);
+      return value;
+    case 'integer': {
+      const n = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (!Number.isInteger(n) || n < spec.min || n > spec.max) throw new Error(`${spec.label}: expected a whole number from ${spec.min} to ${spec.max}`);
+      return n;
+    }
+    case 'quality': {
+      const quality = String(value).trim().toLowerCase();
+      if (quality !== 'best' && quality !== 'worst' && !/^[1-9]\d{1,3}p$/.test(quality)) throw new Error(`${spec.label}: expected best, worst or a height like 720p`);
+      return quality;
+    }
+    case 'string': {
+      if (typeof value !== 'string') throw new Error(`${spec.label}: expected text`);
+      const text = value.trim();
+      if (!text && !spec.empty) throw new Error(`${spec.label}: must not be empty`);
+      if (key === 'outputDirectory') checkPath(text, spec.label);
+      return text;
+    }
+    case 'map':
+      if (!isPlainObject(value) || Object.values(value).some(v => typeof v !== 'string' || !v.trim())) throw new Error(`${spec.label}: expected an object of host -> template`);
+      return value;
+    case 'rules':
+      if (!Array.isArray(value) || value.some(rule => !isPlainObject(rule) || (rule.match !== undefined && typeof rule.match !== 'string'))) {
+        throw new Error(`${spec.label}: expected a list of { match, ... } objects`);
+      }
+      return value;
+    default:
+      throw new Error(`${key}: unsupported type ${spec.type}`);
+  }
+}
+
+// { settings, errors }: settings holds only the keys that passed, errors one message per key that did not
+export function validateSettings(input) {
+  const settings = {};
+  const errors = [];
+  if (!isPlainObject(input)) return { settings, errors: ['Settings must be a JSON object'] };
+  for (const [key, value] of Object.entries(input)) {
+    try {
+      settings[key] = validateSetting(key, value);
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+  return { settings, errors };
+}
+
+export async function getSettings() {
+  await migration;
+  const stored = await chrome.storage.sync.get(Object.keys(SETTINGS_SCHEMA));
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const [key, value] of Object.entries(stored)) {
+    try {
+      settings[key] = validateSetting(key, value);
+    } catch (e) {
+      console.warn(`[DEBUG] Ignoring stored setting: ${e.message}`);
+    }
+  }
+  return settings;
+}
+
+// Saves a partial set of settings; nothing is written if any of them is invalid
+export async function saveSettings(changes) {
+  const { settings, errors } = validateSettings(changes);
+  if (errors.length) throw new Error(errors.join('\n'));
+  await chrome.storage.sync.set(settings);
+  return settings;
+}
+
+export async function resetSettings() {
+  await chrome.storage.sync.remove(Object.keys(SETTINGS_SCHEMA));
+}
+
+export async function exportSettings() {
+  return JSON.stringify({ format: EXPORT_FORMAT, version: 1, settings: await getSettings() }, null, 2);
+}
+
+// Accepts an exported file or a bare settings object; saves the valid keys, returns the errors
+export async function importSettings(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new Error('Not a JSON file');
+  }
+  const input = data?.format === EXPORT_FORMAT ? data.settings : data;
+  const { settings, errors } = validateSettings(input);
+  if (!Object.keys(settings).length) throw new Error(errors.join('\n') || 'No settings in this file');
+  await chrome.storage.sync.set(settings);
+  return { imported: Object.keys(settings), errors };
+}
+
+// --- Helpers ---
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Settings used to live in storage.local; move them over once (sync values win)
+const migration = (async () => {
+  const keys = Object.keys(SETTINGS_SCHEMA);
+  const [local, synced] = await Promise.all([chrome.storage.local.get(keys), chrome.storage.sync.get(keys)]);
+  const moved = Object.keys(local);
+  if (!moved.length) return;
+  const { settings } = validateSettings(Object.fromEntries(moved.filter(key => !(key in synced)).map(key => [key, local[key]])));
+  await chrome.storage.sync.set(settings);
+  await chrome.storage.local.remove(moved);
+  console.log(`[DEBUG] Moved settings to storage.sync: ${moved.join(', ')}`);
+})().catch(e => console.warn('[DEBUG] Settings migration failed:', e));
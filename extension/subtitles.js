@@ -0,0 +1,171 @@
+/**
+ * Subtitle Module
+ * Parses WebVTT and SRT, stitches segmented WebVTT (HLS subtitle playlists,
+ * DASH text Representations) into one cue list and writes it back out as
+ * WebVTT or SRT.
+ */
+
+export const SubtitleFormats = {
+  VTT: 'vtt',
+  SRT: 'srt'
+};
+
+const TIMING = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})(.*)$/;
+
+/**
+ * Parses a WebVTT document (or one segment of a segmented track).
+ * Returns { header, cues: [{ id, start, end, settings, text }], timestampMap }
+ * where header holds the STYLE/REGION blocks and timestampMap the HLS
+ * X-TIMESTAMP-MAP as { mpegts, local } (or null).
+ */
+export function parseWebVTT(text) {
+  const blocks = splitBlocks(text);
+  const result = { header: [], cues: [], timestampMap: null };
+
+  const first = blocks.shift() || [];
+  for (const line of first.slice(1)) {
+    if (line.startsWith('X-TIMESTAMP-MAP=')) result.timestampMap = parseTimestampMap(line.substring(16));
+  }
+
+  for (const lines of blocks) {
+    const timingIndex = lines.findIndex(l => TIMING.test(l));
+    if (timingIndex === -1) {
+      // STYLE / REGION only count before the first cue, NOTE blocks are dropped
+      if (!result.cues.length && /^(STYLE|REGION)\b/.test(lines[0])) result.header.push(lines.join('\n'));
+      continue;
+    }
+    const cue = parseCue(lines, timingIndex);
+    if (cue) result.cues.push(cue);
+  }
+  return result;
+}
+
+// Parses SubRip: numbered blocks with "00:00:01,000 --> 00:00:02,000" timings
+export function parseSRT(text) {
+  const cues = [];
+  for (const lines of splitBlocks(text)) {
+    const timingIndex = lines.findIndex(l => TIMING.test(l));
+    if (timingIndex === -1) continue;
+    const cue = parseCue(lines, timingIndex);
+    if (cue) cues.push({ ...cue, id: '', settings: '' });
+  }
+  return { header: [], cues, timestampMap: null };
+}
+
+export function parseSubtitles(text, format) {
+  return format === SubtitleFormats.SRT || !/^\uFEFF?WEBVTT/.test(text) ? parseSRT(text) : parseWebVTT(text);
+}
+
+/**
+ * Stitches the segments of one segmented WebVTT track.
+ * segments: [{ text, offset }] in playlist order, offset in seconds.
+ * X-TIMESTAMP-MAPs are applied relative to the first segment's mapping, so a
+ * track whose cues already use the media timeline is left as it is. Cues
+ * repeated in consecutive segments (they span the boundary) are kept once.
+ */
+export function mergeSubtitleSegments(segments) {
+  const merged = { header: [], cues: [], timestampMap: null };
+  const seen = new Set();
+  let base = null;
+
+  for (const segment of segments) {
+    const parsed = parseWebVTT(segment.text);
+    if (!merged.header.length) merged.header = parsed.header;
+
+    let shift = segment.offset || 0;
+    if (parsed.timestampMap) {
+      const mapped = parsed.timestampMap.mpegts / 90000 - parsed.timestampMap.local;
+      if (base === null) base = mapped;
+      shift += mapped - base;
+    }
+
+    for (const cue of parsed.cues) {
+      const start = cue.start + shift;
+      const end = cue.end + shift;
+      const key = `${start.toFixed(3)}|${end.toFixed(3)}|${cue.text}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      merged.cues.push({ ...cue, start, end });
+    }
+  }
+
+  merged.cues.sort((a, b) => a.start - b.start);
+  return merged;
+}
+
+export function toWebVTT(track) {
+  const out = ['WEBVTT', ''];
+  for (const block of track.header) out.push(block, '');
+  for (const cue of track.cues) {
+    if (cue.id) out.push(cue.id);
+    out.push(`${formatTime(cue.start, '.')} --> ${formatTime(cue.end, '.')}${cue.settings ? ' ' + cue.settings : ''}`);
+    out.push(cue.text, '');
+  }
+  return out.join('\n');
+}
+
+export function toSRT(track) {
+  const out = [];
+  track.cues.forEach((cue, i) => {
+    out.push(String(i + 1));
+    out.push(`${formatTime(cue.start, ',')} --> ${formatTime(cue.end, ',')}`);
+    out.push(srtText(cue.text), '');
+  });
+  return out.join('\n');
+}
+
+// --- Helpers ---
+
+function splitBlocks(text) {
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/)
+    .map(block => block.split('\n').filter(l => l.trim() !== ''))
+    .filter(lines => lines.length);
+}
+
+function parseCue(lines, timingIndex) {
+  const m = lines[timingIndex].match(TIMING);
+  const start = parseTime(m[1]);
+  const end = parseTime(m[2]);
+  if (isNaN(start) || isNaN(end)) return null;
+  return {
+    id: timingIndex > 0 ? lines[0] : '',
+    start,
+    end,
+    settings: m[3].trim(),
+    text: lines.slice(timingIndex + 1).join('\n')
+  };
+}
+
+// "MPEGTS:900000,LOCAL:00:00:00.000" (keys in either order)
+function parseTimestampMap(value) {
+  const map = { mpegts: 0, local: 0 };
+  for (const part of value.split(',')) {
+    const [name, ...rest] = part.split(':');
+    if (name.trim() === 'MPEGTS') map.mpegts = parseInt(rest[0], 10) || 0;
+    if (name.trim() === 'LOCAL') map.local = parseTime(rest.join(':')) || 0;
+  }
+  return map;
+}
+
+function parseTime(str) {
+  const parts = str.trim().replace(',', '.').split(':').map(Number);
+  while (parts.length < 3) parts.unshift(0);
+  return parts[0] * 3600 + parts[1] * 60 + parts[2];
+}
+
+function formatTime(seconds, separator) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// SRT players understand <b>, <i>, <u>; WebVTT classes, voices and ruby are dropped
+function srtText(text) {
+  return text
+    .replace(/<v(?:\.[^\s>]*)?\s+[^>]*>/g, '')
+    .replace(/<\/?(?!\/?[biu]>)[^>]*>/g, '')
+    .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ');
+}
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from '@xmldom/xmldom';
+import { loadScript } from './helpers/loadScript.js';
+
+globalThis.DOMParser = DOMParser;
+const { DASHParser, fillTemplate, parseISODuration } = loadScript('dashParser.js', ['DASHParser', 'fillTemplate', 'parseISODuration']);
+
+const BASE = 'https://cdn.example.com/vod/movie/manifest.mpd';
+
+function parse(body, attrs = 'mediaPresentationDuration="PT10S"') {
+  return new DASHParser(BASE, `<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" ${attrs}>${body}</MPD>`).parse();
+}
+
+test('SegmentTemplate with a SegmentTimeline expands repeats and padded numbers', () => {
+  const mpd = parse(`
+    <Period>
+      <AdaptationSet mimeType="video/mp4">
+        <SegmentTemplate timescale="1000" startNumber="5" initialization="$RepresentationID$/init.mp4" media="$RepresentationID$/seg-$Number%05d$-$Time$.m4s">
+          <SegmentTimeline>
+            <S t="0" d="4000" r="1"/>
+            <S d="2000"/>
+          </SegmentTimeline>
+        </SegmentTemplate>
+        <Representation id="v720" bandwidth="2000000" width="1280" height="720" codecs="avc1.64001f"/>
+      </AdaptationSet>
+    </Period>`);
+
+  const rep = mpd.periods[0].adaptationSets[0].representations[0];
+  assert.equal(rep.init.url, 'https://cdn.example.com/vod/movie/v720/init.mp4');
+  assert.deepEqual(rep.segments.map(s => s.url.split('/').pop()), ['seg-00005-0.m4s', 'seg-00006-4000.m4s', 'seg-00007-8000.m4s']);
+  assert.deepEqual(rep.segments.map(s => [s.time, s.duration]), [[0, 4], [4, 4], [8, 2]]);
+  assert.equal(mpd.periods[0].adaptationSets[0].contentType, 'video');
+});
+
+test('r="-1" repeats until the end of the period', () => {
+  const mpd = parse(`
+    <Period>
+      <AdaptationSet contentType="audio">
+        <Representation id="a" bandwidth="128000" mimeType="audio/mp4">
+          <SegmentTemplate timescale="10" media="a-$Time$.m4s">
+            <SegmentTimeline><S t="0" d="30" r="-1"/></SegmentTimeline>
+          </SegmentTemplate>
+        </Representation>
+      </AdaptationSet>
+    </Period>`);
+
+  const segments = mpd.periods[0].adaptationSets[0].representations[0].segments;
+  assert.deepEqual(segments.map(s => s.time), [0, 3, 6, 9]);
+});
+
+test('duration-based SegmentTemplate counts segments from the period length and shifts by presentationTimeOffset', () => {
+  const mpd = parse(`
+    <Period duration="PT10S">
+      <AdaptationSet mimeType="video/mp4">
+        <Representation id="v" bandwidth="1">
+          <SegmentTemplate timescale="90000" duration="360000" presentationTimeOffset="900000" media="v-$Number$.m4s"/>
+        </Representation>
+      </AdaptationSet>
+    </Period>`);
+
+  const rep = mpd.periods[0].adaptationSets[0].representations[0];
+  assert.deepEqual(rep.segments.map(s => s.url.split('/').pop()), ['v-1.m4s', 'v-2.m4s', 'v-3.m4s']);
+  assert.deepEqual(rep.segments.map(s => s.time), [0, 4, 8]);
+  assert.equal(rep.timeOffset, -10);
+});
+
+test('SegmentList keeps byte ranges and resolves nested BaseURLs', () => {
+  const mpd = parse(`
+    <BaseURL>https://media.example.org/</BaseURL>
+    <Period>
+      <AdaptationSet mimeType="audio/mp4" lang="en">
+        <Role schemeIdUri="urn:mpeg:dash:role:2011" value="main"/>
+        <Representation id="a" bandwidth="96000">
+          <BaseURL>audio/track.mp4</BaseURL>
+          <SegmentList timescale="1000" duration="5000">
+            <Initialization range="0-799"/>
+            <SegmentURL mediaRange="800-1999"/>
+            <SegmentURL mediaRange="2000-2999"/>
+            <SegmentURL media="tail.mp4"/>
+          </SegmentList>
+        </Representation>
+      </AdaptationSet>
+    </Period>`);
+
+  const set = mpd.periods[0].adaptationSets[0];
+  const rep = set.representations[0];
+  assert.equal(set.lang, 'en');
+  assert.equal(set.role, 'main');
+  assert.deepEqual(rep.init, { url: 'https://media.example.org/audio/track.mp4', range: '0-799' });
+  assert.deepEqual(rep.segments, [
+    { url: 'https://media.example.org/audio/track.mp4', range: '800-1999', time: 0, duration: 5 },
+    { url: 'https://media.example.org/audio/track.mp4', range: '2000-2999', time: 5, duration: 5 },
+    { url: 'https://media.example.org/audio/tail.mp4', range: null, time: 10, duration: 5 }
+  ]);
+});
+
+test('SegmentTemplate attributes inherit from the Period down to the Representation', () => {
+  const mpd = parse(`
+    <Period>
+      <SegmentTemplate timescale="1000" duration="5000"/>
+      <AdaptationSet mimeType="video/mp4">
+        <SegmentTemplate media="$RepresentationID$_$Bandwidth$_$Number$.m4s"/>
+        <Representation id="hi" bandwidth="3000"/>
+        <Representation id="lo" bandwidth="800"/>
+      </AdaptationSet>
+    </Period>`);
+
+  const [hi, lo] = mpd.periods[0].adaptationSets[0].representations;
+  assert.equal(hi.segments.length, 2);
+  assert.equal(hi.segments[1].url, 'https://cdn.example.com/vod/movie/hi_3000_2.m4s');
+  assert.equal(lo.segments[0].url, 'https://cdn.example.com/vod/movie/lo_800_1.m4s');
+});
+
+test('periods without a duration run until the next start or the end of the presentation', () => {
+  const mpd = parse(`
+    <Period id="ad" start="PT0S"><AdaptationSet mimeType="video/mp4"><Representation id="1" bandwidth="1"><BaseURL>ad.mp4</BaseURL></Representation></AdaptationSet></Period>
+    <Period id="main" start="PT15S"><AdaptationSet mimeType="video/mp4" /></Period>`,
+  'mediaPresentationDuration="PT1M"');
+
+  assert.deepEqual(mpd.periods.map(p => [p.id, p.start, p.duration]), [['ad', 0, 15], ['main', 15, 45]]);
+  assert.deepEqual(mpd.periods[0].adaptationSets[0].representations[0].segments, [
+    { url: 'https://cdn.example.com/vod/movie/ad.mp4', range: null, time: 0, duration: 15 }
+  ]);
+});
+
+test('ContentProtection marks adaptation sets and representations as protected', () => {
+  const mpd = parse(`
+    <Period>
+      <AdaptationSet mimeType="video/mp4">
+        <ContentProtection schemeIdUri="urn:mpeg:dash:mp4protection:2011" value="cenc"/>
+        <Representation id="v" bandwidth="1"/>
+      </AdaptationSet>
+    </Period>`);
+
+  assert.equal(mpd.periods[0].adaptationSets[0].protected, true);
+});
+
+test('fillTemplate handles widths, $$ and unknown values', () => {
+  assert.equal(fillTemplate('$Number%03d$-$$-$Time$', { Number: 7, Time: 1200 }), '007-$-1200');
+  assert.equal(fillTemplate('$RepresentationID$.m4s', {}), '.m4s');
+});
+
+test('parseISODuration reads hours, minutes and fractional seconds', () => {
+  assert.equal(parseISODuration('PT1H2M3.5S'), 3723.5);
+  assert.equal(parseISODuration('P1DT1S'), 86401);
+  assert.equal(parseISODuration('bogus'), 0);
+  assert.equal(parseISODuration(null), 0);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveRules, ignoreReason, passesDuration, preferredOnly } from '../extension/detectionRules.js';
+import { MediaTypes } from '../extension/mediaDetector.js';
+
+const PAGE = 'https://video.example.com/watch?v=1';
+
+test('host rules match the site and its subdomains only', () => {
+  const rules = [{ match: 'www.example.com', minSizeKB: 100 }];
+  assert.equal(resolveRules(rules, PAGE).minSizeKB, 100);
+  assert.equal(resolveRules(rules, 'https://example.com/').minSizeKB, 100);
+  assert.equal(resolveRules(rules, 'https://notexample.com/').minSizeKB, 0);
+  assert.equal(resolveRules(rules, 'not a url').minSizeKB, 0);
+});
+
+test('globs and regexes are tested against the whole page URL', () => {
+  assert.equal(resolveRules([{ match: 'https://*.example.com/watch*', autoDownload: true }], PAGE).autoDownload, true);
+  assert.equal(resolveRules([{ match: 'https://*.example.com/live*', autoDownload: true }], PAGE).autoDownload, false);
+  assert.equal(resolveRules([{ match: '/watch\\?v=\\d+$/', preferType: 'hls' }], PAGE).preferType, 'hls');
+  // A broken regex matches nothing instead of throwing
+  assert.equal(resolveRules([{ match: '/(/', preferType: 'hls' }], PAGE).preferType, null);
+});
+
+test('matching rules merge in list order and disabled ones are skipped', () => {
+  const rule = resolveRules([
+    { match: '*', ignore: ['/ads/'], minSizeKB: 50, minDuration: 5 },
+    { match: 'example.com', ignore: ['preview'], minSizeKB: 0 },
+    { match: 'example.com', enabled: false, minDuration: 600 },
+    { match: 'other.org', autoDownload: true }
+  ], PAGE);
+
+  assert.deepEqual(rule, { ignore: ['/ads/', 'preview'], minSizeKB: 0, minDuration: 5, preferType: null, autoDownload: false });
+  assert.deepEqual(resolveRules(null, PAGE).ignore, []);
+});
+
+test('ignoreReason applies ignore patterns to the media URL', () => {
+  const rule = resolveRules([{ ignore: ['doubleclick', '*/ads/*.mp4', '/\\bpreview\\./'] }], PAGE);
+  assert.equal(ignoreReason(rule, { url: 'https://ad.DoubleClick.net/v.mp4' }), 'ignore pattern doubleclick');
+  assert.equal(ignoreReason(rule, { url: 'https://cdn.example.com/ads/1.mp4' }), 'ignore pattern */ads/*.mp4');
+  assert.equal(ignoreReason(rule, { url: 'https://cdn.example.com/preview.m3u8' }), 'ignore pattern /\\bpreview\\./');
+  assert.equal(ignoreReason(rule, { url: 'https://cdn.example.com/movie.mp4' }), null);
+});
+
+test('the size limit only applies to direct files with a known size', () => {
+  const rule = resolveRules([{ minSizeKB: 500 }], PAGE);
+  assert.equal(ignoreReason(rule, { url: 'a.mp4', type: MediaTypes.MP4, size: 1024 }), 'smaller than 500 KB');
+  assert.equal(ignoreReason(rule, { url: 'a.mp4', type: MediaTypes.MP4, size: 600 * 1024 }), null);
+  assert.equal(ignoreReason(rule, { url: 'a.mp4', type: MediaTypes.MP4, size: 0 }), null);
+  assert.equal(ignoreReason(rule, { url: 'a.m3u8', type: MediaTypes.HLS, size: 1024 }), null);
+  assert.equal(ignoreReason(rule, { url: 'a.mpd', type: MediaTypes.DASH, size: 1024 }), null);
+});
+
+test('passesDuration lets unknown durations through', () => {
+  const rule = resolveRules([{ minDuration: 30 }], PAGE);
+  assert.equal(passesDuration(rule, 10), false);
+  assert.equal(passesDuration(rule, 30), true);
+  assert.equal(passesDuration(rule, 0), true);
+  assert.equal(passesDuration(rule, Infinity), true);
+  assert.equal(passesDuration(resolveRules([], PAGE), 1), true);
+});
+
+test('preferredOnly keeps the preferred type when there is one', () => {
+  const videos = [{ type: 'hls' }, { type: 'mp4' }, { type: 'hls' }];
+  assert.deepEqual(preferredOnly({ preferType: 'hls' }, videos), [{ type: 'hls' }, { type: 'hls' }]);
+  assert.equal(preferredOnly({ preferType: 'dash' }, videos), videos);
+  assert.equal(preferredOnly({ preferType: null }, videos), videos);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeFilename, usesSerial, renderFilename, DEFAULT_FILENAME_TEMPLATE } from '../extension/filenameTemplate.js';
+
+const fields = {
+  serial: 7,
+  title: 'Cats & Dogs: The Movie',
+  host: 'www.example.com',
+  date: new Date(2024, 2, 5, 9, 4, 1),
+  quality: '1080p',
+  duration: 3754,
+  type: 'hls'
+};
+
+test('sanitizeFilename replaces characters filenames cannot hold', () => {
+  assert.equal(sanitizeFilename('a<b>c:d"e/f\\g|h?i*j'), 'a_b_c_d_e_f_g_h_i_j');
+  assert.equal(sanitizeFilename('Tom & Jerry\tepisode\n1'), 'Tom_and_Jerry_episode_1');
+  assert.equal(sanitizeFilename('bell\x07'), 'bell_');
+  assert.equal(sanitizeFilename(42), '42');
+});
+
+test('the default template keeps the old serial prefix', () => {
+  assert.equal(renderFilename(DEFAULT_FILENAME_TEMPLATE, fields), '7- Cats_and_Dogs__The_Movie');
+  assert.equal(renderFilename('', fields), '7- Cats_and_Dogs__The_Movie');
+});
+
+test('tokens expand with their formats', () => {
+  assert.equal(
+    renderFilename('{serial:000} {quality} {type} {duration} {date:YYYYMMDD-HHmmss}', fields),
+    '007 1080p hls 1h02m34s 20240305-090401'
+  );
+  assert.equal(renderFilename('{duration}', { ...fields, duration: 754 }), '12m34s');
+  assert.equal(renderFilename('{date}', fields), '2024-03-05');
+});
+
+test('missing values fall back or vanish, unknown tokens stay as written', () => {
+  assert.equal(renderFilename('{title}', {}), 'video');
+  assert.equal(renderFilename('{title} {quality}{duration}', { title: 'Clip' }), 'Clip');
+  assert.equal(renderFilename('{title} {episode}', { title: 'Clip' }), 'Clip {episode}');
+});
+
+test('"/" makes subfolders and every token value stays inside its own segment', () => {
+  assert.equal(renderFilename('{host}/{title}', fields), 'www.example.com/Cats_and_Dogs__The_Movie');
+  assert.equal(renderFilename('{title}', { title: '../../etc/passwd' }), '_.._etc_passwd');
+});
+
+test('literal path segments cannot leave the download folder', () => {
+  assert.equal(renderFilename('../{title}', fields), 'Cats_and_Dogs__The_Movie');
+  assert.equal(renderFilename('a\\..\\./b/{title}', { title: 'x' }), 'a/b/x');
+  assert.equal(renderFilename(' ./. ../', fields), 'video');
+  assert.equal(renderFilename('C:{title}?', { title: 'x' }), 'C_x_');
+});
+
+test('usesSerial spots the serial token with or without a format', () => {
+  assert.equal(usesSerial('{serial}- {title}'), true);
+  assert.equal(usesSerial('{serial:0000}'), true);
+  assert.equal(usesSerial('{title} {serials}'), false);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from './helpers/loadScript.js';
+import { initSegment, fragment, topLevel, child, readU32, readU64, flatten } from './helpers/mp4.js';
+
+const { combineFragmentedTracks, createFragmentRebaser, parseTrack } = loadScript('fmp4.js', [
+  'combineFragmentedTracks', 'createFragmentRebaser', 'parseTrack'
+]);
+
+const buffer = (bytes) => bytes.slice().buffer;
+
+// tfhd track_ID, tfdt and mfhd sequence number of a moof
+function describeMoof(moof) {
+  const traf = child(moof, ['traf']);
+  return {
+    sequence: readU32(child(moof, ['mfhd']), 12),
+    trackId: readU32(child(traf, ['tfhd']), 12),
+    time: readU64(child(traf, ['tfdt']), 12)
+  };
+}
+
+test('combineFragmentedTracks merges a video and an audio track into one fMP4', async () => {
+  // Both start 10 s in: the video at 90 kHz, the audio at 48 kHz, each with its own track_ID
+  const video = { parts: [{ offset: 0, chunks: [
+    buffer(initSegment({ trackId: 7, timescale: 90000 })),
+    buffer(fragment({ trackId: 7, sequence: 40, time: 900000, samples: [{ duration: 180000, size: 4 }] })),
+    buffer(fragment({ trackId: 7, sequence: 41, time: 1080000, samples: [{ duration: 180000, size: 4 }] }))
+  ] }] };
+  const audio = { parts: [{ offset: 0, chunks: [
+    buffer(initSegment({ trackId: 3, timescale: 48000, handler: 'soun' })),
+    buffer(fragment({ trackId: 3, sequence: 9, time: 528000, samples: [{ duration: 96000, size: 2 }] })),
+    buffer(fragment({ trackId: 3, sequence: 8, time: 480000, samples: [{ duration: 48000, size: 2 }] }))
+  ] }] };
+
+  const parts = combineFragmentedTracks([video, audio]);
+  const boxes = topLevel(await flatten(parts));
+  assert.deepEqual(boxes.map(b => b.type), ['ftyp', 'moov', 'moof', 'mdat', 'moof', 'mdat', 'moof', 'mdat', 'moof', 'mdat']);
+
+  const moov = boxes[1].data;
+  const traks = topLevel(moov.subarray(8)).filter(b => b.type === 'trak');
+  assert.deepEqual(traks.map(t => readU32(child(t.data, ['tkhd']), 20)), [1, 2]);
+  const mvhd = child(moov, ['mvhd']);
+  assert.equal(readU32(mvhd, mvhd.byteLength - 4), 3);
+  const trexes = topLevel(child(moov, ['mvex']).subarray(8));
+  assert.deepEqual(trexes.map(t => readU32(t.data, 12)), [1, 2]);
+
+  // Shifted so the earliest sample is zero, sorted by start, renumbered 1..n
+  const moofs = boxes.filter(b => b.type === 'moof').map(b => describeMoof(b.data));
+  assert.deepEqual(moofs, [
+    { sequence: 1, trackId: 1, time: 0 },
+    { sequence: 2, trackId: 2, time: 0 },
+    { sequence: 3, trackId: 2, time: 48000 },
+    { sequence: 4, trackId: 1, time: 180000 }
+  ]);
+});
+
+test('part offsets place later periods after earlier ones', async () => {
+  const init = buffer(initSegment({ timescale: 1000 }));
+  const track = { parts: [
+    { offset: 0, chunks: [init, buffer(fragment({ time: 0, samples: [{ duration: 5000, size: 1 }] }))] },
+    // A new period restarts its timeline at zero
+    { offset: 5, chunks: [init, buffer(fragment({ time: 0, samples: [{ duration: 5000, size: 1 }] }))] }
+  ] };
+
+  const boxes = topLevel(await flatten(combineFragmentedTracks([track])));
+  const times = boxes.filter(b => b.type === 'moof').map(b => describeMoof(b.data).time);
+  assert.deepEqual(times, [0, 5000]);
+});
+
+test('parseTrack needs an init segment', () => {
+  const chunk = buffer(fragment({ samples: [{ duration: 1, size: 1 }] }));
+  assert.throws(() => parseTrack([{ chunks: [chunk] }]), /no init segment/);
+});
+
+test('createFragmentRebaser shifts every segment by the first one', () => {
+  const rebase = createFragmentRebaser(initSegment({ timescale: 90000 }));
+  const first = rebase(fragment({ time: 9000000, samples: [{ duration: 90000, size: 1 }] }));
+  const second = rebase(fragment({ time: 9090000, samples: [{ duration: 90000, size: 1 }] }));
+
+  assert.equal(describeMoof(topLevel(first)[0].data).time, 0);
+  assert.equal(describeMoof(topLevel(second)[0].data).time, 90000);
+});
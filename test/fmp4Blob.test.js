@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from './helpers/loadScript.js';
+import { initSegment, fragment, topLevel, child, readU32, readU64, flatten } from './helpers/mp4.js';
+
+const { parseTrackBlob, combineFragmentedBlobs } = loadScript('fmp4.js', ['parseTrackBlob', 'combineFragmentedBlobs']);
+
+const sample = (size) => ({ duration: 2000, size });
+const tfdt = (moof) => readU64(child(moof, ['traf', 'tfdt']), 12);
+
+test('parseTrackBlob keeps the init segment with the most media, sorted and without repeats', async () => {
+  const blob = new Blob([
+    initSegment({ trackId: 1, timescale: 1000 }),
+    fragment({ time: 2000, samples: [sample(8)] }),
+    fragment({ time: 0, samples: [sample(8)] }),
+    // The viewer seeked back: the same fragment again
+    fragment({ time: 2000, samples: [sample(8)] }),
+    // Quality switch to a header with little media
+    initSegment({ trackId: 1, timescale: 90000 }),
+    fragment({ time: 360000, samples: [sample(2)] }),
+    // Back to the first header: its fragments count for it
+    initSegment({ trackId: 1, timescale: 1000 }),
+    fragment({ time: 4000, samples: [sample(8)] })
+  ]);
+
+  const warn = console.warn;
+  console.warn = () => {};
+  const track = await parseTrackBlob(blob, 3).finally(() => { console.warn = warn; });
+
+  assert.equal(track.timescale, 1000);
+  assert.equal(track.trackId, 1);
+  assert.ok(track.ftyp);
+  assert.deepEqual(track.fragments.map(f => tfdt(f.moof)), [0, 2000, 4000]);
+  assert.deepEqual(track.fragments.map(f => f.offset), [3, 3, 3]);
+  assert.ok(track.fragments.every(f => f.mdat instanceof Blob));
+});
+
+test('parseTrackBlob needs an init segment', async () => {
+  await assert.rejects(parseTrackBlob(new Blob([fragment({ samples: [sample(1)] })])), /no init segment/);
+});
+
+test('combineFragmentedBlobs interleaves recorded video and audio', async () => {
+  const video = new Blob([
+    initSegment({ trackId: 1, timescale: 1000 }),
+    fragment({ trackId: 1, time: 10000, samples: [sample(4)] }),
+    fragment({ trackId: 1, time: 12000, samples: [sample(4)] })
+  ]);
+  const audio = new Blob([
+    initSegment({ trackId: 1, timescale: 48000, handler: 'soun' }),
+    fragment({ trackId: 1, time: 528000, samples: [sample(2)] })
+  ]);
+
+  const boxes = topLevel(await flatten(await combineFragmentedBlobs([video, audio])));
+  assert.deepEqual(boxes.map(b => b.type), ['ftyp', 'moov', 'moof', 'mdat', 'moof', 'mdat', 'moof', 'mdat']);
+  const moofs = boxes.filter(b => b.type === 'moof').map(b => ({
+    trackId: readU32(child(b.data, ['traf', 'tfhd']), 12),
+    time: tfdt(b.data)
+  }));
+  assert.deepEqual(moofs, [{ trackId: 1, time: 0 }, { trackId: 2, time: 48000 }, { trackId: 1, time: 2000 }]);
+});
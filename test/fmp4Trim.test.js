@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScript } from './helpers/loadScript.js';
+import { initSegment, fragment, concat, topLevel, child, readU32, readU64, flatten, NON_SYNC } from './helpers/mp4.js';
+
+const { trimFragmentedBlob } = loadScript('fmp4.js', ['trimFragmentedBlob']);
+
+// 1 s samples at timescale 1000, a keyframe every other sample
+const second = (flags) => ({ duration: 1000, size: 3, flags });
+const file = (...fragments) => new Blob([initSegment({ timescale: 1000 }), ...fragments]);
+
+test('whole fragments after the keyframe cut are kept and shifted to zero', async () => {
+  const blob = file(
+    fragment({ sequence: 1, time: 0, samples: [second(0), second(NON_SYNC)], fill: 10 }),
+    fragment({ sequence: 2, time: 2000, samples: [second(0), second(NON_SYNC)], fill: 20 })
+  );
+
+  const { parts, duration } = await trimFragmentedBlob(blob, 2.5, 10);
+  const boxes = topLevel(await flatten(parts));
+  assert.deepEqual(boxes.map(b => b.type), ['ftyp', 'moov', 'moof', 'mdat']);
+  assert.equal(duration, 2);
+
+  const moof = boxes[2].data;
+  assert.equal(readU32(child(moof, ['mfhd']), 12), 1);
+  assert.equal(readU64(child(moof, ['traf', 'tfdt']), 12), 0);
+  assert.deepEqual([...boxes[3].data.subarray(8)], [20, 20, 20, 21, 21, 21]);
+});
+
+test('a fragment on the edge is rebuilt with only the kept samples', async () => {
+  const blob = file(fragment({ time: 0, samples: [second(0), second(NON_SYNC), second(0), second(NON_SYNC)], fill: 1 }));
+
+  const { parts, duration } = await trimFragmentedBlob(blob, 2.5, 3.5);
+  const bytes = await flatten(parts);
+  const boxes = topLevel(bytes);
+  assert.deepEqual(boxes.map(b => b.type), ['ftyp', 'moov', 'moof', 'mdat']);
+  assert.equal(duration, 2);
+
+  const moof = boxes[2].data;
+  assert.equal(readU64(child(moof, ['traf', 'tfdt']), 12), 0);
+  const trun = child(moof, ['traf', 'trun']);
+  assert.equal(readU32(trun, 8), 0x01000F01, 'version 1, offset + duration/size/flags/cto');
+  assert.equal(readU32(trun, 12), 2);
+  assert.deepEqual([0, 1].map(i => readU32(trun, 20 + i * 16 + 8) & NON_SYNC), [0, NON_SYNC]);
+
+  // The data offset points from the moof start to the first kept sample
+  const offset = readU32(trun, 16);
+  const moofStart = boxes[0].data.byteLength + boxes[1].data.byteLength;
+  assert.deepEqual([...bytes.subarray(moofStart + offset, moofStart + offset + 6)], [3, 3, 3, 4, 4, 4]);
+});
+
+test('a range without media is an error', async () => {
+  const blob = file(fragment({ time: 10000, samples: [second(0)] }));
+  await assert.rejects(trimFragmentedBlob(blob, 0, 5), /no media/);
+});
+
+test('a file without an init segment is an error', async () => {
+  const blob = new Blob([concat(fragment({ time: 0, samples: [second(0)] }))]);
+  await assert.rejects(trimFragmentedBlob(blob, 0, 1), /no init segment/);
+});
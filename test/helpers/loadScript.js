@@ -0,0 +1,18 @@
+/**
+ * Loads one of the extension's classic scripts (offscreen document globals)
+ * into the test process and returns the top-level names asked for.
+ */
+
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const loaded = new Map();
+
+export function loadScript(file, names) {
+  if (!loaded.has(file)) {
+    const source = readFileSync(new URL(`../../extension/${file}`, import.meta.url), 'utf8');
+    // Declarations stay in the script scope: hand them back through the completion value
+    loaded.set(file, vm.runInThisContext(`${source}\n;({ ${names.join(', ')} })`, { filename: file }));
+  }
+  return loaded.get(file);
+}
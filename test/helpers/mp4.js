@@ -0,0 +1,107 @@
+/**
+ * Minimal fragmented MP4 builder for the box-rewriting tests: just the boxes
+ * and fields fmp4.js reads (tkhd track_ID, mdhd timescale, hdlr type, trex
+ * defaults, tfhd/tfdt/trun, mfhd sequence number).
+ */
+
+export function u32(n) {
+  const b = new Uint8Array(4);
+  new DataView(b.buffer).setUint32(0, n >>> 0);
+  return b;
+}
+
+export function u64(n) {
+  const b = new Uint8Array(8);
+  new DataView(b.buffer).setBigUint64(0, BigInt(n));
+  return b;
+}
+
+export function box(type, ...parts) {
+  const size = 8 + parts.reduce((n, p) => n + p.byteLength, 0);
+  const out = new Uint8Array(size);
+  new DataView(out.buffer).setUint32(0, size);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  let pos = 8;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.byteLength;
+  }
+  return out;
+}
+
+export function fullBox(type, version, flags, ...parts) {
+  return box(type, u32((version << 24) | flags), ...parts);
+}
+
+export function concat(...parts) {
+  return box('xxxx', ...parts).subarray(8);
+}
+
+const ascii = (s) => new Uint8Array([...s].map(c => c.charCodeAt(0)));
+
+/** ftyp + moov of one track */
+export function initSegment({ trackId = 1, timescale = 1000, handler = 'vide', defaults = {} } = {}) {
+  const mvhd = fullBox('mvhd', 0, 0, new Uint8Array(92), u32(trackId + 1));
+  const tkhd = fullBox('tkhd', 0, 3, u32(0), u32(0), u32(trackId), new Uint8Array(68));
+  const mdhd = fullBox('mdhd', 0, 0, u32(0), u32(0), u32(timescale), u32(0), new Uint8Array(4));
+  const hdlr = fullBox('hdlr', 0, 0, u32(0), ascii(handler), new Uint8Array(13));
+  const trak = box('trak', tkhd, box('mdia', mdhd, hdlr));
+  const trex = fullBox('trex', 0, 0, u32(trackId), u32(1), u32(defaults.duration || 0), u32(defaults.size || 0), u32(defaults.flags || 0));
+  const ftyp = box('ftyp', ascii('isom'), u32(0x200), ascii('isomiso6'));
+  return concat(ftyp, box('moov', mvhd, trak, box('mvex', trex)));
+}
+
+export const NON_SYNC = 0x10000;
+
+/**
+ * moof + mdat with explicit per-sample duration, size and flags. Each sample's
+ * payload bytes are filled with its index in `samples` plus `fill`.
+ */
+export function fragment({ trackId = 1, sequence = 1, time = 0, samples, fill = 0 }) {
+  const tfhd = fullBox('tfhd', 0, 0x20000, u32(trackId));
+  const tfdt = fullBox('tfdt', 1, 0, u64(time));
+  const entries = samples.flatMap(s => [u32(s.duration), u32(s.size), u32(s.flags || 0)]);
+  const build = (offset) => box('moof',
+    fullBox('mfhd', 0, 0, u32(sequence)),
+    box('traf', tfhd, tfdt, fullBox('trun', 0, 0x701, u32(samples.length), u32(offset), ...entries)));
+  const moof = build(build(0).byteLength + 8);
+  const payload = concat(...samples.map((s, i) => new Uint8Array(s.size).fill(fill + i)));
+  return concat(moof, box('mdat', payload));
+}
+
+/** Top-level boxes of a file: [{ type, data }] */
+export function topLevel(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const out = [];
+  for (let pos = 0; pos + 8 <= bytes.byteLength;) {
+    const size = view.getUint32(pos);
+    out.push({ type: String.fromCharCode(...bytes.subarray(pos + 4, pos + 8)), data: bytes.subarray(pos, pos + size) });
+    pos += size;
+  }
+  return out;
+}
+
+/** First box of type found depth-first under a box (container boxes only) */
+export function child(data, path) {
+  let current = data;
+  for (const type of path) {
+    const boxes = topLevel(current.subarray(8));
+    const found = boxes.find(b => b.type === type);
+    if (!found) return null;
+    current = found.data;
+  }
+  return current;
+}
+
+export function readU32(data, offset) {
+  return new DataView(data.buffer, data.byteOffset, data.byteLength).getUint32(offset);
+}
+
+export function readU64(data, offset) {
+  return Number(new DataView(data.buffer, data.byteOffset, data.byteLength).getBigUint64(offset));
+}
+
+/** Joins BlobParts (Uint8Array or Blob) into one Uint8Array */
+export async function flatten(parts) {
+  return new Uint8Array(await new Blob(parts).arrayBuffer());
+}
@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeKey, segmentIV, decryptSegment, decryptInit } from '../extension/hlsDecrypt.js';
+
+const BASE = 'https://cdn.example.com/live/index.m3u8';
+const KEY = new Uint8Array([...Array(16).keys()].map(i => i * 17));
+
+let keyId = 0;
+// Fresh key URI per test: loadKey caches by URI
+function clearKey(attrs = {}) {
+  return describeKey({ METHOD: 'AES-128', URI: `key-${++keyId}.bin`, ...attrs }, BASE);
+}
+
+function keyFetcher(raw = KEY) {
+  const fetcher = async () => {
+    fetcher.calls++;
+    return raw.slice().buffer;
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+async function encrypt(plain, iv) {
+  const key = await crypto.subtle.importKey('raw', KEY, 'AES-CBC', false, ['encrypt']);
+  return new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, key, plain));
+}
+
+const text = (buffer) => new TextDecoder().decode(buffer);
+
+test('describeKey resolves the key URI and strips the IV prefix', () => {
+  assert.deepEqual(describeKey({ METHOD: 'AES-128', URI: '../keys/k1', IV: '0X0000000000000000000000000000000A' }, BASE), {
+    method: 'AES-128',
+    uri: 'https://cdn.example.com/keys/k1',
+    iv: '0000000000000000000000000000000A',
+    keyFormat: 'identity',
+    drm: null
+  });
+  assert.equal(describeKey({}, BASE).method, 'NONE');
+});
+
+test('describeKey names DRM systems from KEYFORMAT or the key URI', () => {
+  assert.equal(describeKey({ METHOD: 'SAMPLE-AES', URI: 'skd://asset' }, BASE).drm, 'FairPlay');
+  assert.equal(describeKey({ METHOD: 'SAMPLE-AES-CTR', KEYFORMAT: 'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed', URI: 'data:x' }, BASE).drm, 'Widevine');
+  assert.equal(describeKey({ METHOD: 'SAMPLE-AES', KEYFORMAT: 'com.microsoft.playready', URI: 'data:x' }, BASE).drm, 'PlayReady');
+  assert.equal(describeKey({ METHOD: 'SAMPLE-AES-CTR', URI: 'k' }, BASE).drm, 'identity');
+  assert.equal(describeKey({ METHOD: 'AES-128', URI: 'k' }, BASE).drm, null);
+});
+
+test('segmentIV uses the explicit IV or the sequence number', () => {
+  assert.deepEqual([...segmentIV({ iv: 'ff' }, 9)], [...new Array(15).fill(0), 0xff]);
+  assert.deepEqual([...segmentIV({ iv: null }, 0x01020304)], [...new Array(12).fill(0), 1, 2, 3, 4]);
+});
+
+test('decryptSegment decrypts AES-128 with the media sequence number as IV', async () => {
+  const key = clearKey();
+  const cipher = await encrypt(new TextEncoder().encode('segment 42 payload'), segmentIV(key, 42));
+  const fetcher = keyFetcher();
+
+  assert.equal(text(await decryptSegment(cipher, key, 42, fetcher)), 'segment 42 payload');
+  // The key is fetched once per URI
+  await decryptSegment(cipher, key, 42, fetcher);
+  assert.equal(fetcher.calls, 1);
+});
+
+test('decryptSegment prefers the explicit IV', async () => {
+  const key = clearKey({ IV: '0x000102030405060708090a0b0c0d0e0f' });
+  const cipher = await encrypt(new TextEncoder().encode('explicit'), segmentIV(key, 0));
+  assert.equal(text(await decryptSegment(cipher, key, 7, keyFetcher())), 'explicit');
+});
+
+test('decryptSegment rejects DRM, keyless and malformed keys', async () => {
+  const data = new Uint8Array(16);
+  await assert.rejects(decryptSegment(data, describeKey({ METHOD: 'SAMPLE-AES', URI: 'skd://a' }, BASE), 0, keyFetcher()), /DRM Protected \(FairPlay\)/);
+  await assert.rejects(decryptSegment(data, describeKey({ METHOD: 'AES-128' }, BASE), 0, keyFetcher()), /has no URI/);
+  await assert.rejects(decryptSegment(data, clearKey(), 0, keyFetcher(new Uint8Array(8))), /Invalid AES key \(8 bytes\)/);
+  await assert.rejects(decryptSegment(data, clearKey({ METHOD: 'SAMPLE-AES' }), 0, keyFetcher()), /only supported for MPEG-TS/);
+});
+
+test('decryptSegment leaves clear segments alone', async () => {
+  const data = new Uint8Array([1, 2, 3]);
+  assert.equal(await decryptSegment(data, null, 0, keyFetcher()), data);
+  assert.equal(await decryptSegment(data, describeKey({ METHOD: 'NONE' }, BASE), 0, keyFetcher()), data);
+});
+
+test('decryptInit decrypts an AES-128 init section with its explicit IV', async () => {
+  const key = clearKey({ IV: '0x0000000000000000000000000000BEEF' });
+  const cipher = await encrypt(new TextEncoder().encode('ftyp moov'), segmentIV(key, 0));
+  assert.equal(text(await decryptInit(cipher, key, keyFetcher())), 'ftyp moov');
+});
+
+test('decryptInit needs an explicit IV and ignores other methods', async () => {
+  const data = new Uint8Array(16);
+  await assert.rejects(decryptInit(data, clearKey(), keyFetcher()), /without an IV/);
+  assert.equal(await decryptInit(data, clearKey({ METHOD: 'SAMPLE-AES' }), keyFetcher()), data);
+  assert.equal(await decryptInit(data, null, keyFetcher()), data);
+});
+
+// --- SAMPLE-AES MPEG-TS ---
+
+const PMT_PID = 0x100;
+const AUDIO_PID = 0x101;
+
+// 188-byte packet, the payload padded with adaptation field stuffing
+function tsPacket(pid, payload, unitStart = true) {
+  const pkt = new Uint8Array(188).fill(0xff);
+  const stuffing = 184 - payload.length;
+  pkt[0] = 0x47;
+  pkt[1] = (unitStart ? 0x40 : 0) | (pid >> 8);
+  pkt[2] = pid & 0xff;
+  pkt[3] = 0x30;
+  pkt[4] = stuffing - 1;
+  pkt[5] = 0x00;
+  pkt.set(payload, 4 + stuffing);
+  return pkt;
+}
+
+function psi(tableId, body) {
+  const length = body.length + 5 + 4; // header after length + CRC
+  return new Uint8Array([0, tableId, 0xb0 | (length >> 8), length & 0xff, 0, 1, 0xc1, 0, 0, ...body, 0, 0, 0, 0]);
+}
+
+// ADTS frame (no CRC): 7-byte header + sample
+function adts(sample) {
+  const length = 7 + sample.length;
+  return new Uint8Array([0xff, 0xf1, 0x50, 0x80 | (length >> 11), (length >> 3) & 0xff, ((length & 7) << 5) | 0x1f, 0xfc, ...sample]);
+}
+
+function pes(es) {
+  const length = 3 + 5 + es.length;
+  return new Uint8Array([0, 0, 1, 0xc0, length >> 8, length & 0xff, 0x80, 0x80, 5, 0x21, 0, 1, 0, 1, ...es]);
+}
+
+test('SAMPLE-AES AAC in MPEG-TS: encrypted blocks decrypted, clear leader and tail kept, PMT made clear', async () => {
+  const key = clearKey({ METHOD: 'SAMPLE-AES', IV: '0x00000000000000000000000000000001' });
+  const iv = segmentIV(key, 0);
+  const sample = Uint8Array.from({ length: 51 }, (_, i) => i); // 16 clear + 32 encrypted + 3 clear
+  const encrypted = sample.slice();
+  encrypted.set((await encrypt(sample.subarray(16, 48), iv)).subarray(0, 32), 16);
+
+  const ts = new Uint8Array([
+    ...tsPacket(0, psi(0x00, [0, 1, 0xe0 | (PMT_PID >> 8), PMT_PID & 0xff])),
+    ...tsPacket(PMT_PID, psi(0x02, [0xe0 | (AUDIO_PID >> 8), AUDIO_PID & 0xff, 0xf0, 0, 0xcf, 0xe0 | (AUDIO_PID >> 8), AUDIO_PID & 0xff, 0xf0, 0])),
+    ...tsPacket(AUDIO_PID, pes(adts(encrypted)))
+  ]);
+
+  const out = new Uint8Array(await decryptSegment(ts, key, 0, keyFetcher()));
+  assert.equal(out.length, 3 * 188);
+
+  const pmt = out.subarray(188, 376);
+  const section = 5 + pmt[4] + 1;
+  assert.equal(pmt[section + 12], 0x0f, 'AAC stream type in the clear');
+
+  const audio = out.subarray(376);
+  const payload = audio.subarray(5 + audio[4]);
+  assert.deepEqual([...payload.subarray(payload.length - 51)], [...sample]);
+});
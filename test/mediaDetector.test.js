@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MediaTypes, MediaKinds, detectMediaType, detectSubtitleType, extractMetadata, extensionFor, mediaKind, typeFromExtension
+} from '../extension/mediaDetector.js';
+import { SubtitleFormats } from '../extension/subtitles.js';
+
+function response(url, headers = {}) {
+  return { url, responseHeaders: Object.entries(headers).map(([name, value]) => ({ name, value })) };
+}
+
+test('Content-Type decides before the URL', () => {
+  assert.equal(detectMediaType(response('https://a.com/play', { 'Content-Type': 'application/vnd.apple.mpegurl; charset=utf-8' })), MediaTypes.HLS);
+  assert.equal(detectMediaType(response('https://a.com/manifest', { 'content-type': 'application/dash+xml' })), MediaTypes.DASH);
+  assert.equal(detectMediaType(response('https://a.com/file.bin', { 'Content-Type': 'VIDEO/WEBM' })), MediaTypes.WEBM);
+  assert.equal(detectMediaType(response('https://a.com/song', { 'Content-Type': 'audio/mpeg' })), MediaTypes.MP3);
+});
+
+test('octet-stream responses fall back to the Content-Disposition name, then the URL', () => {
+  const octet = { 'Content-Type': 'application/octet-stream' };
+  assert.equal(detectMediaType(response('https://a.com/download?id=1', { ...octet, 'Content-Disposition': 'attachment; filename="Talk.MKV"' })), MediaTypes.MKV);
+  assert.equal(detectMediaType(response('https://a.com/dl/movie.mov?token=x', octet)), MediaTypes.MOV);
+  assert.equal(detectMediaType(response('https://a.com/dl/archive.zip', octet)), null);
+  assert.equal(detectMediaType(response('https://a.com/dl', octet)), null);
+});
+
+test('an unknown audio subtype is still audio', () => {
+  assert.equal(detectMediaType(response('https://a.com/stream', { 'Content-Type': 'audio/x-something' })), MediaTypes.AUDIO);
+});
+
+test('segments of segmented streams are not media files of their own', () => {
+  const mp4 = { 'Content-Type': 'video/mp4' };
+  for (const name of ['chunk-1.m4s', 'v.m4f', 'seg.cmfv', 'a.cmfa', 'seg0.ts', 'init.dash']) {
+    assert.equal(detectMediaType(response(`https://a.com/x/${name}?t=1`, mp4)), null, name);
+  }
+  // Numbered audio segments with a plain audio extension
+  assert.equal(detectMediaType(response('https://a.com/hls/segment_12.aac', { 'Content-Type': 'audio/aac' })), null);
+  assert.equal(detectMediaType(response('https://a.com/hls/fileSequence3.mp3')), null);
+  assert.equal(detectMediaType(response('https://a.com/music/track-02.mp3')), MediaTypes.MP3);
+});
+
+test('Smooth Streaming manifests and their repackaged forms', () => {
+  const xml = { 'Content-Type': 'text/xml' };
+  assert.equal(detectMediaType(response('https://a.com/vod/movie.ism/Manifest', xml)), MediaTypes.MSS);
+  assert.equal(detectMediaType(response('https://a.com/live/ch1.isml/manifest', xml)), MediaTypes.MSS);
+  assert.equal(detectMediaType(response('https://a.com/vod/movie.ism/Manifest(format=mpd-time-csf)', xml)), MediaTypes.DASH);
+  assert.equal(detectMediaType(response('https://a.com/vod/movie.ism/Manifest(format=m3u8-aapl-v3)', xml)), MediaTypes.HLS);
+  assert.equal(detectMediaType(response('https://a.com/feed.xml', xml)), null);
+});
+
+test('extractMetadata prefers the Content-Disposition filename, filename* over filename', () => {
+  const meta = extractMetadata(response('https://a.com/dl?id=9', {
+    'Content-Length': '2048',
+    'Content-Disposition': 'attachment; filename="fallback.mp3"; filename*=UTF-8\'\'Caf%C3%A9%20live.mp3'
+  }), MediaTypes.MP3);
+  assert.equal(meta.filename, 'Café live.mp3');
+  assert.equal(meta.size, 2048);
+
+  assert.equal(extractMetadata(response('https://a.com/dl', { 'Content-Disposition': 'inline; filename=clip.mp4' }), MediaTypes.MP4).filename, 'clip.mp4');
+  assert.equal(extractMetadata(response('https://a.com/v/movie.mp4?sig=1'), MediaTypes.MP4).filename, 'movie.mp4');
+});
+
+test('extractMetadata replaces missing or very long names by kind', () => {
+  const long = `${'x'.repeat(60)}.mp4`;
+  assert.match(extractMetadata(response(`https://a.com/${long}`), MediaTypes.MP4).filename, /^video_\d+$/);
+  assert.match(extractMetadata(response('https://a.com/podcast/'), MediaTypes.M4A).filename, /^audio_\d+$/);
+});
+
+test('type helpers', () => {
+  assert.equal(typeFromExtension('M4V'), MediaTypes.MP4);
+  assert.equal(typeFromExtension('exe'), null);
+  assert.equal(typeFromExtension(undefined), null);
+  assert.deepEqual([MediaTypes.HLS, MediaTypes.MSS, MediaTypes.MSE, null, MediaTypes.AUDIO, MediaTypes.FLAC].map(extensionFor), ['mp4', 'mp4', 'mp4', 'mp4', 'm4a', 'flac']);
+  assert.deepEqual([MediaTypes.DASH, MediaTypes.OPUS, MediaTypes.WEBM].map(mediaKind), [MediaKinds.STREAM, MediaKinds.AUDIO, MediaKinds.VIDEO]);
+});
+
+test('detectSubtitleType recognises sidecar subtitle files', () => {
+  assert.equal(detectSubtitleType(response('https://a.com/subs', { 'Content-Type': 'text/vtt; charset=utf-8' })), SubtitleFormats.VTT);
+  assert.equal(detectSubtitleType(response('https://a.com/subs', { 'Content-Type': 'application/x-subrip' })), SubtitleFormats.SRT);
+  assert.equal(detectSubtitleType(response('https://a.com/en.WEBVTT?x=1')), SubtitleFormats.VTT);
+  assert.equal(detectSubtitleType(response('https://a.com/en.srt')), SubtitleFormats.SRT);
+  assert.equal(detectSubtitleType(response('https://a.com/en.txt', { 'Content-Type': 'text/plain' })), null);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveOutput, checkPath, isAbsolutePath, joinPath, ConflictActions, SubfolderModes } from '../extension/outputPath.js';
+
+const DATE = new Date(2024, 0, 9);
+
+test('defaults: the Downloads folder, no subfolders, uniquify', () => {
+  assert.deepEqual(resolveOutput({}, 'example.com', DATE), { directory: '', folder: '', conflictAction: ConflictActions.UNIQUIFY });
+});
+
+test('a relative directory becomes the folder in front of site and date subfolders', () => {
+  assert.deepEqual(resolveOutput({ outputDirectory: ' Videos\\Saved/ ', outputSubfolders: SubfolderModes.SITE_DATE, conflictAction: 'skip' }, 'www.example.com', DATE), {
+    directory: '',
+    folder: 'Videos/Saved/www.example.com/2024-01-09',
+    conflictAction: ConflictActions.SKIP
+  });
+  assert.equal(resolveOutput({ outputSubfolders: SubfolderModes.DATE }, 'a.com', DATE).folder, '2024-01-09');
+  assert.equal(resolveOutput({ outputSubfolders: SubfolderModes.SITE }, '', DATE).folder, 'unknown');
+});
+
+test('an absolute directory is passed on as the directory', () => {
+  assert.deepEqual(resolveOutput({ outputDirectory: 'D:\\Media', outputSubfolders: 'site', conflictAction: 'overwrite' }, 'a.com', DATE), {
+    directory: 'D:\\Media',
+    folder: 'a.com',
+    conflictAction: ConflictActions.OVERWRITE
+  });
+  assert.equal(resolveOutput({ outputDirectory: '~/Movies' }, 'a.com', DATE).directory, '~/Movies');
+});
+
+test('unknown modes and conflict actions fall back to the defaults', () => {
+  const out = resolveOutput({ outputSubfolders: 'year', conflictAction: 'rename' }, 'a.com', DATE);
+  assert.equal(out.folder, '');
+  assert.equal(out.conflictAction, ConflictActions.UNIQUIFY);
+});
+
+test('hosts cannot add folders or characters filenames cannot hold', () => {
+  assert.equal(resolveOutput({ outputSubfolders: 'site' }, 'evil/../x:1', DATE).folder, 'evil_.._x_1');
+});
+
+test('".." segments and control characters are refused', () => {
+  assert.throws(() => resolveOutput({ outputDirectory: 'Videos/../..' }, 'a.com', DATE), /Output directory must not contain "\.\."/);
+  assert.throws(() => resolveOutput({ outputDirectory: 'C:\\Users\\ .. \\x' }, 'a.com', DATE), /must not contain/);
+  assert.throws(() => checkPath('a\nb', 'Folder'), /Folder contains control characters/);
+  assert.doesNotThrow(() => checkPath('a..b/..c/...'));
+});
+
+test('isAbsolutePath knows POSIX, home and Windows paths', () => {
+  for (const path of ['/srv/media', '\\\\server\\share', '~', '~/Movies', 'C:\\Videos', 'c:/videos']) assert.equal(isAbsolutePath(path), true, path);
+  for (const path of ['Videos', '~user', 'C:Videos', '', './x']) assert.equal(isAbsolutePath(path), false, path);
+});
+
+test('joinPath drops empty and "." segments', () => {
+  assert.equal(joinPath('a\\b', '', './c/', null, 'd'), 'a/b/c/d');
+  assert.equal(joinPath(), '');
+});
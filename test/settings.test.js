@@ -0,0 +1,111 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// chrome.storage areas kept in memory
+function storageArea(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    async get(keys) {
+      return Object.fromEntries(keys.filter(key => key in data).map(key => [key, structuredClone(data[key])]));
+    },
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete data[key];
+    }
+  };
+}
+
+// Settings from before the move to storage.sync: the migration runs when the module loads
+const local = storageArea({ engine: 'browser', maxConcurrentDownloads: 3, segmentConcurrency: 99, notifications: 'errors' });
+const sync = storageArea({ notifications: 'none' });
+globalThis.chrome = { storage: { local, sync } };
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const {
+  DEFAULT_SETTINGS, validateSetting, validateSettings, getSettings, saveSettings, importSettings, exportSettings, resetSettings
+} = await import('../extension/settings.js');
+
+test('settings move from storage.local to storage.sync once, sync values winning', async () => {
+  const settings = await getSettings();
+  assert.equal(settings.engine, 'browser');
+  assert.equal(settings.maxConcurrentDownloads, 3);
+  assert.equal(settings.notifications, 'none');
+  // Invalid values are not carried over
+  assert.equal(settings.segmentConcurrency, DEFAULT_SETTINGS.segmentConcurrency);
+  assert.equal('segmentConcurrency' in sync.data, false);
+  assert.deepEqual(local.data, {});
+});
+
+test('validateSetting normalises values to their stored form', () => {
+  assert.equal(validateSetting('maxConcurrentDownloads', ' 4 '), 4);
+  assert.equal(validateSetting('defaultQuality', ' 720P '), '720p');
+  assert.equal(validateSetting('defaultQuality', 'Best'), 'best');
+  assert.equal(validateSetting('filenameTemplate', '  {title} '), '{title}');
+  assert.equal(validateSetting('outputDirectory', ''), '');
+  assert.deepEqual(validateSetting('detectionRules', [{ match: 'a.com' }, { ignore: ['x'] }]), [{ match: 'a.com' }, { ignore: ['x'] }]);
+});
+
+test('validateSetting rejects values that do not fit with a readable message', () => {
+  const cases = [
+    ['engine', 'turbo', /Download engine: expected one of auto, native, browser/],
+    ['engine', 'toString', /expected one of/],
+    ['mseCapture', 'yes', /expected true or false/],
+    ['maxConcurrentDownloads', 6, /from 1 to 5/],
+    ['maxConcurrentDownloads', 1.5, /whole number/],
+    ['maxConcurrentDownloads', '', /whole number/],
+    ['defaultQuality', '4k', /best, worst or a height/],
+    ['defaultQuality', '0720p', /best, worst or a height/],
+    ['filenameTemplate', '   ', /must not be empty/],
+    ['filenameTemplate', 5, /expected text/],
+    ['outputDirectory', 'Videos/../..', /must not contain/],
+    ['siteTemplates', { 'a.com': ' ' }, /host -> template/],
+    ['siteTemplates', ['x'], /host -> template/],
+    ['detectionRules', [{ match: 5 }], /list of \{ match/],
+    ['detectionRules', {}, /list of \{ match/],
+    ['colour', 'red', /Unknown setting "colour"/]
+  ];
+  for (const [key, value, message] of cases) assert.throws(() => validateSetting(key, value), message, `${key}: ${JSON.stringify(value)}`);
+});
+
+test('validateSettings keeps the valid keys and lists the errors', () => {
+  assert.deepEqual(validateSettings({ engine: 'native', mseMaxMB: 0 }), {
+    settings: { engine: 'native' },
+    errors: ['Stop MediaSource captures after (MB): expected a whole number from 1 to 65536']
+  });
+  assert.deepEqual(validateSettings([]), { settings: {}, errors: ['Settings must be a JSON object'] });
+});
+
+test('saveSettings writes nothing when any value is invalid', async () => {
+  await assert.rejects(saveSettings({ captureThumbnails: false, recordMaxMB: -1 }), /Stop live recordings after \(MB\)/);
+  assert.equal('captureThumbnails' in sync.data, false);
+
+  assert.deepEqual(await saveSettings({ captureThumbnails: false, recordMaxMB: '100' }), { captureThumbnails: false, recordMaxMB: 100 });
+  assert.equal(sync.data.recordMaxMB, 100);
+});
+
+test('getSettings falls back to defaults for stored values that no longer fit', async () => {
+  sync.data.subtitleFormat = 'ass';
+  const settings = await getSettings();
+  assert.equal(settings.subtitleFormat, DEFAULT_SETTINGS.subtitleFormat);
+  assert.deepEqual(Object.keys(settings).sort(), Object.keys(DEFAULT_SETTINGS).sort());
+});
+
+test('exported settings import again; bare objects and partial files are accepted', async () => {
+  const exported = await exportSettings();
+  await resetSettings();
+  assert.deepEqual(sync.data, {});
+
+  const { imported, errors } = await importSettings(exported);
+  assert.equal(imported.length, Object.keys(DEFAULT_SETTINGS).length);
+  assert.deepEqual(errors, []);
+  assert.equal(sync.data.engine, 'browser');
+
+  assert.deepEqual(await importSettings('{ "engine": "auto", "theme": "dark" }'), { imported: ['engine'], errors: ['Unknown setting "theme"'] });
+  await assert.rejects(importSettings('not json'), /Not a JSON file/);
+  await assert.rejects(importSettings('{}'), /No settings in this file/);
+  await assert.rejects(importSettings('{ "engine": 1 }'), /Download engine/);
+});
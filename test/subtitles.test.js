@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWebVTT, parseSRT, parseSubtitles, mergeSubtitleSegments, toWebVTT, toSRT, SubtitleFormats } from '../extension/subtitles.js';
+
+const VTT = `\uFEFFWEBVTT\r
+X-TIMESTAMP-MAP=LOCAL:00:00:00.000,MPEGTS:900000\r
+\r
+STYLE\r
+::cue { color: yellow }\r
+\r
+NOTE dropped\r
+\r
+intro\r
+00:01.000 --> 00:02.500 align:start line:0\r
+<v Roger>Hello &amp; welcome\r
+second line\r
+\r
+01:00:00.000 --> 01:00:01.000\r
+Later\r
+`;
+
+test('parseWebVTT reads header blocks, ids, settings and the timestamp map', () => {
+  const track = parseWebVTT(VTT);
+  assert.deepEqual(track.timestampMap, { mpegts: 900000, local: 0 });
+  assert.deepEqual(track.header, ['STYLE\n::cue { color: yellow }']);
+  assert.deepEqual(track.cues, [
+    { id: 'intro', start: 1, end: 2.5, settings: 'align:start line:0', text: '<v Roger>Hello &amp; welcome\nsecond line' },
+    { id: '', start: 3600, end: 3601, settings: '', text: 'Later' }
+  ]);
+});
+
+test('parseSRT reads numbered blocks with comma milliseconds', () => {
+  const track = parseSRT('1\n00:00:01,200 --> 00:00:03,000\n<i>One</i>\n\n\n2\n00:00:04,000 --> 00:00:05,000\nTwo\n\ngarbage\n');
+  assert.deepEqual(track.cues.map(c => [c.start, c.end, c.text, c.id]), [[1.2, 3, '<i>One</i>', ''], [4, 5, 'Two', '']]);
+});
+
+test('parseSubtitles picks the parser from the format and the WEBVTT signature', () => {
+  assert.equal(parseSubtitles(VTT).header.length, 1);
+  assert.equal(parseSubtitles(VTT, SubtitleFormats.SRT).header.length, 0);
+  assert.equal(parseSubtitles('1\n00:00:01,000 --> 00:00:02,000\nx', SubtitleFormats.VTT).cues.length, 1);
+});
+
+test('mergeSubtitleSegments applies offsets and timestamp maps relative to the first segment', () => {
+  const segment = (mpegts, cues) => `WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:${mpegts},LOCAL:00:00:00.000\n\n${cues}\n`;
+  const merged = mergeSubtitleSegments([
+    { text: segment(900000, '00:00.000 --> 00:06.000\nSpans the boundary'), offset: 0 },
+    // Same cue repeated by the next segment, whose cues are local to it
+    { text: segment(1440000, '00:00.000 --> 00:00.000\nzero\n\n00:00.000 --> 00:06.000\nSpans the boundary'), offset: 0 },
+    { text: 'WEBVTT\n\n00:01.000 --> 00:02.000\nNo map', offset: 20 }
+  ]);
+
+  assert.deepEqual(merged.cues.map(c => [c.start, c.end, c.text]), [
+    [0, 6, 'Spans the boundary'],
+    [6, 6, 'zero'],
+    [6, 12, 'Spans the boundary'],
+    [21, 22, 'No map']
+  ]);
+});
+
+test('a repeated cue with the same timing is kept once', () => {
+  const text = 'WEBVTT\n\n00:04.000 --> 00:06.000\nAcross';
+  assert.equal(mergeSubtitleSegments([{ text, offset: 0 }, { text, offset: 0 }]).cues.length, 1);
+});
+
+test('toWebVTT writes the header, ids and settings back', () => {
+  assert.equal(toWebVTT(parseWebVTT(VTT)), [
+    'WEBVTT', '',
+    'STYLE\n::cue { color: yellow }', '',
+    'intro',
+    '00:00:01.000 --> 00:00:02.500 align:start line:0',
+    '<v Roger>Hello &amp; welcome\nsecond line', '',
+    '01:00:00.000 --> 01:00:01.000',
+    'Later', ''
+  ].join('\n'));
+});
+
+test('toSRT numbers cues and keeps only the tags SRT players know', () => {
+  const track = { header: [], cues: [
+    { start: 1, end: 2.5, text: '<v.loud Roger>Hello &amp; <c.red>welcome</c> &lt;3' },
+    { start: 61.0004, end: 62, text: '<b>bold</b> <i>it</i> <ruby>漢<rt>kan</rt></ruby>' }
+  ] };
+  assert.equal(toSRT(track), [
+    '1', '00:00:01,000 --> 00:00:02,500', 'Hello & welcome <3', '',
+    '2', '00:01:01,000 --> 00:01:02,000', '<b>bold</b> <i>it</i> 漢kan', ''
+  ].join('\n'));
+});